@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { createRelayHandler, relayOptionsFromEnv } from '../server/relay.js';
+
+/**
+ * oslot-relay: standalone backend relay
+ * Serves /api/send and /api/quote (see server/relay.js) with the 0slot API key
+ * taken from the environment, so the browser build can be deployed without it.
+ */
+
+const USAGE = `Usage: OSLOT_API_KEY=<key> oslot-relay [options]
+
+Options:
+  --port <n>               Port to listen on (default 8787, env PORT)
+  --host <host>            Interface to bind (default 127.0.0.1)
+  -h, --help               Show this help
+
+Environment:
+  OSLOT_API_KEY                 0slot API key (required)
+  OSLOT_ENDPOINT                Custom 0slot endpoint
+  RELAY_FAN_OUT                 Broadcast to the n fastest 0slot regions (default 2)
+  RELAY_SWAP_ENDPOINTS          Comma-separated swap endpoints /api/quote may call
+  RELAY_ALLOW_ORIGIN            Access-Control-Allow-Origin (default *)
+  RELAY_TRUST_PROXY             Take the client IP from X-Forwarded-For (true behind a reverse proxy)
+  RELAY_MAX_SENDS_PER_MINUTE    Per-wallet send limit (default 20)
+  RELAY_MAX_QUOTES_PER_MINUTE   Per-wallet quote limit (default 120)
+  RELAY_MAX_SENDS_PER_IP_PER_MINUTE    Per-client-IP send limit (default 40)
+  RELAY_MAX_QUOTES_PER_IP_PER_MINUTE   Per-client-IP quote limit (default 240)`;
+
+const OPTIONS = {
+    port: { type: 'string' },
+    host: { type: 'string', default: '127.0.0.1' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+const { values } = parseArgs({ options: OPTIONS, strict: true });
+if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    process.exit(0);
+}
+
+const port = Number(values.port || process.env.PORT || 8787);
+let handler;
+try {
+    handler = createRelayHandler(relayOptionsFromEnv(process.env));
+} catch (error) {
+    process.stderr.write(`${error.message}; set OSLOT_API_KEY (see --help)\n`);
+    process.exit(1);
+}
+
+const server = createServer((req, res) => handler(req, res));
+server.listen(port, values.host, () => {
+    console.log(`🛰️  0slot relay listening on http://${values.host}:${port} (/api/send, /api/quote)`);
+});
+
+const shutdown = () => {
+    handler.close();
+    server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { Connection } from '@solana/web3.js';
+import {
+    classifySwapError,
+    DEFAULT_JITO_BLOCK_ENGINE_URL,
+    DEFAULT_RPC_URL,
+    DEFAULT_SWAP_ENDPOINT,
+    getTokenInfo,
+    loadKeypair,
+    parseToBaseUnits,
+    PRIORITY_FEE_PRESETS,
+    redactSendAttempts,
+    resolvePriorityFeePreset,
+    swap,
+} from '../src/sdk/index.js';
+
+/**
+ * oslot-swap: execute a single swap from the command line
+ * Prints one JSON document to stdout (signature, status, timings, ...) and
+ * exits with status 1 if the swap did not finalize. Pipeline logs go to
+ * stderr with --verbose.
+ */
+
+const USAGE = `Usage: oslot-swap --in <mint> --out <mint> --amount <n> --slippage-bps <n> --keypair <path> [options]
+
+Required:
+  --in <mint>              Input token mint
+  --out <mint>             Output token mint
+  --amount <n>             Amount to swap in whole tokens, e.g. 1.5
+  --slippage-bps <n>       Slippage tolerance in basis points
+  --keypair <path>         Keypair JSON file (solana-keygen format)
+
+Options:
+  --rpc <url>              RPC URL (default ${DEFAULT_RPC_URL}, env SOLANA_RPC_URL)
+  --endpoint <url>         Swap API endpoint (default ${DEFAULT_SWAP_ENDPOINT})
+  --oslot-api-key <key>    0slot API key (env OSLOT_API_KEY)
+  --oslot-endpoint <url>   Custom 0slot endpoint
+  --region <id>            Pin a 0slot region instead of picking the fastest
+  --fan-out <n>            Broadcast to the n fastest 0slot regions (default 1)
+  --tip-lamports <n>       Tip for the primary submission backend (default 0)
+  --priority-fee <preset>  Re-price the compute budget: ${Object.keys(PRIORITY_FEE_PRESETS).join(', ')}
+                           (default: keep the aggregator's)
+  --priority-fee-cap <n>   Maximum priority fee in lamports for --priority-fee custom
+  --sender <id>            Submission backend: oslot, rpc, jito or relay (default oslot)
+  --fallback <ids>         Comma-separated backends tried after --sender
+  --jito-url <url>         Jito block engine URL (default ${DEFAULT_JITO_BLOCK_ENGINE_URL})
+  --relay-url <url>        JSON-RPC relay URL
+  --dry-run                Build, simulate and inspect only; nothing is signed or sent
+  --allow-warnings         Accept safety inspector warnings (critical findings always block)
+  --verbose                Log pipeline progress to stderr
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+    in: { type: 'string' },
+    out: { type: 'string' },
+    amount: { type: 'string' },
+    'slippage-bps': { type: 'string' },
+    keypair: { type: 'string' },
+    rpc: { type: 'string' },
+    endpoint: { type: 'string' },
+    'oslot-api-key': { type: 'string' },
+    'oslot-endpoint': { type: 'string' },
+    region: { type: 'string' },
+    'fan-out': { type: 'string', default: '1' },
+    'tip-lamports': { type: 'string', default: '0' },
+    'priority-fee': { type: 'string' },
+    'priority-fee-cap': { type: 'string' },
+    sender: { type: 'string', default: 'oslot' },
+    fallback: { type: 'string', default: '' },
+    'jito-url': { type: 'string', default: DEFAULT_JITO_BLOCK_ENGINE_URL },
+    'relay-url': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    'allow-warnings': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Parse a non-negative integer flag
+ *
+ * @param {string} value - Flag value
+ * @param {string} name - Flag name for the error message
+ * @returns {number} Parsed value
+ */
+function parseIntegerFlag(value, name) {
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`--${name} must be a non-negative integer`);
+    }
+    return Number(value);
+}
+
+/**
+ * Send library logs to stderr (or drop them) so stdout only carries the JSON result
+ *
+ * @param {boolean} verbose - Keep the logs
+ */
+function redirectLogs(verbose) {
+    const toStderr = verbose ? (...args) => process.stderr.write(`${args.map(String).join(' ')}\n`) : () => {};
+    console.log = toStderr;
+    console.info = toStderr;
+    console.warn = toStderr;
+    console.error = toStderr;
+}
+
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+async function main() {
+    const { values } = parseArgs({ options: OPTIONS, strict: true });
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const missing = ['in', 'out', 'amount', 'slippage-bps', 'keypair'].filter((name) => !values[name]);
+    if (missing.length) {
+        throw new Error(`Missing ${missing.map((name) => `--${name}`).join(', ')} (see --help)`);
+    }
+
+    redirectLogs(values.verbose);
+
+    const connection = new Connection(values.rpc || process.env.SOLANA_RPC_URL || DEFAULT_RPC_URL, 'confirmed');
+    const keypair = await loadKeypair(values.keypair);
+    const inputToken = await getTokenInfo(connection, values.in);
+    const priorityFee = values['priority-fee']
+        ? resolvePriorityFeePreset(
+            values['priority-fee'],
+            values['priority-fee-cap'] && parseIntegerFlag(values['priority-fee-cap'], 'priority-fee-cap')
+        )
+        : null;
+    const senders = [values.sender, ...values.fallback.split(',').map((id) => id.trim()).filter(Boolean)];
+
+    const result = await swap({
+        keypair,
+        connection,
+        inputMint: values.in,
+        outputMint: values.out,
+        amount: parseToBaseUnits(values.amount, inputToken.decimals),
+        slippageBps: parseIntegerFlag(values['slippage-bps'], 'slippage-bps'),
+        swapEndpoint: values.endpoint || DEFAULT_SWAP_ENDPOINT,
+        oslotApiKey: values['oslot-api-key'] || process.env.OSLOT_API_KEY,
+        oslotEndpoint: values['oslot-endpoint'],
+        region: values.region,
+        fanOut: parseIntegerFlag(values['fan-out'], 'fan-out'),
+        tipLamports: parseIntegerFlag(values['tip-lamports'], 'tip-lamports'),
+        priorityFee,
+        senders,
+        senderContext: { jitoBlockEngineUrl: values['jito-url'], relayUrl: values['relay-url'] },
+        dryRun: values['dry-run'],
+        allowWarnings: values['allow-warnings'],
+    });
+
+    const ok = result.dryRun ? result.simulation?.ok !== false : result.status === 'finalized';
+    printJson({ ok, ...result });
+    return ok ? 0 : 1;
+}
+
+// Exit explicitly: the RPC websocket used for confirmation tracking keeps the event loop alive
+main().then(
+    (exitCode) => process.exit(exitCode),
+    (error) => {
+        const { category, stage } = classifySwapError(error, 'prepare');
+        printJson({ ok: false, error: error.message, category, stage, sendAttempts: redactSendAttempts(error.attempts) });
+        process.exit(1);
+    }
+);
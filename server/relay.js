@@ -0,0 +1,423 @@
+import { ed25519 } from '@noble/curves/ed25519';
+import { PACKET_DATA_SIZE, PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { Buffer } from 'buffer';
+import { fetchSwapTransaction } from '../src/utils/oslot.js';
+import { getConfiguredRegions, selectRegionTargets, startLatencyProbe } from '../src/utils/oslotRegions.js';
+import { oslotSender } from '../src/utils/senders.js';
+
+/**
+ * Backend relay
+ * Holds the 0slot API key server-side so it never reaches the browser bundle.
+ *
+ *   POST /api/send   JSON-RPC `sendTransaction` (what Connection.sendRawTransaction
+ *                    sends), forwarded to the fastest 0slot region(s) with the key.
+ *                    Usable as a 0slot target by executeSwapWithOSlot.
+ *   GET  /api/quote  Swap quote proxy: ?endpoint=&inputMint=&outputMint=&amount=&slippageBps=&userPublicKey=
+ *                    Fetched through the provider adapters and returned as a normalized quote.
+ *
+ * Both routes are rate limited per client IP and per wallet (the transaction's
+ * fee payer, whose signature is verified, or userPublicKey) and reject oversized
+ * payloads. Submissions are logged as JSON lines.
+ *
+ * The handler has the connect middleware signature (req, res, next), so it can
+ * be mounted in the Vite dev server or passed to http.createServer.
+ */
+
+export const DEFAULT_RELAY_LIMITS = {
+    windowMs: 60_000,
+    maxSendsPerWallet: 20,
+    maxQuotesPerWallet: 120,
+    // Per-IP limits hold even when a client rotates wallets or userPublicKey values
+    maxSendsPerIp: 40,
+    maxQuotesPerIp: 240,
+    // A base64 packet-sized transaction plus the JSON-RPC envelope fits comfortably
+    maxBodyBytes: 4096,
+};
+
+export const DEFAULT_SWAP_ENDPOINTS = [
+    'https://metaagg.velvetdao.xyz/api/v1/route/solana/swap',
+    'https://quote-api.jup.ag/v6/quote',
+];
+
+// JSON-RPC error codes returned by /api/send
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const SERVER_ERROR = -32000;
+const RATE_LIMITED = -32005;
+
+/**
+ * Sliding-window request counter per key
+ *
+ * @param {Object} options - { windowMs, max }
+ * @returns {Object} { check(key) => { allowed, retryAfterMs } }
+ */
+export function createRateLimiter({ windowMs, max }) {
+    const hits = new Map();
+
+    return {
+        check(key) {
+            const now = Date.now();
+            const recent = (hits.get(key) || []).filter((time) => now - time < windowMs);
+            if (recent.length >= max) {
+                hits.set(key, recent);
+                return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+            }
+            recent.push(now);
+            hits.set(key, recent);
+            // Forget idle wallets so the map doesn't grow without bound
+            if (hits.size > 10_000) {
+                for (const [candidate, times] of hits) {
+                    if (!times.some((time) => now - time < windowMs)) hits.delete(candidate);
+                }
+            }
+            return { allowed: true, retryAfterMs: 0 };
+        },
+    };
+}
+
+/**
+ * Write a log entry as one JSON line
+ *
+ * @param {Object} entry - Fields to log
+ */
+function logJson(entry) {
+    console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+}
+
+/**
+ * Read a request body, refusing anything over the size limit
+ *
+ * @param {IncomingMessage} req - Request
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(req.headers['content-length']);
+        if (declared > maxBytes) {
+            reject(Object.assign(new Error(`Payload exceeds ${maxBytes} bytes`), { status: 413 }));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error(`Payload exceeds ${maxBytes} bytes`), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ *
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Decode and check a transaction submitted to /api/send
+ *
+ * @param {Array} params - sendTransaction params: [encoded transaction, { encoding }]
+ * @returns {Object} { bytes, wallet }
+ */
+function parseSubmission(params) {
+    const [encoded, { encoding = 'base58' } = {}] = Array.isArray(params) ? params : [];
+    if (typeof encoded !== 'string' || encoding !== 'base64') {
+        throw Object.assign(new Error('Expected a base64 encoded transaction'), { code: INVALID_PARAMS });
+    }
+    const bytes = Buffer.from(encoded, 'base64');
+    if (bytes.length > PACKET_DATA_SIZE) {
+        throw Object.assign(new Error(`Transaction is ${bytes.length} bytes (limit ${PACKET_DATA_SIZE})`), { code: INVALID_PARAMS });
+    }
+
+    let transaction;
+    try {
+        transaction = VersionedTransaction.deserialize(bytes);
+    } catch (error) {
+        throw Object.assign(new Error(`Invalid transaction: ${error.message}`), { code: INVALID_PARAMS });
+    }
+    // Without this check the per-wallet limit could be dodged with a made-up fee payer
+    const feePayer = transaction.message.staticAccountKeys[0];
+    const signature = transaction.signatures[0];
+    let verified = false;
+    try {
+        verified = Boolean(feePayer && signature) && ed25519.verify(signature, transaction.message.serialize(), feePayer.toBytes());
+    } catch {
+        verified = false;
+    }
+    if (!verified) {
+        throw Object.assign(new Error('Transaction is not signed by its fee payer'), { code: INVALID_PARAMS });
+    }
+    return { bytes, wallet: feePayer.toBase58() };
+}
+
+/**
+ * Client address of a request
+ *
+ * @param {IncomingMessage} req - Request
+ * @param {boolean} trustProxy - Use the address the reverse proxy in front appended to X-Forwarded-For
+ * @returns {string|null} IP address
+ */
+function clientAddress(req, trustProxy) {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for'] : null;
+    if (forwarded) {
+        // Earlier entries are set by the client; only the last one comes from the proxy
+        return String(forwarded).split(',').pop().trim();
+    }
+    return req.socket?.remoteAddress ?? null;
+}
+
+/**
+ * Create the relay request handler
+ *
+ * @param {Object} options - Relay options
+ * @param {string} options.oslotApiKey - 0slot API key (server-side only)
+ * @param {string} [options.oslotEndpoint] - Custom 0slot endpoint, added to the known regions
+ * @param {number} [options.fanOut] - Broadcast each transaction to this many of the fastest regions (default 2)
+ * @param {Array<string>} [options.swapEndpoints] - Upstream swap endpoints /api/quote may call
+ * @param {string} [options.allowOrigin] - Access-Control-Allow-Origin value (default '*')
+ * @param {boolean} [options.trustProxy] - Take the client IP from X-Forwarded-For (set behind a reverse proxy)
+ * @param {Object} [options.limits] - Overrides for DEFAULT_RELAY_LIMITS
+ * @param {Function} [options.log] - Log sink for submission entries (default JSON lines on stdout)
+ * @returns {Function} (req, res, next) handler; call handler.close() to stop the region latency probe
+ */
+export function createRelayHandler({
+    oslotApiKey,
+    oslotEndpoint,
+    fanOut = 2,
+    swapEndpoints = DEFAULT_SWAP_ENDPOINTS,
+    allowOrigin = '*',
+    trustProxy = false,
+    limits = {},
+    log = logJson,
+}) {
+    if (!oslotApiKey) {
+        throw new Error('The relay needs a 0slot API key');
+    }
+    const {
+        windowMs, maxSendsPerWallet, maxQuotesPerWallet, maxSendsPerIp, maxQuotesPerIp, maxBodyBytes,
+    } = { ...DEFAULT_RELAY_LIMITS, ...limits };
+    const sendLimiter = createRateLimiter({ windowMs, max: maxSendsPerWallet });
+    const quoteLimiter = createRateLimiter({ windowMs, max: maxQuotesPerWallet });
+    const sendIpLimiter = createRateLimiter({ windowMs, max: maxSendsPerIp });
+    const quoteIpLimiter = createRateLimiter({ windowMs, max: maxQuotesPerIp });
+
+    // Regions are ranked by latency from this server, which is where the transaction is sent from
+    const regions = getConfiguredRegions(oslotEndpoint);
+    let rankedRegions = regions;
+    const stopProbe = startLatencyProbe(regions, oslotApiKey, {
+        onUpdate: (ranked) => {
+            rankedRegions = ranked;
+        },
+    });
+
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': allowOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+    };
+
+    const handleSend = async (req, res) => {
+        const startTime = performance.now();
+        const clientIp = clientAddress(req, trustProxy);
+        let request = null;
+        let wallet = null;
+
+        const reply = (payload) => sendJson(res, 200, { jsonrpc: '2.0', id: request?.id ?? null, ...payload }, corsHeaders);
+        const fail = (code, message) => {
+            log({ event: 'send-rejected', wallet, ip: clientIp, code, error: message });
+            reply({ error: { code, message } });
+        };
+
+        // Checked before the body is parsed, so a flood of junk is refused cheaply too
+        const ipLimit = sendIpLimiter.check(clientIp);
+        if (!ipLimit.allowed) {
+            fail(RATE_LIMITED, `Relay rate limit reached for this client; retry in ${Math.ceil(ipLimit.retryAfterMs / 1000)}s`);
+            return;
+        }
+
+        try {
+            request = JSON.parse(await readBody(req, maxBodyBytes));
+        } catch (error) {
+            if (error.status === 413) {
+                log({ event: 'send-rejected', ip: clientIp, error: error.message });
+                sendJson(res, 413, { error: error.message }, corsHeaders);
+                return;
+            }
+            fail(INVALID_REQUEST, 'Request body is not valid JSON');
+            return;
+        }
+        if (request.method !== 'sendTransaction') {
+            fail(METHOD_NOT_FOUND, `Method not supported by the relay: ${request.method}`);
+            return;
+        }
+
+        let submission;
+        try {
+            submission = parseSubmission(request.params);
+        } catch (error) {
+            fail(error.code, error.message);
+            return;
+        }
+        wallet = submission.wallet;
+
+        // Rate limits are answered as JSON-RPC errors: Connection would retry an HTTP 429 on its own
+        const limit = sendLimiter.check(wallet);
+        if (!limit.allowed) {
+            fail(RATE_LIMITED, `Relay rate limit reached for this wallet; retry in ${Math.ceil(limit.retryAfterMs / 1000)}s`);
+            return;
+        }
+
+        // The reply goes out on the first region that accepts (each region has its own timeout), so a slow
+        // region can't push it past the client's sender timeout; the log line waits for every region
+        const oslotTargets = selectRegionTargets(rankedRegions, oslotApiKey, fanOut);
+        let settleRegions;
+        const allRegionTimings = new Promise((resolve) => {
+            settleRegions = resolve;
+        });
+        try {
+            const { signature, metadata } = await oslotSender.send(submission.bytes, { oslotTargets, onRegionTimings: settleRegions });
+            const durationMs = performance.now() - startTime;
+            reply({ result: signature });
+            allRegionTimings.then((regionTimings) => log({
+                event: 'send',
+                wallet,
+                ip: clientIp,
+                signature,
+                bytes: submission.bytes.length,
+                fastestRegion: metadata.fastestRegion,
+                // Without endpoints, which carry the API key
+                regions: regionTimings.map(({ regionId, durationMs: regionMs, error }) => ({ regionId, durationMs: regionMs, error })),
+                durationMs,
+            }));
+        } catch (error) {
+            fail(SERVER_ERROR, error.message);
+        }
+    };
+
+    const handleQuote = async (req, url, res) => {
+        const params = Object.fromEntries(url.searchParams);
+        const { endpoint, inputMint, outputMint, amount, slippageBps, userPublicKey } = params;
+
+        if (!endpoint || !inputMint || !outputMint || !/^\d+$/.test(amount || '') || !userPublicKey) {
+            sendJson(res, 400, { error: 'endpoint, inputMint, outputMint, amount and userPublicKey are required' }, corsHeaders);
+            return;
+        }
+        if (!swapEndpoints.includes(endpoint)) {
+            sendJson(res, 403, { error: `Swap endpoint is not allowed by this relay: ${endpoint}` }, corsHeaders);
+            return;
+        }
+        try {
+            new PublicKey(userPublicKey);
+        } catch {
+            sendJson(res, 400, { error: 'userPublicKey is not a valid public key' }, corsHeaders);
+            return;
+        }
+
+        const ipLimit = quoteIpLimiter.check(clientAddress(req, trustProxy));
+        const limit = ipLimit.allowed ? quoteLimiter.check(userPublicKey) : ipLimit;
+        if (!limit.allowed) {
+            const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+            const subject = ipLimit.allowed ? 'wallet' : 'client';
+            sendJson(res, 429, { error: `Quote rate limit reached for this ${subject}; retry in ${retryAfter}s` }, {
+                ...corsHeaders,
+                'Retry-After': String(retryAfter),
+            });
+            return;
+        }
+
+        try {
+            const quote = await fetchSwapTransaction(endpoint, {
+                inputMint,
+                outputMint,
+                amount,
+                slippageBps: Number(slippageBps) || 50,
+            }, userPublicKey);
+            sendJson(res, 200, quote, corsHeaders);
+        } catch (error) {
+            sendJson(res, 502, { error: error.message, upstreamStatus: error.status ?? null }, corsHeaders);
+        }
+    };
+
+    const handler = (req, res, next) => {
+        const url = new URL(req.url, 'http://relay');
+        const route = url.pathname.replace(/\/+$/, '');
+        if (route !== '/api/send' && route !== '/api/quote') {
+            if (next) {
+                next();
+            } else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        const run = route === '/api/send' && req.method === 'POST'
+            ? handleSend(req, res)
+            : route === '/api/quote' && req.method === 'GET'
+                ? handleQuote(req, url, res)
+                : null;
+        if (!run) {
+            sendJson(res, 405, { error: `${req.method} is not supported on ${route}` }, corsHeaders);
+            return;
+        }
+        run.catch((error) => {
+            log({ event: 'error', route, error: error.message });
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal relay error' }, corsHeaders);
+            }
+        });
+    };
+
+    handler.close = stopProbe;
+    return handler;
+}
+
+/**
+ * Relay options from environment variables
+ * OSLOT_API_KEY, OSLOT_ENDPOINT, RELAY_FAN_OUT, RELAY_SWAP_ENDPOINTS (comma-separated),
+ * RELAY_ALLOW_ORIGIN, RELAY_TRUST_PROXY, RELAY_MAX_SENDS_PER_MINUTE, RELAY_MAX_QUOTES_PER_MINUTE,
+ * RELAY_MAX_SENDS_PER_IP_PER_MINUTE, RELAY_MAX_QUOTES_PER_IP_PER_MINUTE
+ *
+ * @param {Object} env - Environment (process.env or Vite's loadEnv result)
+ * @returns {Object} Options for createRelayHandler
+ */
+export function relayOptionsFromEnv(env) {
+    const limits = {};
+    if (env.RELAY_MAX_SENDS_PER_MINUTE) limits.maxSendsPerWallet = Number(env.RELAY_MAX_SENDS_PER_MINUTE);
+    if (env.RELAY_MAX_QUOTES_PER_MINUTE) limits.maxQuotesPerWallet = Number(env.RELAY_MAX_QUOTES_PER_MINUTE);
+    if (env.RELAY_MAX_SENDS_PER_IP_PER_MINUTE) limits.maxSendsPerIp = Number(env.RELAY_MAX_SENDS_PER_IP_PER_MINUTE);
+    if (env.RELAY_MAX_QUOTES_PER_IP_PER_MINUTE) limits.maxQuotesPerIp = Number(env.RELAY_MAX_QUOTES_PER_IP_PER_MINUTE);
+
+    return {
+        oslotApiKey: env.OSLOT_API_KEY,
+        oslotEndpoint: env.OSLOT_ENDPOINT || undefined,
+        fanOut: env.RELAY_FAN_OUT ? Number(env.RELAY_FAN_OUT) : undefined,
+        swapEndpoints: env.RELAY_SWAP_ENDPOINTS
+            ? env.RELAY_SWAP_ENDPOINTS.split(',').map((endpoint) => endpoint.trim()).filter(Boolean)
+            : undefined,
+        allowOrigin: env.RELAY_ALLOW_ORIGIN || undefined,
+        trustProxy: env.RELAY_TRUST_PROXY === 'true',
+        limits,
+    };
+}
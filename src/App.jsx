@@ -1,10 +1,20 @@
 import { WalletMultiButton } from '@solana/wallet-adapter-react-ui';
 import { useWallet } from '@solana/wallet-adapter-react';
 import SwapComponent from './components/SwapComponent';
+import RebalancePanel from './components/RebalancePanel';
+import LatencyTelemetry from './components/LatencyTelemetry';
+import SettingsPanel from './components/SettingsPanel';
+import SwapHistory from './components/SwapHistory';
+import { useAppConfig } from './hooks/useAppConfig';
 import './App.css';
 
 function App() {
   const { connected } = useWallet();
+  const { config } = useAppConfig();
+
+  // Remount the settings form when settings change so its draft starts from the saved values;
+  // the swap and rebalance panels read the config in place and keep any work in progress
+  const configKey = JSON.stringify(config);
 
   return (
     <div className="app">
@@ -16,8 +26,14 @@ function App() {
       </header>
 
       <main className="app-main">
+        <SettingsPanel key={configKey} />
         {connected ? (
-          <SwapComponent />
+          <>
+            <SwapComponent />
+            <RebalancePanel />
+            <SwapHistory />
+            <LatencyTelemetry />
+          </>
         ) : (
           <div className="connect-prompt">
             <h2>Connect Your Wallet</h2>
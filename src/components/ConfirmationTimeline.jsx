@@ -0,0 +1,68 @@
+import './ConfirmationTimeline.css';
+
+const STATUS_LABELS = {
+    sent: 'Sent to 0slot',
+    processed: 'Processed',
+    confirmed: 'Confirmed',
+    finalized: 'Finalized',
+    failed: 'Failed on-chain',
+    expired: 'Blockhash expired',
+    timeout: 'Timed out',
+};
+
+const FAILURE_STATUSES = ['failed', 'expired', 'timeout'];
+
+/**
+ * Live status timeline for a submitted transaction
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.events - Status updates from trackTransactionConfirmation
+ * @param {string} props.signature - Transaction signature being tracked
+ */
+export default function ConfirmationTimeline({ events, signature }) {
+    if (!events.length) {
+        return null;
+    }
+
+    const startTime = events[0].timestamp;
+    const lastStatus = events[events.length - 1].status;
+    const pending = !['finalized', ...FAILURE_STATUSES].includes(lastStatus);
+
+    return (
+        <div className="confirmation-timeline">
+            <ol>
+                {events.map((event) => (
+                    <li
+                        key={event.status}
+                        className={FAILURE_STATUSES.includes(event.status) ? 'timeline-step failed' : 'timeline-step'}
+                    >
+                        <span className="timeline-label">{STATUS_LABELS[event.status] || event.status}</span>
+                        <span className="timeline-meta">
+                            +{((event.timestamp - startTime) / 1000).toFixed(2)}s
+                            {event.slot ? ` · slot ${event.slot}` : ''}
+                        </span>
+                        {event.errorMessage && (
+                            <div className="timeline-error">{event.errorMessage}</div>
+                        )}
+                    </li>
+                ))}
+                {pending && (
+                    <li className="timeline-step pending">
+                        <span className="timeline-label">Waiting for next confirmation…</span>
+                    </li>
+                )}
+            </ol>
+            {signature && (
+                <div className="tx-link">
+                    <a
+                        href={`https://solscan.io/tx/${signature}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                    >
+                        View on Solscan
+                    </a>
+                </div>
+            )}
+        </div>
+    );
+}
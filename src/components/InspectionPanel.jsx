@@ -0,0 +1,63 @@
+import './InspectionPanel.css';
+
+/**
+ * Safety inspection report, with acknowledgement buttons while a decision is pending
+ *
+ * @param {Object} props
+ * @param {Object|null} props.report - Result of inspectTransaction
+ * @param {boolean} props.awaitingDecision - Whether the swap is paused for the user's acknowledgement
+ * @param {Function} props.onDecision - Called with true (continue) or false (cancel)
+ */
+export default function InspectionPanel({ report, awaitingDecision, onDecision }) {
+    if (!report) {
+        return null;
+    }
+
+    const className = report.blocked
+        ? 'inspection-panel blocked'
+        : report.findings.length ? 'inspection-panel warning' : 'inspection-panel';
+
+    return (
+        <div className={className}>
+            <div className="inspection-title">
+                {report.blocked && 'Transaction blocked by safety inspector'}
+                {!report.blocked && report.findings.length > 0 && 'Safety inspector warnings'}
+                {!report.findings.length && 'Safety inspection passed'}
+            </div>
+
+            {report.findings.length > 0 && (
+                <ul className="inspection-findings">
+                    {report.findings.map((finding, i) => (
+                        <li key={i} className={`finding-${finding.severity}`}>
+                            {finding.instructionIndex !== null && <span>#{finding.instructionIndex} </span>}
+                            {finding.message}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <details className="inspection-instructions">
+                <summary>Decoded instructions ({report.instructions.length})</summary>
+                <ol start="0">
+                    {report.instructions.map((instruction) => (
+                        <li key={instruction.index}>
+                            <strong>{instruction.programLabel || instruction.programId}</strong>: {instruction.type}
+                            {' '}({instruction.accounts.length} accounts)
+                        </li>
+                    ))}
+                </ol>
+            </details>
+
+            {awaitingDecision && (
+                <div className="inspection-actions">
+                    <button type="button" className="inspection-cancel" onClick={() => onDecision(false)}>
+                        Cancel swap
+                    </button>
+                    <button type="button" className="inspection-accept" onClick={() => onDecision(true)}>
+                        I understand, continue to signing
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
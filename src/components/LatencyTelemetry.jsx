@@ -0,0 +1,126 @@
+import { useEffect, useState } from 'react';
+import { useAppConfig } from '../hooks/useAppConfig';
+import {
+    clearTelemetry,
+    listTelemetry,
+    PERCENTILES,
+    SUBMISSION_PATHS,
+    subscribeToTelemetry,
+    summarizeTelemetry,
+    TELEMETRY_METRICS,
+} from '../utils/telemetry';
+import './LatencyTelemetry.css';
+
+const formatValue = (value, unit) => {
+    if (value === null || value === undefined) {
+        return '—';
+    }
+    return unit === 'ms' ? `${Math.round(value)} ms` : `${value} ${unit}`;
+};
+
+/**
+ * Percentile bars for one metric, one group of bars per submission path
+ *
+ * @param {Object} props
+ * @param {Object} props.metric - Entry of TELEMETRY_METRICS
+ * @param {Object} props.summary - Output of summarizeTelemetry
+ */
+function MetricChart({ metric, summary }) {
+    const paths = Object.keys(summary);
+    const values = paths.flatMap((path) => PERCENTILES.map((p) => summary[path].metrics[metric.key][`p${p}`]));
+    const max = Math.max(1, ...values.filter((value) => value !== null));
+
+    return (
+        <div className="telemetry-metric">
+            <h4>{metric.label}</h4>
+            {paths.map((path) => {
+                const stats = summary[path].metrics[metric.key];
+                return (
+                    <div key={path} className={`telemetry-path path-${path}`}>
+                        <span className="telemetry-path-label">
+                            {SUBMISSION_PATHS[path] || path} <small>(n={stats.samples})</small>
+                        </span>
+                        {PERCENTILES.map((p) => {
+                            const value = stats[`p${p}`];
+                            return (
+                                <div key={p} className="telemetry-bar-row">
+                                    <span className="telemetry-percentile">p{p}</span>
+                                    <div className="telemetry-bar-track">
+                                        <div
+                                            className="telemetry-bar"
+                                            style={{ width: value === null ? 0 : `${(Math.max(0, value) / max) * 100}%` }}
+                                        />
+                                    </div>
+                                    <span className="telemetry-value">{formatValue(value, metric.unit)}</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+/**
+ * Rolling latency telemetry with 0slot vs. standard RPC percentile charts
+ */
+export default function LatencyTelemetry() {
+    const { config } = useAppConfig();
+    const [records, setRecords] = useState(listTelemetry);
+
+    useEffect(() => subscribeToTelemetry(() => setRecords(listTelemetry())), []);
+
+    const summary = summarizeTelemetry(records);
+    const rpcShare = Number(config.abRpcShare) || 0;
+
+    return (
+        <details className="latency-telemetry">
+            <summary>Latency Telemetry ({records.length} swaps)</summary>
+
+            <p className="telemetry-note">
+                {rpcShare > 0
+                    ? `A/B mode: ${rpcShare}% of swaps are sent through the standard RPC without a 0slot tip.`
+                    : 'A/B mode is off; set a standard RPC share in Settings to compare against 0slot.'}
+            </p>
+
+            <table className="telemetry-summary">
+                <thead>
+                    <tr>
+                        <th>Path</th>
+                        <th>Attempts</th>
+                        <th>Sent</th>
+                        <th>Landed</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {Object.keys(summary).map((path) => (
+                        <tr key={path}>
+                            <td>{SUBMISSION_PATHS[path] || path}</td>
+                            <td>{summary[path].count}</td>
+                            <td>{summary[path].sent}</td>
+                            <td>
+                                {summary[path].landed}
+                                {summary[path].landedRate !== null && ` (${(summary[path].landedRate * 100).toFixed(0)}%)`}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {records.length > 0 && (
+                <div className="telemetry-charts">
+                    {TELEMETRY_METRICS.map((metric) => (
+                        <MetricChart key={metric.key} metric={metric} summary={summary} />
+                    ))}
+                </div>
+            )}
+
+            <div className="telemetry-actions">
+                <button type="button" onClick={clearTelemetry} disabled={records.length === 0}>
+                    Clear telemetry
+                </button>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,93 @@
+import './OSlotRegionPanel.css';
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '—' : `${Math.round(ms)} ms`);
+
+/**
+ * 0slot region selection, latency ranking and per-region send timings
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.rankedRegions - Regions ranked by probe latency (fastest first)
+ * @param {string} props.regionMode - 'auto' or a specific region id
+ * @param {Function} props.onRegionModeChange - Called with the new region mode
+ * @param {number} props.fanOut - Number of regions to broadcast to in auto mode
+ * @param {Function} props.onFanOutChange - Called with the new fan-out count
+ * @param {Array<Object>|null} props.regionTimings - Per-region timings from the last send
+ * @param {string|null} props.fastestRegion - Region that accepted the last send first
+ * @param {boolean} props.disabled - Disable inputs while a swap is in flight
+ */
+export default function OSlotRegionPanel({
+    rankedRegions,
+    regionMode,
+    onRegionModeChange,
+    fanOut,
+    onFanOutChange,
+    regionTimings,
+    fastestRegion,
+    disabled,
+}) {
+    const timingsByRegion = Object.fromEntries((regionTimings || []).map((timing) => [timing.regionId, timing]));
+
+    return (
+        <div className="form-group">
+            <label htmlFor="oslotRegion">0slot Region:</label>
+            <div className="region-controls">
+                <select
+                    id="oslotRegion"
+                    value={regionMode}
+                    onChange={(e) => onRegionModeChange(e.target.value)}
+                    disabled={disabled}
+                >
+                    <option value="auto">Automatic (lowest latency)</option>
+                    {rankedRegions.map((region) => (
+                        <option key={region.id} value={region.id}>
+                            {region.name} ({region.id})
+                        </option>
+                    ))}
+                </select>
+                <label htmlFor="oslotFanOut" className="fan-out-label">
+                    Broadcast to top
+                    <input
+                        id="oslotFanOut"
+                        type="number"
+                        value={fanOut}
+                        onChange={(e) => onFanOutChange(parseInt(e.target.value, 10) || 1)}
+                        min="1"
+                        max={rankedRegions.length}
+                        step="1"
+                        disabled={disabled || regionMode !== 'auto'}
+                    />
+                    regions
+                </label>
+            </div>
+
+            <table className="region-table">
+                <thead>
+                    <tr>
+                        <th>Region</th>
+                        <th>Probe latency</th>
+                        <th>Last send</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rankedRegions.map((region) => {
+                        const timing = timingsByRegion[region.id];
+                        return (
+                            <tr key={region.id} className={region.id === fastestRegion ? 'fastest' : undefined}>
+                                <td>{region.name} ({region.id})</td>
+                                <td>{region.sampleCount ? formatMs(region.medianLatencyMs) : 'probing…'}</td>
+                                <td>
+                                    {!timing && '—'}
+                                    {timing && timing.signature && formatMs(timing.durationMs)}
+                                    {timing && !timing.signature && <span className="region-error" title={timing.error}>rejected</span>}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+            <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                Swaps are executed via 0slot unless the A/B setting routes them through the standard RPC. Latency is re-probed every 30 seconds.
+            </small>
+        </div>
+    );
+}
@@ -0,0 +1,122 @@
+import { useEffect, useState } from 'react';
+import { formatBaseUnits } from '../utils/amounts';
+import { cancelOrder, listOrders, ORDER_TYPES, subscribeToOrders } from '../utils/orders';
+import { getCachedTokenInfo } from '../utils/tokens';
+import './OrdersPanel.css';
+
+/**
+ * Format a base-unit amount using the token list when the mint is known
+ *
+ * @param {string|null} amount - Amount in base units
+ * @param {string} mint - Token mint
+ * @returns {string} Display amount
+ */
+function formatAmount(amount, mint) {
+    if (amount === null || amount === undefined) {
+        return '—';
+    }
+    const token = getCachedTokenInfo(mint);
+    return token ? `${formatBaseUnits(amount, token.decimals)} ${token.symbol}` : `${amount} (raw)`;
+}
+
+/**
+ * Describe an order's size and condition in a line
+ *
+ * @param {Object} order - Stored order
+ * @returns {string} Summary
+ */
+function describeOrder(order) {
+    if (order.type === 'limit') {
+        return `${formatAmount(order.inAmount, order.inputMint)} → at least ${formatAmount(order.targetOutAmount, order.outputMint)}`;
+    }
+    const minutes = Math.round(order.intervalMs / 60000);
+    return `${formatAmount(order.totalAmount, order.inputMint)} → ${getCachedTokenInfo(order.outputMint)?.symbol || '?'} in ${order.legs} swaps, every ${minutes} min`;
+}
+
+/**
+ * Describe where an order stands
+ *
+ * @param {Object} order - Stored order
+ * @returns {string} Progress
+ */
+function describeProgress(order) {
+    if (order.type === 'dca') {
+        const next = order.status === 'pending' ? `, next ${new Date(order.nextRunAt).toLocaleTimeString()}` : '';
+        return `${order.legsFilled}/${order.legs} filled${next}`;
+    }
+    return order.lastQuote ? `last quote ${formatAmount(order.lastQuote.expectedOutAmount, order.outputMint)}` : 'not quoted yet';
+}
+
+/**
+ * Limit orders and DCA plans of the connected wallet, with the fill approval prompt
+ *
+ * @param {Object} props
+ * @param {string|null} props.wallet - Connected wallet address
+ * @param {Object|null} props.pendingApproval - { order, quote } waiting for the user's approval
+ * @param {Function} props.onApprovalDecision - Called with true (approve and sign) or false (skip this fill)
+ */
+export default function OrdersPanel({ wallet, pendingApproval, onApprovalDecision }) {
+    const [orders, setOrders] = useState(listOrders);
+
+    useEffect(() => subscribeToOrders(() => setOrders(listOrders())), []);
+
+    const walletOrders = orders.filter((order) => order.wallet === wallet).reverse();
+    if (!walletOrders.length) {
+        return null;
+    }
+
+    return (
+        <div className="orders-panel">
+            <div className="orders-title">Orders</div>
+
+            {pendingApproval && (
+                <div className="order-approval">
+                    <strong>{ORDER_TYPES[pendingApproval.order.type]} ready to fill:</strong>
+                    {' '}swap {formatAmount(pendingApproval.quote.inAmount, pendingApproval.order.inputMint)} for about
+                    {' '}{formatAmount(pendingApproval.quote.expectedOutAmount, pendingApproval.order.outputMint)}
+                    {pendingApproval.quote.minimumOutAmount && ` (at least ${formatAmount(pendingApproval.quote.minimumOutAmount, pendingApproval.order.outputMint)})`}
+                    <div className="order-approval-actions">
+                        <button type="button" className="order-skip" onClick={() => onApprovalDecision(false)}>
+                            Skip this fill
+                        </button>
+                        <button type="button" className="order-approve" onClick={() => onApprovalDecision(true)}>
+                            Approve & sign
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <ul className="orders-list">
+                {walletOrders.map((order) => {
+                    const lastFill = order.fills[order.fills.length - 1];
+                    return (
+                        <li key={order.id} className={`order order-${order.status}`}>
+                            <div className="order-header">
+                                <span>{ORDER_TYPES[order.type]}</span>
+                                <span className="order-status">{order.status}</span>
+                            </div>
+                            <div>{describeOrder(order)}</div>
+                            <div className="order-detail">{describeProgress(order)}</div>
+                            {lastFill && (
+                                <div className="order-detail">
+                                    Last fill: {lastFill.status}
+                                    {lastFill.signature && (
+                                        <>
+                                            {' '}(<a href={`https://solscan.io/tx/${lastFill.signature}`} target="_blank" rel="noopener noreferrer">tx</a>)
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                            {order.lastError && <div className="order-error">{order.lastError}</div>}
+                            {(order.status === 'pending' || order.status === 'filling') && (
+                                <button type="button" className="order-cancel" onClick={() => cancelOrder(order.id)}>
+                                    Cancel
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
@@ -0,0 +1,66 @@
+import { formatBaseUnits } from '../utils/amounts';
+import { getSwapProviders } from '../utils/swapProviders';
+import './QuoteDetails.css';
+
+/**
+ * Uniform display of a normalized swap quote
+ *
+ * @param {Object} props
+ * @param {Object|null} props.quote - Normalized quote from fetchSwapTransaction
+ * @param {Object|null} props.outputToken - Output token info, used to format amounts
+ * @param {Object|null} [props.repricedFrom] - Stale quote this one replaced after signing took too long
+ * @param {boolean} [props.awaitingDecision] - The new price needs the user's approval before signing again
+ * @param {Function} [props.onDecision] - Called with true (sign at the new price) or false (cancel)
+ */
+export default function QuoteDetails({ quote, outputToken, repricedFrom = null, awaitingDecision = false, onDecision }) {
+    if (!quote) {
+        return null;
+    }
+
+    const formatOut = (amount) => {
+        if (amount === null) return null;
+        return outputToken ? `${formatBaseUnits(amount, outputToken.decimals)} ${outputToken.symbol}` : amount;
+    };
+
+    const provider = getSwapProviders().find((candidate) => candidate.id === quote.provider);
+    const rows = [
+        ['Provider', provider ? provider.name : quote.provider],
+        ['Expected output', formatOut(quote.expectedOutAmount)],
+        ['Minimum output', formatOut(quote.minimumOutAmount)],
+        ['Price impact', quote.priceImpactPct === null ? null : `${quote.priceImpactPct.toFixed(4)}%`],
+        ['Route', quote.route],
+        ['Quote expires', new Date(quote.expiresAt).toLocaleTimeString()],
+    ];
+    if (repricedFrom) {
+        rows.splice(2, 0, ['Previous expected output', formatOut(repricedFrom.expectedOutAmount)]);
+    }
+
+    return (
+        <div className="quote-details">
+            <div className="quote-title">{repricedFrom ? 'Quote refreshed' : 'Quote'}</div>
+            {repricedFrom && (
+                <div className="quote-repriced">
+                    The previous quote went stale while waiting for your signature and was fetched again.
+                </div>
+            )}
+            <dl>
+                {rows.map(([label, value]) => (
+                    <div key={label} className="quote-row">
+                        <dt>{label}</dt>
+                        <dd>{value ?? '—'}</dd>
+                    </div>
+                ))}
+            </dl>
+            {awaitingDecision && (
+                <div className="quote-actions">
+                    <button type="button" className="quote-cancel" onClick={() => onDecision(false)}>
+                        Cancel swap
+                    </button>
+                    <button type="button" className="quote-accept" onClick={() => onDecision(true)}>
+                        Accept new price and sign
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,486 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { useAppConfig } from '../hooks/useAppConfig';
+import { formatBaseUnits, NATIVE_SOL_MINT } from '../utils/amounts';
+import { backendEndpoint, parseSenderOrder } from '../utils/config';
+import { fetchSwapTransaction } from '../utils/oslot';
+import { getConfiguredRegions, rankRegions, selectRegionTargets, startLatencyProbe } from '../utils/oslotRegions';
+import { compareQuotes } from '../utils/quoteFreshness';
+import {
+    DEFAULT_MIN_LEG_VALUE,
+    executeRebalance,
+    FINAL_LEG_STATUSES,
+    fetchRebalancePrices,
+    planRebalance,
+    REBALANCE_REFERENCE_MINT,
+    spendableBalances,
+    validateTargetWeights,
+} from '../utils/rebalance';
+import { reconcileSwap } from '../utils/settlement';
+import { recordSwap, updateSwap } from '../utils/swapHistory';
+import { DEFAULT_TOKEN_LIST, fetchWalletBalances, getCachedTokenInfo, SOL_FEE_RESERVE_LAMPORTS } from '../utils/tokens';
+import { supportsVersionedTransactions } from '../utils/walletSigning';
+import InspectionPanel from './InspectionPanel';
+import './RebalancePanel.css';
+
+const REFERENCE_DECIMALS = 6;
+
+/**
+ * Format a base-unit amount using the token list
+ *
+ * @param {string|bigint|null} amount - Amount in base units
+ * @param {string} mint - Token mint
+ * @returns {string} Display amount
+ */
+function formatAmount(amount, mint) {
+    if (amount === null || amount === undefined) {
+        return '—';
+    }
+    const token = getCachedTokenInfo(mint);
+    return token ? `${formatBaseUnits(amount, token.decimals)} ${token.symbol}` : `${amount} (raw)`;
+}
+
+/**
+ * Format a reference value (USDC base units, floating point)
+ *
+ * @param {number} value - Value in reference base units
+ * @returns {string} Display value
+ */
+function formatValue(value) {
+    return `$${(value / 10 ** REFERENCE_DECIMALS).toFixed(2)}`;
+}
+
+/**
+ * Portfolio rebalancing: target weights, plan review and batched execution
+ * All legs are signed in one wallet prompt and sent in parallel (see rebalance.js).
+ */
+export default function RebalancePanel() {
+    const { publicKey, signAllTransactions, wallet } = useWallet();
+    const { connection } = useConnection();
+    const { config } = useAppConfig();
+
+    const [targets, setTargets] = useState([
+        { mint: NATIVE_SOL_MINT, weight: '50' },
+        { mint: REBALANCE_REFERENCE_MINT, weight: '50' },
+    ]);
+    const [slippageBps, setSlippageBps] = useState('50');
+    const [plan, setPlan] = useState(null); // planRebalance result with a quote on every leg
+    const [planning, setPlanning] = useState(false);
+    const [executing, setExecuting] = useState(false);
+    const [legStatuses, setLegStatuses] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Safety warnings of all legs, acknowledged together before the signing prompt
+    const [inspectionReview, setInspectionReview] = useState(null); // Array<{ index, inspection }>
+    const inspectionResolver = useRef(null);
+
+    const confirmInspections = (reviews) => new Promise((resolve) => {
+        inspectionResolver.current = resolve;
+        setInspectionReview(reviews);
+    });
+
+    const handleInspectionDecision = (accepted) => {
+        setInspectionReview(null);
+        inspectionResolver.current?.(accepted);
+        inspectionResolver.current = null;
+    };
+
+    // A review left open when the panel goes away counts as declined, so the waiting legs and the batch signer finish
+    useEffect(() => () => {
+        inspectionResolver.current?.(false);
+        inspectionResolver.current = null;
+    }, []);
+
+    // Legs go to the fastest regions, measured the same way as for the swap form
+    const regions = useMemo(() => getConfiguredRegions(config.oslotEndpoint), [config.oslotEndpoint]);
+    const [rankedRegions, setRankedRegions] = useState(() => rankRegions(regions, {}));
+    const [rankedFrom, setRankedFrom] = useState(regions);
+    if (rankedFrom !== regions) {
+        // A changed custom endpoint changes the region list; don't keep ranking the old one
+        setRankedFrom(regions);
+        setRankedRegions(rankRegions(regions, {}));
+    }
+
+    useEffect(
+        () => (config.backendUrl ? undefined : startLatencyProbe(regions, config.oslotApiKey, { onUpdate: setRankedRegions })),
+        [regions, config.oslotApiKey, config.backendUrl]
+    );
+
+    const busy = planning || executing;
+    const unusedTokens = DEFAULT_TOKEN_LIST.filter((token) => !targets.some((target) => target.mint === token.mint));
+
+    const setTarget = (index, changes) => {
+        setTargets((current) => current.map((target, position) => (position === index ? { ...target, ...changes } : target)));
+        setPlan(null);
+    };
+
+    const quoteLeg = (inputMint, outputMint, amount) => fetchSwapTransaction(config.swapEndpoint, {
+        inputMint,
+        outputMint,
+        amount,
+        slippageBps: parseInt(slippageBps, 10),
+    }, publicKey.toBase58());
+
+    const handlePlan = async () => {
+        setError(null);
+        setSummary(null);
+        setLegStatuses([]);
+        setPlan(null);
+
+        const weights = Object.fromEntries(targets.map((target) => [target.mint, Number(target.weight)]));
+        const slippage = parseInt(slippageBps, 10);
+        const problems = validateTargetWeights(weights);
+        if (!Number.isInteger(slippage) || slippage < 1 || slippage > 5000) {
+            problems.push('Slippage must be between 1 and 5000 BPS');
+        }
+        if (problems.length) {
+            setError(problems.join('; '));
+            return;
+        }
+
+        setPlanning(true);
+        try {
+            const mints = Object.keys(weights);
+            // maxSpendable keeps the fee reserve of one swap; every further leg may spend SOL too
+            const extraLegs = BigInt(Math.max(0, mints.length - 2));
+            const balances = spendableBalances(
+                await fetchWalletBalances(connection, publicKey),
+                mints,
+                SOL_FEE_RESERVE_LAMPORTS * extraLegs
+            );
+            const prices = await fetchRebalancePrices(mints, balances, quoteLeg);
+            const next = planRebalance({ balances, prices, targets: weights });
+            const legs = await Promise.all(next.legs.map(async (leg) => ({
+                ...leg,
+                quote: await quoteLeg(leg.inputMint, leg.outputMint, BigInt(leg.amount)),
+            })));
+            setPlan({ ...next, legs });
+        } catch (err) {
+            console.error('Rebalance planning failed:', err);
+            setError(`Could not plan the rebalance: ${err.message}`);
+        } finally {
+            setPlanning(false);
+        }
+    };
+
+    /**
+     * Re-quote legs whose quote expired while the plan was being reviewed
+     *
+     * @returns {Promise<Array<Object>|null>} Legs to execute, or null if a price got worse and the plan needs another look
+     */
+    const refreshExpiredQuotes = async () => {
+        let worse = false;
+        const legs = await Promise.all(plan.legs.map(async (leg) => {
+            if (Date.now() < leg.quote.expiresAt) {
+                return leg;
+            }
+            const quote = await quoteLeg(leg.inputMint, leg.outputMint, BigInt(leg.amount));
+            worse ||= compareQuotes(leg.quote, quote).worse;
+            return { ...leg, quote };
+        }));
+        setPlan((current) => ({ ...current, legs }));
+        return worse ? null : legs;
+    };
+
+    const handleExecute = async () => {
+        setError(null);
+        setSummary(null);
+        setExecuting(true);
+        try {
+            const legs = await refreshExpiredQuotes();
+            if (!legs) {
+                setError('Some quotes expired and came back at a worse price. Review the updated plan and execute again.');
+                return;
+            }
+
+            const rebalanceId = crypto.randomUUID();
+            const wallet58 = publicKey.toBase58();
+            const historyIds = await Promise.all(legs.map((leg) => recordSwap({
+                wallet: wallet58,
+                rebalanceId,
+                inputMint: leg.inputMint,
+                outputMint: leg.outputMint,
+                inAmount: leg.quote.inAmount,
+                slippageBps: parseInt(slippageBps, 10),
+                provider: leg.quote.provider,
+                swapEndpoint: config.swapEndpoint,
+                quotedOutAmount: leg.quote.expectedOutAmount,
+                minimumOutAmount: leg.quote.minimumOutAmount,
+            }).then((record) => record.id).catch((err) => {
+                console.warn('Could not record swap history:', err);
+                return null;
+            })));
+            const updateHistory = (index, changes) => historyIds[index] && updateSwap(historyIds[index], changes).catch((err) => {
+                console.warn('Could not update swap history:', err);
+            });
+
+            setLegStatuses(legs.map(() => ({ status: 'preparing' })));
+            const onLegUpdate = (index, changes) => {
+                setLegStatuses((current) => current.map((leg, position) => (position === index ? { ...leg, ...changes } : leg)));
+                if (changes.status === 'sent') {
+                    const { sendResult } = changes;
+                    updateHistory(index, {
+                        status: 'sent',
+                        submissionPath: sendResult.sender,
+                        signature: sendResult.signature,
+                        region: sendResult.fastestRegion,
+                        // Without endpoints, which carry the API key
+                        regionTimings: sendResult.regionTimings.map(({ regionId, durationMs, error: regionError }) => ({ regionId, durationMs, error: regionError })),
+                        timings: sendResult.timings,
+                    });
+                } else if (changes.status === 'processed' || changes.status === 'confirmed') {
+                    updateHistory(index, { status: changes.status, slot: changes.slot });
+                } else if (FINAL_LEG_STATUSES.includes(changes.status)) {
+                    updateHistory(index, { status: changes.status, slot: changes.slot ?? null, error: changes.error });
+                }
+            };
+
+            // With a backend relay the server picks the regions; otherwise broadcast to the two fastest
+            const endpoint = config.backendUrl
+                ? [{ id: 'backend-relay', endpoint: backendEndpoint(config.backendUrl, '/api/send') }]
+                : selectRegionTargets(rankedRegions, config.oslotApiKey, 2);
+
+            const result = await executeRebalance(legs, {
+                connection,
+                signAllTransactions,
+                supportsVersioned: supportsVersionedTransactions(wallet?.adapter),
+                endpoint,
+                executeOptions: {
+                    senders: ['oslot', ...parseSenderOrder(config.senderFallbackOrder)],
+                    senderContext: { jitoBlockEngineUrl: config.jitoBlockEngineUrl, relayUrl: config.relayUrl },
+                    simulate: true,
+                    // A failing leg is dropped before the prompt instead of costing a fee
+                    blockOnSimulationFailure: true,
+                    walletPublicKey: publicKey,
+                },
+                confirmInspections,
+                onLegUpdate,
+            });
+            setSummary(result);
+
+            result.results.forEach((legResult, index) => {
+                if (legResult.status !== 'finalized' && legResult.status !== 'failed') {
+                    return;
+                }
+                const { quote } = legs[index];
+                reconcileSwap(connection, legResult.signature, {
+                    wallet: wallet58,
+                    inputMint: quote.inputMint,
+                    outputMint: quote.outputMint,
+                    inAmount: quote.inAmount,
+                    quotedOutAmount: quote.expectedOutAmount,
+                    minimumOutAmount: quote.minimumOutAmount,
+                })
+                    .then((settlement) => settlement && updateHistory(index, { receipt: settlement, actualOutAmount: settlement.outputReceived }))
+                    .catch((err) => console.warn('Could not reconcile swap settlement:', err));
+            });
+        } catch (err) {
+            console.error('Rebalance failed:', err);
+            setError(`Rebalance failed: ${err.message}`);
+        } finally {
+            setExecuting(false);
+        }
+    };
+
+    return (
+        <div className="rebalance-panel">
+            <h2>Rebalance Portfolio</h2>
+
+            <div className="rebalance-targets">
+                {targets.map((target, index) => (
+                    <div key={target.mint} className="rebalance-target">
+                        <select
+                            value={target.mint}
+                            onChange={(e) => setTarget(index, { mint: e.target.value })}
+                            disabled={busy}
+                        >
+                            {DEFAULT_TOKEN_LIST
+                                .filter((token) => token.mint === target.mint || unusedTokens.includes(token))
+                                .map((token) => (
+                                    <option key={token.mint} value={token.mint}>{token.symbol}</option>
+                                ))}
+                        </select>
+                        <input
+                            type="number"
+                            value={target.weight}
+                            onChange={(e) => setTarget(index, { weight: e.target.value })}
+                            min="0"
+                            max="100"
+                            step="any"
+                            disabled={busy}
+                            aria-label={`${getCachedTokenInfo(target.mint)?.symbol} target weight`}
+                        />
+                        <span>%</span>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                setTargets((current) => current.filter((_, position) => position !== index));
+                                setPlan(null);
+                            }}
+                            disabled={busy || targets.length <= 2}
+                        >
+                            Remove
+                        </button>
+                    </div>
+                ))}
+                <div className="rebalance-toolbar">
+                    <button
+                        type="button"
+                        onClick={() => {
+                            setTargets((current) => [...current, { mint: unusedTokens[0].mint, weight: '0' }]);
+                            setPlan(null);
+                        }}
+                        disabled={busy || !unusedTokens.length}
+                    >
+                        Add token
+                    </button>
+                    <label>
+                        Slippage (BPS)
+                        <input
+                            type="number"
+                            value={slippageBps}
+                            onChange={(e) => {
+                                setSlippageBps(e.target.value);
+                                setPlan(null);
+                            }}
+                            min="1"
+                            max="5000"
+                            disabled={busy}
+                        />
+                    </label>
+                </div>
+                <small>
+                    Tokens not listed are left alone; a weight of 0 sells the token completely. Values are priced in USDC
+                    with quotes from {config.swapEndpoint}.
+                </small>
+            </div>
+
+            <button type="button" className="swap-button" onClick={handlePlan} disabled={busy}>
+                {planning ? 'Planning…' : 'Plan Rebalance'}
+            </button>
+
+            {plan && (
+                <div className="rebalance-plan">
+                    <table className="rebalance-table">
+                        <thead>
+                            <tr>
+                                <th>Token</th>
+                                <th>Balance</th>
+                                <th>Value</th>
+                                <th>Current</th>
+                                <th>Target</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {plan.allocations.map((allocation) => (
+                                <tr key={allocation.mint}>
+                                    <td>{getCachedTokenInfo(allocation.mint)?.symbol}</td>
+                                    <td>{formatAmount(allocation.balance, allocation.mint)}</td>
+                                    <td>{formatValue(allocation.value)}</td>
+                                    <td>{allocation.currentPct.toFixed(1)}%</td>
+                                    <td>{allocation.targetPct}%</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {plan.legs.length === 0 ? (
+                        <p className="rebalance-empty">Already within {formatValue(DEFAULT_MIN_LEG_VALUE)} of the targets; nothing to swap.</p>
+                    ) : (
+                        <table className="rebalance-table">
+                            <thead>
+                                <tr>
+                                    <th>Swap</th>
+                                    <th>Expected / minimum</th>
+                                    <th>Impact</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {plan.legs.map((leg, index) => {
+                                    const legStatus = legStatuses[index];
+                                    return (
+                                        <tr key={`${leg.inputMint}-${leg.outputMint}`}>
+                                            <td>{formatAmount(leg.quote.inAmount, leg.inputMint)} → {getCachedTokenInfo(leg.outputMint)?.symbol}</td>
+                                            <td>
+                                                {formatAmount(leg.quote.expectedOutAmount, leg.outputMint)}
+                                                {' / '}
+                                                {formatAmount(leg.quote.minimumOutAmount, leg.outputMint)}
+                                            </td>
+                                            <td>{leg.quote.priceImpactPct === null ? '—' : `${leg.quote.priceImpactPct.toFixed(2)}%`}</td>
+                                            <td className={`rebalance-status status-${legStatus?.status || 'planned'}`} title={legStatus?.error || undefined}>
+                                                {legStatus?.signature ? (
+                                                    <a href={`https://solscan.io/tx/${legStatus.signature}`} target="_blank" rel="noopener noreferrer">
+                                                        {legStatus.status}
+                                                    </a>
+                                                ) : legStatus?.status || 'planned'}
+                                                {legStatus?.error && <div className="rebalance-leg-error">{legStatus.error}</div>}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    )}
+
+                    {inspectionReview && (
+                        <div className="rebalance-inspections">
+                            {inspectionReview.map(({ index, inspection }) => (
+                                <div key={index}>
+                                    <strong>
+                                        {formatAmount(plan.legs[index].quote.inAmount, plan.legs[index].inputMint)}
+                                        {' → '}
+                                        {getCachedTokenInfo(plan.legs[index].outputMint)?.symbol}
+                                    </strong>
+                                    <InspectionPanel report={inspection} awaitingDecision={false} />
+                                </div>
+                            ))}
+                            <div className="rebalance-toolbar">
+                                <button type="button" onClick={() => handleInspectionDecision(false)}>
+                                    Skip {inspectionReview.length === 1 ? 'this swap' : 'these swaps'}
+                                </button>
+                                <button type="button" onClick={() => handleInspectionDecision(true)}>
+                                    I understand, continue to signing
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {!signAllTransactions && (
+                        <div className="warning-message">
+                            {wallet?.adapter.name || 'This wallet'} can't sign several transactions in one prompt; use the swap form instead.
+                        </div>
+                    )}
+                    {plan.legs.length > 0 && !summary && (
+                        <button
+                            type="button"
+                            className="swap-button"
+                            onClick={handleExecute}
+                            disabled={busy || !signAllTransactions}
+                        >
+                            {executing ? 'Executing…' : `Sign All & Execute (${plan.legs.length} swap${plan.legs.length === 1 ? '' : 's'})`}
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {summary && summary.failed === 0 && (
+                <div className="success-message">All {summary.succeeded} swaps finalized.</div>
+            )}
+            {summary?.partial && (
+                <div className="warning-message">
+                    {summary.succeeded} of {summary.results.length} swaps finalized, so the portfolio is only partly rebalanced.
+                    Re-plan from the current balances to finish it.
+                    <div>
+                        <button type="button" onClick={handlePlan} disabled={busy}>Re-plan</button>
+                    </div>
+                </div>
+            )}
+            {summary && summary.succeeded === 0 && summary.failed > 0 && (
+                <div className="error-message">No swap finalized; see each leg's status for the reason.</div>
+            )}
+            {error && <div className="error-message">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+import { formatBaseUnits } from '../utils/amounts';
+import { getSwapProviders } from '../utils/swapProviders';
+import { netOutAmount } from '../utils/bestRoute';
+import './RouteComparison.css';
+
+/**
+ * Side-by-side comparison of the quotes gathered in best route mode
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.results - Ranked results from fetchRouteQuotes
+ * @param {Object|null} props.selection - { endpoint, rejected } of the executed route
+ * @param {Object|null} props.outputToken - Output token info, used to format amounts
+ */
+export default function RouteComparison({ results, selection, outputToken }) {
+    if (!results.length) {
+        return null;
+    }
+
+    const providerNames = Object.fromEntries(getSwapProviders().map((provider) => [provider.id, provider.name]));
+    const rejectedReasons = Object.fromEntries(
+        (selection?.rejected || []).map((entry) => [entry.endpoint, entry.reason])
+    );
+
+    const formatOut = (amount) => {
+        if (amount === null || amount === undefined) return '—';
+        return outputToken ? formatBaseUnits(amount, outputToken.decimals) : amount.toString();
+    };
+
+    const statusFor = (result) => {
+        if (result.error) return <span className="route-error" title={result.error}>failed</span>;
+        if (rejectedReasons[result.endpoint]) {
+            return <span className="route-error" title={rejectedReasons[result.endpoint]}>rejected</span>;
+        }
+        if (selection?.endpoint === result.endpoint) return <span className="route-selected">selected</span>;
+        return '—';
+    };
+
+    return (
+        <div className="route-comparison">
+            <div className="route-title">Route comparison</div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Provider</th>
+                        <th>Net output</th>
+                        <th>Min output</th>
+                        <th>Impact</th>
+                        <th>Latency</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {results.map((result) => {
+                        const net = result.quote ? netOutAmount(result.quote) : null;
+                        return (
+                            <tr
+                                key={result.endpoint}
+                                className={selection?.endpoint === result.endpoint ? 'selected' : undefined}
+                                title={result.endpoint}
+                            >
+                                <td>{providerNames[result.providerId] || result.providerId}</td>
+                                <td>{formatOut(net)}</td>
+                                <td>{formatOut(result.quote?.minimumOutAmount)}</td>
+                                <td>
+                                    {result.quote?.priceImpactPct === null || !result.quote
+                                        ? '—'
+                                        : `${result.quote.priceImpactPct.toFixed(3)}%`}
+                                </td>
+                                <td>{Math.round(result.durationMs)} ms</td>
+                                <td>{statusFor(result)}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { useAppConfig } from '../hooks/useAppConfig';
+import { CLUSTERS, validateConfig } from '../utils/config';
+import './SettingsPanel.css';
+
+const FIELDS = [
+    { key: 'rpcUrl', label: 'RPC URL', placeholder: 'https://api.mainnet-beta.solana.com' },
+    { key: 'backendUrl', label: 'Backend Relay URL (keeps the 0slot key server-side)', placeholder: 'https://relay.example.com/ or /' },
+    { key: 'oslotApiKey', label: '0slot API Key', placeholder: 'your-0slot-api-key', type: 'password' },
+    { key: 'oslotEndpoint', label: 'Custom 0slot Endpoint (optional)', placeholder: 'https://de1.0slot.trade/' },
+    { key: 'swapEndpoint', label: 'Default Swap API Endpoint', placeholder: 'https://metaagg.velvetdao.xyz/api/v1/route/solana/swap' },
+    { key: 'abRpcShare', label: 'A/B: % of swaps sent via standard RPC', placeholder: '0', type: 'number' },
+    { key: 'jitoBlockEngineUrl', label: 'Jito Block Engine URL', placeholder: 'https://mainnet.block-engine.jito.wtf' },
+    { key: 'relayUrl', label: 'Custom JSON-RPC Relay URL (optional)', placeholder: 'https://relay.example.com/' },
+    { key: 'senderFallbackOrder', label: 'Submission fallback order (oslot, rpc, jito, relay)', placeholder: 'oslot,rpc' },
+];
+
+/**
+ * Settings form for network, RPC and 0slot credentials
+ * Values are validated (including RPC reachability and cluster match) before they are saved.
+ */
+export default function SettingsPanel() {
+    const { config, updateConfig, resetConfig } = useAppConfig();
+    const [draft, setDraft] = useState(config);
+    const [validation, setValidation] = useState(null);
+    const [validating, setValidating] = useState(false);
+    const [saved, setSaved] = useState(false);
+
+    const setField = (key, value) => {
+        setDraft((current) => ({ ...current, [key]: value.trim() }));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        setValidating(true);
+        setSaved(false);
+        try {
+            const result = await validateConfig(draft);
+            setValidation(result);
+            if (result.valid) {
+                updateConfig(draft);
+                setSaved(true);
+            }
+        } finally {
+            setValidating(false);
+        }
+    };
+
+    const handleReset = () => {
+        resetConfig();
+        setValidation(null);
+        setSaved(false);
+    };
+
+    const messageFor = (key) => {
+        if (validation?.errors[key]) return <small className="settings-error">{validation.errors[key]}</small>;
+        if (validation?.warnings[key]) return <small className="settings-warning">{validation.warnings[key]}</small>;
+        return null;
+    };
+
+    return (
+        <details className="settings-panel">
+            <summary>Settings ({config.cluster})</summary>
+
+            <div className="form-group">
+                <label htmlFor="settings-cluster">Cluster:</label>
+                <select
+                    id="settings-cluster"
+                    value={draft.cluster}
+                    onChange={(e) => setField('cluster', e.target.value)}
+                    disabled={validating}
+                >
+                    {CLUSTERS.map((cluster) => (
+                        <option key={cluster} value={cluster}>{cluster}</option>
+                    ))}
+                </select>
+                {messageFor('cluster')}
+            </div>
+
+            {FIELDS.map((field) => (
+                <div className="form-group" key={field.key}>
+                    <label htmlFor={`settings-${field.key}`}>{field.label}:</label>
+                    <input
+                        id={`settings-${field.key}`}
+                        type={field.type || 'text'}
+                        value={draft[field.key]}
+                        onChange={(e) => setField(field.key, e.target.value)}
+                        placeholder={field.placeholder}
+                        disabled={validating}
+                        autoComplete="off"
+                    />
+                    {messageFor(field.key)}
+                </div>
+            ))}
+
+            <div className="settings-actions">
+                <button type="button" onClick={handleReset} disabled={validating}>
+                    Reset to defaults
+                </button>
+                <button type="button" className="settings-save" onClick={handleSave} disabled={validating}>
+                    {validating ? 'Validating...' : 'Validate & save'}
+                </button>
+            </div>
+            {saved && <div className="settings-saved">Settings saved and applied.</div>}
+        </details>
+    );
+}
@@ -0,0 +1,71 @@
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { formatBaseUnits } from '../utils/amounts';
+import { getCachedTokenInfo } from '../utils/tokens';
+import './SettlementReceipt.css';
+
+/**
+ * Format a base-unit amount using the token list when the mint is known
+ *
+ * @param {string|null} amount - Amount in base units
+ * @param {string} mint - Token mint
+ * @returns {string|null} Display amount
+ */
+function formatAmount(amount, mint) {
+    if (amount === null) {
+        return null;
+    }
+    const token = getCachedTokenInfo(mint);
+    return token ? `${formatBaseUnits(amount, token.decimals)} ${token.symbol}` : `${amount} (raw)`;
+}
+
+const formatLamports = (lamports) => `${lamports / LAMPORTS_PER_SOL} SOL`;
+
+/**
+ * Settlement receipt of a landed swap: what it cost and returned compared to the quote
+ *
+ * @param {Object} props
+ * @param {Object|null} props.receipt - Receipt from reconcileSwap
+ */
+export default function SettlementReceipt({ receipt }) {
+    if (!receipt) {
+        return null;
+    }
+
+    const slippage = receipt.realizedSlippageBps;
+    const rows = [
+        ['Input spent', formatAmount(receipt.inputSpent, receipt.inputMint)],
+        ['Quoted input', formatAmount(receipt.quotedInAmount, receipt.inputMint)],
+        ['Output received', formatAmount(receipt.outputReceived, receipt.outputMint)],
+        ['Quoted output', formatAmount(receipt.quotedOutAmount, receipt.outputMint)],
+        ['Minimum output', formatAmount(receipt.minimumOutAmount, receipt.outputMint)],
+        ['Realized slippage', slippage === null
+            ? null
+            : `${slippage} BPS${slippage < 0 ? ' (better than quoted)' : ''}`],
+        ['Network fee', `${formatLamports(receipt.networkFeeLamports)} (base ${formatLamports(receipt.baseFeeLamports)}, priority ${formatLamports(receipt.priorityFeeLamports)})`],
+        ['Tip', formatLamports(receipt.tipLamports)],
+        ['Token account rent', receipt.rentLamports ? formatLamports(receipt.rentLamports) : null],
+        ['Compute units', receipt.computeUnitsConsumed?.toLocaleString()],
+        ['Slot', receipt.slot],
+    ];
+
+    const className = receipt.failed || receipt.belowMinimum ? 'settlement-receipt warning' : 'settlement-receipt';
+
+    return (
+        <div className={className}>
+            <div className="receipt-title">
+                {receipt.failed ? 'Receipt (transaction failed, fees were still charged)' : 'Settlement receipt'}
+            </div>
+            {receipt.belowMinimum && (
+                <div className="receipt-note">Received less than the quoted minimum output.</div>
+            )}
+            <dl>
+                {rows.map(([label, value]) => (
+                    <div key={label} className="receipt-row">
+                        <dt>{label}</dt>
+                        <dd>{value ?? '—'}</dd>
+                    </div>
+                ))}
+            </dl>
+        </div>
+    );
+}
@@ -0,0 +1,68 @@
+import { formatBaseUnits, NATIVE_SOL_MINT } from '../utils/amounts';
+import { getCachedTokenInfo } from '../utils/tokens';
+import './SimulationPreview.css';
+
+const shortenAddress = (address) => `${address.slice(0, 4)}…${address.slice(-4)}`;
+
+/**
+ * Format a balance change for display
+ *
+ * @param {Object} change - { mint, decimals, delta } from simulateSwapTransaction
+ * @returns {string} e.g. "1.5 SOL" or "25000000 (raw) EPjF…Dt1v"
+ */
+function formatChange(change) {
+    const label = change.mint === NATIVE_SOL_MINT
+        ? 'SOL'
+        : getCachedTokenInfo(change.mint)?.symbol || shortenAddress(change.mint);
+    const absolute = change.delta < 0n ? -change.delta : change.delta;
+    if (change.decimals === undefined) {
+        return `${absolute.toString()} (raw) ${label}`;
+    }
+    return `${formatBaseUnits(absolute, change.decimals)} ${label}`;
+}
+
+/**
+ * Balance-change preview from a pre-sign simulation
+ *
+ * @param {Object} props
+ * @param {Object|null} props.simulation - Result of simulateSwapTransaction
+ */
+export default function SimulationPreview({ simulation }) {
+    if (!simulation) {
+        return null;
+    }
+
+    const sent = simulation.balanceChanges.filter((change) => change.delta < 0n);
+    const received = simulation.balanceChanges.filter((change) => change.delta > 0n);
+
+    return (
+        <div className={simulation.ok ? 'simulation-preview' : 'simulation-preview failed'}>
+            <div className="simulation-title">
+                {simulation.ok ? 'Simulation succeeded' : 'Simulation failed'}
+                {simulation.unitsConsumed !== null && (
+                    <span className="simulation-units">{simulation.unitsConsumed.toLocaleString()} CU</span>
+                )}
+            </div>
+
+            {simulation.ok ? (
+                <>
+                    <div>
+                        <strong>You send:</strong> {sent.length ? sent.map(formatChange).join(', ') : 'nothing'}
+                    </div>
+                    <div>
+                        <strong>You receive:</strong> {received.length ? received.map(formatChange).join(', ') : 'nothing'}
+                    </div>
+                </>
+            ) : (
+                <div className="simulation-error">{simulation.errorMessage}</div>
+            )}
+
+            {simulation.logs.length > 0 && (
+                <details className="simulation-logs">
+                    <summary>Program logs ({simulation.logs.length})</summary>
+                    <pre>{simulation.logs.join('\n')}</pre>
+                </details>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,61 @@
+import { getSender } from '../utils/senders';
+import './SubmissionReport.css';
+
+const STATUS_LABELS = {
+    accepted: 'accepted',
+    rejected: 'rejected',
+    timeout: 'timed out',
+    skipped: 'skipped',
+};
+
+/**
+ * Describe a sender's result metadata in a line
+ *
+ * @param {Object|null} metadata - Metadata reported by the sender
+ * @returns {string|null} Summary
+ */
+function describeMetadata(metadata) {
+    if (!metadata) {
+        return null;
+    }
+    if (metadata.bundleId) {
+        return `Bundle ${metadata.bundleId}`;
+    }
+    if (metadata.regionTimings?.length) {
+        return metadata.regionTimings
+            .map((timing) => `${timing.regionId}: ${timing.signature ? `${Math.round(timing.durationMs)} ms` : 'rejected'}`)
+            .join(', ');
+    }
+    return metadata.endpoint || null;
+}
+
+/**
+ * Result of each submission backend tried for the last swap
+ *
+ * @param {Object} props
+ * @param {Array<Object>|null} props.attempts - sendAttempts from executeSwapWithOSlot
+ */
+export default function SubmissionReport({ attempts }) {
+    if (!attempts?.length) {
+        return null;
+    }
+
+    return (
+        <div className="submission-report">
+            <div className="submission-title">Submission</div>
+            <ol>
+                {attempts.map((attempt, index) => (
+                    <li key={`${attempt.sender}-${index}`} className={`submission-${attempt.status}`}>
+                        <strong>{getSender(attempt.sender)?.name || attempt.sender}</strong>
+                        {' '}{STATUS_LABELS[attempt.status]}
+                        {attempt.durationMs !== null && ` in ${Math.round(attempt.durationMs)} ms`}
+                        {attempt.error && <div className="submission-detail">{attempt.error}</div>}
+                        {describeMetadata(attempt.metadata) && (
+                            <div className="submission-detail">{describeMetadata(attempt.metadata)}</div>
+                        )}
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
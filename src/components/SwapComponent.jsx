@@ -1,72 +1,695 @@
-import { useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useWallet, useConnection } from '@solana/wallet-adapter-react';
-import { fetchSwapTransaction, executeSwapWithOSlot } from '../utils/oslot';
+import { LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { fetchSwapTransaction, executeSwapWithOSlot, resendSignedTransaction } from '../utils/oslot';
+import { trackTransactionConfirmation } from '../utils/confirmation';
+import { BEST_ROUTE_ENDPOINTS, fetchRouteQuotes, selectExecutableRoute } from '../utils/bestRoute';
+import { getConfiguredRegions, rankRegions, selectRegionTargets, startLatencyProbe } from '../utils/oslotRegions';
+import { formatBaseUnits, NATIVE_SOL_MINT, parseToBaseUnits } from '../utils/amounts';
+import { maxSpendable, SOL_FEE_RESERVE_LAMPORTS } from '../utils/tokens';
+import { useTokenInfo } from '../hooks/useTokenInfo';
+import { useWalletBalances } from '../hooks/useWalletBalances';
+import { useOrderEngine } from '../hooks/useOrderEngine';
+import { useAppConfig } from '../hooks/useAppConfig';
+import { reconcileSwap } from '../utils/settlement';
+import { recordSwap, updateSwap } from '../utils/swapHistory';
+import { chooseSubmissionPath, createSwapTrace } from '../utils/telemetry';
+import { getSender, getSenders } from '../utils/senders';
+import { createDcaPlan, createLimitOrder, ORDER_TYPES } from '../utils/orders';
+import { backendEndpoint, parseSenderOrder } from '../utils/config';
+import { PRIORITY_FEE_PRESETS, resolvePriorityFeePreset } from '../utils/priorityFee';
+import { executeWithFreshQuote } from '../utils/quoteFreshness';
+import { buildSwapLink, parseSwapLink } from '../utils/swapPresets';
+import { createWalletSigner, supportsVersionedTransactions } from '../utils/walletSigning';
+import {
+    classifySwapError,
+    createConfirmationError,
+    fetchTransactionLogs,
+    suggestSlippageBps,
+} from '../utils/swapErrors';
+import ConfirmationTimeline from './ConfirmationTimeline';
+import InspectionPanel from './InspectionPanel';
+import OrdersPanel from './OrdersPanel';
+import OSlotRegionPanel from './OSlotRegionPanel';
+import QuoteDetails from './QuoteDetails';
+import RouteComparison from './RouteComparison';
+import SettlementReceipt from './SettlementReceipt';
+import SimulationPreview from './SimulationPreview';
+import SubmissionReport from './SubmissionReport';
+import SwapErrorPanel from './SwapErrorPanel';
+import SwapPresets from './SwapPresets';
+import TokenPicker from './TokenPicker';
 import './SwapComponent.css';
 
 export default function SwapComponent() {
-    const { publicKey, signTransaction, connected } = useWallet();
+    const { publicKey, signTransaction, sendTransaction, wallet, connected } = useWallet();
+    // Legacy transactions are converted for wallets without versioned transaction support;
+    // wallets without signTransaction sign and send in one step (see executeSwapWithOSlot)
+    const supportsVersioned = supportsVersionedTransactions(wallet?.adapter);
+    const walletCanSign = Boolean(signTransaction);
     const { connection } = useConnection();
+    const { config } = useAppConfig();
+    const oslotApiKey = config.oslotApiKey;
+    // With a backend relay the key stays on the server, which also picks the 0slot regions
+    const backendUrl = config.backendUrl;
 
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const [failure, setFailure] = useState(null); // Classified swap failure plus what a retry needs, see runSwap
+    const [receipt, setReceipt] = useState(null); // Settlement of the last landed swap, see settlement.js
     const [success, setSuccess] = useState(null);
     const [txSignature, setTxSignature] = useState(null);
+    const [confirmationEvents, setConfirmationEvents] = useState([]);
+
+    // Swap endpoints a link or preset may select: the configured one and the built-in providers
+    const allowedEndpoints = useMemo(() => [...new Set([config.swapEndpoint, ...BEST_ROUTE_ENDPOINTS])], [config.swapEndpoint]);
+    // Parameters from the page URL (a shared link, or this form before a reload), validated once
+    const [linkResult] = useState(() => parseSwapLink(window.location.search, { allowedEndpoints }));
+    const linkParams = linkResult?.params ?? {};
+    const [paramWarnings, setParamWarnings] = useState(linkResult?.errors ?? []);
 
     // Swap parameters
-    const [swapEndpoint, setSwapEndpoint] = useState('https://metaagg.velvetdao.xyz/api/v1/route/solana/swap');
-    const [oslotEndpoint] = useState('https://de1.0slot.trade/?api-key=a403faee1e7e4d9a81a3907a52cb7952');
-    const [inputMint, setInputMint] = useState('So11111111111111111111111111111111111111112'); // SOL
-    const [outputMint, setOutputMint] = useState('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'); // USDC
-    const [amount, setAmount] = useState('');
-    const [slippage, setSlippage] = useState(50); // Default 50 BPS (0.5%)
-
-    const handleSwap = async () => {
-        if (!connected || !publicKey) {
-            setError('Please connect your wallet first');
+    const [swapEndpoint, setSwapEndpoint] = useState(linkParams.swapEndpoint ?? config.swapEndpoint);
+    const [inputMint, setInputMint] = useState(linkParams.inputMint ?? NATIVE_SOL_MINT); // SOL
+    const [outputMint, setOutputMint] = useState(linkParams.outputMint ?? 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'); // USDC
+    const [amount, setAmount] = useState(linkParams.amount ?? ''); // Human-readable, in whole tokens
+    const [slippage, setSlippage] = useState(linkParams.slippageBps ?? 50); // Default 50 BPS (0.5%)
+    const [tipLamports, setTipLamports] = useState(100000); // 0.0001 SOL, 0 disables the tip
+    const [senderId, setSenderId] = useState('oslot'); // Submission backend, see utils/senders.js
+    const [feePreset, setFeePreset] = useState('aggregator'); // 'aggregator' keeps the compute budget as built
+    const [customFeeCap, setCustomFeeCap] = useState(100000); // Max priority fee in lamports for the 'custom' preset
+    const selectedSender = getSender(senderId);
+    const [simulateFirst, setSimulateFirst] = useState(true);
+    const [blockOnSimulationFailure, setBlockOnSimulationFailure] = useState(true);
+    const [simulation, setSimulation] = useState(null);
+    const [quote, setQuote] = useState(null);
+    const [routeMode, setRouteMode] = useState('single'); // 'single' endpoint or 'best' route across providers
+    const [routeResults, setRouteResults] = useState([]);
+    const [routeSelection, setRouteSelection] = useState(null);
+    const [orderMode, setOrderMode] = useState('now'); // 'now', 'limit' or 'dca'
+    const [limitTarget, setLimitTarget] = useState(''); // Human-readable minimum output for limit orders
+    const [dcaLegs, setDcaLegs] = useState(4);
+    const [dcaIntervalMinutes, setDcaIntervalMinutes] = useState(60);
+
+    // Safety inspection; the resolver is set while waiting for the user's acknowledgement
+    const [inspection, setInspection] = useState(null);
+    const [awaitingInspectionDecision, setAwaitingInspectionDecision] = useState(false);
+    const inspectionResolver = useRef(null);
+
+    const confirmInspection = () => new Promise((resolve) => {
+        inspectionResolver.current = resolve;
+        setAwaitingInspectionDecision(true);
+    });
+
+    const handleInspectionDecision = (accepted) => {
+        setAwaitingInspectionDecision(false);
+        inspectionResolver.current?.(accepted);
+        inspectionResolver.current = null;
+    };
+
+    // Re-quote after the signed quote went stale; a worse price waits for the user's decision
+    const [repricedFrom, setRepricedFrom] = useState(null);
+    const [awaitingRepriceDecision, setAwaitingRepriceDecision] = useState(false);
+    const repriceResolver = useRef(null);
+
+    const confirmRequote = ({ previous, quote: requoted }) => new Promise((resolve) => {
+        setQuote(requoted);
+        setRepricedFrom(previous);
+        repriceResolver.current = resolve;
+        setAwaitingRepriceDecision(true);
+    });
+
+    const handleRepriceDecision = (accepted) => {
+        setAwaitingRepriceDecision(false);
+        repriceResolver.current?.(accepted);
+        repriceResolver.current = null;
+    };
+
+    // Token info and balances
+    const { token: inputToken, error: inputTokenError } = useTokenInfo(connection, inputMint);
+    const { token: outputToken, error: outputTokenError } = useTokenInfo(connection, outputMint);
+    const { balances, refresh: refreshBalances } = useWalletBalances(connection, publicKey);
+
+    const handleMax = () => {
+        if (!inputToken) {
             return;
         }
+        const spendable = maxSpendable(inputMint, balances[inputMint] ?? 0n, BigInt(tipLamports));
+        setAmount(formatBaseUnits(spendable, inputToken.decimals));
+    };
 
-        if (!amount || parseFloat(amount) <= 0) {
-            setError('Please enter a valid amount');
-            return;
+    // The form as shareable parameters; the endpoint only when it differs from the configured default
+    const currentParams = {
+        inputMint,
+        outputMint,
+        amount,
+        slippageBps: slippage,
+        swapEndpoint: swapEndpoint === config.swapEndpoint ? null : swapEndpoint,
+    };
+
+    // Presets leave the endpoint out when it is the default, and a rejected one is dropped,
+    // so a missing endpoint means the configured default rather than whatever was picked before
+    const applySwapParams = ({ params, errors }) => {
+        setSwapEndpoint(params.swapEndpoint || config.swapEndpoint);
+        if (params.inputMint) setInputMint(params.inputMint);
+        if (params.outputMint) setOutputMint(params.outputMint);
+        if (params.amount) setAmount(params.amount);
+        if (params.slippageBps) setSlippage(params.slippageBps);
+        setParamWarnings(errors);
+    };
+
+    // Keep the URL in step with the form so a reload or a copied address reopens the same swap
+    useEffect(() => {
+        window.history.replaceState(window.history.state, '', buildSwapLink({
+            inputMint,
+            outputMint,
+            amount,
+            slippageBps: slippage,
+            swapEndpoint: swapEndpoint === config.swapEndpoint ? null : swapEndpoint,
+        }, window.location.href));
+    }, [inputMint, outputMint, amount, slippage, swapEndpoint, config.swapEndpoint]);
+
+    // 0slot region selection
+    const regions = useMemo(() => getConfiguredRegions(config.oslotEndpoint), [config.oslotEndpoint]);
+    const [rankedRegions, setRankedRegions] = useState(() => rankRegions(regions, {}));
+    const [regionMode, setRegionMode] = useState('auto');
+
+    // Saved settings are applied in place, so a swap in progress keeps its state; only what was derived
+    // from the previous settings is rebuilt: the default endpoint (unless another one was picked) and the regions
+    const [appliedConfig, setAppliedConfig] = useState({ swapEndpoint: config.swapEndpoint, regions });
+    if (appliedConfig.swapEndpoint !== config.swapEndpoint || appliedConfig.regions !== regions) {
+        setAppliedConfig({ swapEndpoint: config.swapEndpoint, regions });
+        if (swapEndpoint === appliedConfig.swapEndpoint) {
+            setSwapEndpoint(config.swapEndpoint);
+        }
+        if (appliedConfig.regions !== regions) {
+            setRankedRegions(rankRegions(regions, {}));
+            if (!regions.some((region) => region.id === regionMode)) {
+                setRegionMode('auto');
+            }
         }
+    }
+    const [fanOut, setFanOut] = useState(1);
+    const [sendReport, setSendReport] = useState(null);
 
-        if (!slippage || parseFloat(slippage) < 0) {
-            setError('Please enter a valid slippage in BPS');
-            return;
+    useEffect(
+        () => (backendUrl ? undefined : startLatencyProbe(regions, oslotApiKey, { onUpdate: setRankedRegions })),
+        [regions, oslotApiKey, backendUrl]
+    );
+
+    // Every attempt goes into the swap history; history failures never break the swap
+    const startHistoryRecord = async (fields) => {
+        let historyId = null;
+        try {
+            historyId = (await recordSwap(fields)).id;
+        } catch (err) {
+            console.warn('Could not record swap history:', err);
         }
+        return (changes) => historyId && updateSwap(historyId, changes).catch((err) => {
+            console.warn('Could not update swap history:', err);
+        });
+    };
 
-        setLoading(true);
+    // A share of swaps goes through the standard RPC (without fallback) so both paths can be compared
+    const chooseSenderIds = (primarySenderId) => (
+        chooseSubmissionPath(Number(config.abRpcShare) || 0) === 'rpc'
+            ? ['rpc']
+            : [primarySenderId, ...parseSenderOrder(config.senderFallbackOrder)]
+    );
+
+    /**
+     * Sign and submit a quote, then follow it until it lands (or doesn't)
+     * Shared by manual swaps and order fills.
+     *
+     * @param {Object} swapQuote - Normalized quote to execute
+     * @param {Object} options - { senderIds, trace, updateHistory, tipLamports, priorityFee, alreadySimulated, onSent, resume,
+     *   requote, onRequote } where resume skips signing: { type: 'resend', submission } resends a signed transaction,
+     *   { type: 'recheck', sendResult } only follows an already sent one; requote fetches a fresh quote when the
+     *   signed one went stale (without it a stale quote fails the swap)
+     * @returns {Promise<Object>} { sendResult, confirmation, quote } with the quote that was executed
+     */
+    const executeQuote = async (swapQuote, {
+        senderIds,
+        trace,
+        updateHistory,
+        tipLamports: tip,
+        priorityFee = null,
+        alreadySimulated = false,
+        onSent,
+        resume = null,
+        requote = null,
+        onRequote,
+    }) => {
+        const regionTargets = backendUrl
+            ? [{ id: 'backend-relay', endpoint: backendEndpoint(backendUrl, '/api/send') }]
+            : regionMode === 'auto'
+                ? selectRegionTargets(rankedRegions, oslotApiKey, fanOut)
+                : selectRegionTargets(rankedRegions.filter((region) => region.id === regionMode), oslotApiKey);
+
+        const senderContext = {
+            jitoBlockEngineUrl: config.jitoBlockEngineUrl,
+            relayUrl: config.relayUrl,
+            // The send returns on the first region that accepts; the slower ones are filled in here
+            onRegionTimings: (regionTimings) => {
+                setSendReport((report) => (report ? { ...report, regionTimings } : report));
+                updateHistory({
+                    regionTimings: regionTimings.map(({ regionId, durationMs, error }) => ({ regionId, durationMs, error })),
+                });
+            },
+        };
+
+        console.log(`Executing swap via ${senderIds.join(' → ')}`);
+        let sendResult;
+        if (resume?.type === 'recheck') {
+            sendResult = resume.sendResult;
+        } else if (resume?.type === 'resend') {
+            sendResult = await resendSignedTransaction(resume.submission, connection, regionTargets, {
+                senders: senderIds,
+                senderContext,
+                onTelemetry: trace.record,
+            });
+        } else {
+            const execute = (currentQuote) => executeSwapWithOSlot(
+                currentQuote.transaction,
+                connection,
+                walletCanSign ? createWalletSigner(signTransaction, supportsVersioned) : null,
+                regionTargets,
+                {
+                    tipLamports: tip,
+                    priorityFee,
+                    senders: senderIds,
+                    senderContext,
+                    onTelemetry: trace.record,
+                    // A re-quote is a new transaction, and a tip or priority fee rewrites the simulated one:
+                    // only an untouched first quote may skip its second simulation
+                    simulate: simulateFirst
+                        && !(alreadySimulated && currentQuote === swapQuote && !(tip > 0) && !priorityFee),
+                    onSimulation: setSimulation,
+                    blockOnSimulationFailure,
+                    walletPublicKey: publicKey,
+                    onInspection: setInspection,
+                    confirmInspection,
+                    quote: currentQuote,
+                    walletSend: { sendTransaction, supportsVersioned },
+                }
+            );
+            if (requote) {
+                const fresh = await executeWithFreshQuote(swapQuote, {
+                    execute,
+                    requote,
+                    confirmRequote,
+                    onRequote: (review) => {
+                        setQuote(review.quote);
+                        setRepricedFrom(review.previous);
+                        onRequote?.(review.quote);
+                    },
+                });
+                sendResult = fresh.result;
+                swapQuote = fresh.quote;
+            } else {
+                sendResult = await execute(swapQuote);
+            }
+        }
+        onSent?.(sendResult);
+        setTxSignature(sendResult.signature);
+        setSendReport(sendResult);
+        updateHistory({
+            status: 'sent',
+            submissionPath: sendResult.sender,
+            signature: sendResult.signature,
+            region: sendResult.fastestRegion,
+            // Without endpoints, which carry the API key
+            regionTimings: sendResult.regionTimings.map(({ regionId, durationMs, error }) => ({ regionId, durationMs, error })),
+            timings: sendResult.timings,
+        });
+
+        const confirmation = await trackTransactionConfirmation(connection, sendResult, {
+            onStatus: (event) => {
+                setConfirmationEvents((events) => [...events, event]);
+                trace.recordStatus(event);
+                if (event.status === 'processed' || event.status === 'confirmed') {
+                    updateHistory({ status: event.status, slot: event.slot });
+                }
+            },
+        });
+        trace.finish(confirmation.status);
+        updateHistory({
+            status: confirmation.status,
+            slot: confirmation.slot,
+            error: confirmation.errorMessage,
+        });
+
+        // A failed transaction landed too; its receipt shows the fees it cost
+        if (confirmation.status === 'finalized' || confirmation.status === 'failed') {
+            reconcileSwap(connection, sendResult.signature, {
+                wallet: publicKey.toBase58(),
+                inputMint: swapQuote.inputMint,
+                outputMint: swapQuote.outputMint,
+                inAmount: swapQuote.inAmount,
+                quotedOutAmount: swapQuote.expectedOutAmount,
+                minimumOutAmount: swapQuote.minimumOutAmount,
+            })
+                .then((settlement) => {
+                    if (settlement) {
+                        setReceipt(settlement);
+                        updateHistory({ receipt: settlement, actualOutAmount: settlement.outputReceived });
+                    }
+                })
+                .catch((err) => console.warn('Could not reconcile swap settlement:', err));
+            refreshBalances();
+        }
+
+        return { sendResult, confirmation, quote: swapQuote };
+    };
+
+    const resetSwapState = () => {
         setError(null);
+        setFailure(null);
+        setRepricedFrom(null);
+        setReceipt(null);
         setSuccess(null);
         setTxSignature(null);
+        setConfirmationEvents([]);
+        setSendReport(null);
+        setSimulation(null);
+        setQuote(null);
+        setRouteResults([]);
+        setRouteSelection(null);
+        setInspection(null);
+    };
+
+    /**
+     * Execute an approved limit order or DCA fill quoted by the order engine
+     *
+     * @param {Object} order - Order being filled
+     * @param {Object} fillQuote - Quote the user approved
+     * @param {Object} options - { onSent } callback from the engine
+     * @returns {Promise<Object>} Final confirmation ({ status, errorMessage, ... })
+     */
+    const executeOrderFill = async (order, fillQuote, { onSent }) => {
+        setLoading(true);
+        resetSwapState();
+        setQuote(fillQuote);
 
+        const senderIds = chooseSenderIds(order.execution.senderId);
+        const trace = createSwapTrace(senderIds[0]);
+        const updateHistory = await startHistoryRecord({
+            wallet: order.wallet,
+            orderId: order.id,
+            inputMint: order.inputMint,
+            outputMint: order.outputMint,
+            inAmount: fillQuote.inAmount,
+            slippageBps: order.slippageBps,
+            provider: fillQuote.provider,
+            swapEndpoint: order.swapEndpoint,
+            quotedOutAmount: fillQuote.expectedOutAmount,
+            minimumOutAmount: fillQuote.minimumOutAmount,
+        });
+
+        let sent = false;
         try {
-            // Use amount directly in lowest units (lamports)
-            const amountInLowestUnits = Math.floor(parseFloat(amount));
+            const { sendResult, confirmation } = await executeQuote(fillQuote, {
+                senderIds,
+                trace,
+                updateHistory,
+                tipLamports: order.execution.tipLamports,
+                priorityFee: order.execution.priorityFee ?? null,
+                onSent: (sendResult) => {
+                    sent = true;
+                    onSent(sendResult);
+                },
+            });
+            if (confirmation.status === 'finalized') {
+                setSuccess(`${ORDER_TYPES[order.type]} fill finalized in slot ${confirmation.slot}! Signature: ${sendResult.signature}`);
+            } else {
+                setError(`${ORDER_TYPES[order.type]} fill ${confirmation.status}: ${confirmation.errorMessage}`);
+            }
+            return confirmation;
+        } catch (err) {
+            setError(`${ORDER_TYPES[order.type]} fill failed: ${err.message}`);
+            if (err.attempts) {
+                setSendReport({ sendAttempts: err.attempts });
+            }
+            if (!sent) {
+                trace.finish('error');
+                updateHistory({ status: 'error', error: err.message });
+            }
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    };
 
-            // Step 1: Fetch swap transaction from endpoint
-            const swapParams = {
+    const { pendingApproval, decideApproval } = useOrderEngine({
+        connection,
+        wallet: publicKey?.toBase58() ?? null,
+        executeFill: executeOrderFill,
+        paused: loading,
+    });
+
+    /**
+     * Validate the form and convert it into swap parameters
+     *
+     * @returns {Object|null} { swapParams, priorityFee } or null (with the error shown) if the form is invalid
+     */
+    const readSwapForm = () => {
+        if (!connected || !publicKey) {
+            setError('Please connect your wallet first');
+            return null;
+        }
+
+        if (!inputToken || !outputToken) {
+            setError('Please select valid input and output tokens');
+            return null;
+        }
+
+        let amountInBaseUnits;
+        try {
+            amountInBaseUnits = parseToBaseUnits(amount, inputToken.decimals);
+        } catch (err) {
+            setError(`Please enter a valid amount: ${err.message}`);
+            return null;
+        }
+        if (amountInBaseUnits <= 0n) {
+            setError('Please enter a valid amount');
+            return null;
+        }
+
+        if (!slippage || parseFloat(slippage) < 0) {
+            setError('Please enter a valid slippage in BPS');
+            return null;
+        }
+
+        let priorityFee = null;
+        if (feePreset !== 'aggregator') {
+            try {
+                priorityFee = resolvePriorityFeePreset(feePreset, customFeeCap);
+            } catch (err) {
+                setError(err.message);
+                return null;
+            }
+        }
+
+        return {
+            swapParams: {
                 inputMint,
                 outputMint,
-                amount: amountInLowestUnits,
+                amount: amountInBaseUnits.toString(),
                 slippageBps: Math.floor(parseFloat(slippage)), // Use slippage directly in BPS
-            };
+            },
+            priorityFee,
+        };
+    };
 
-            console.log('Fetching swap transaction from:', swapEndpoint);
-            const transactionBase64 = await fetchSwapTransaction(swapEndpoint, swapParams, publicKey.toBase58());
+    const handlePlaceOrder = () => {
+        const form = readSwapForm();
+        if (!form) {
+            return;
+        }
+        const { swapParams, priorityFee } = form;
 
-            // Step 2: Execute swap using 0slot
-            console.log('Executing swap with 0slot...');
-            const signature = await executeSwapWithOSlot(
-                transactionBase64,
-                connection,
-                signTransaction,
-                oslotEndpoint
-            );
+        const common = {
+            wallet: publicKey.toBase58(),
+            inputMint,
+            outputMint,
+            slippageBps: swapParams.slippageBps,
+            swapEndpoint,
+            execution: { tipLamports, senderId, priorityFee },
+        };
+
+        try {
+            if (orderMode === 'limit') {
+                createLimitOrder({
+                    ...common,
+                    inAmount: swapParams.amount,
+                    targetOutAmount: parseToBaseUnits(limitTarget, outputToken.decimals).toString(),
+                });
+                setSuccess(`Limit order placed: fills once ${amount} ${inputToken.symbol} quotes at least ${limitTarget} ${outputToken.symbol}`);
+            } else {
+                createDcaPlan({
+                    ...common,
+                    totalAmount: swapParams.amount,
+                    legs: parseInt(dcaLegs, 10),
+                    intervalMs: parseFloat(dcaIntervalMinutes) * 60000,
+                });
+                setSuccess(`DCA plan started: ${amount} ${inputToken.symbol} in ${dcaLegs} swaps, every ${dcaIntervalMinutes} min`);
+            }
+            setError(null);
+        } catch (err) {
+            setError(`Could not place order: ${err.message}`);
+        }
+    };
+
+    /**
+     * Run a manual swap, or retry a failed one from the stage that failed
+     *
+     * @param {Object} [retry] - Failure context of the swap to retry, with optional overrides:
+     *   { form, senderIds, updateHistory, quote, quoteEndpoint, resume }; a quote skips the quote stage and
+     *   resume skips signing (see executeQuote)
+     */
+    const runSwap = async (retry = null) => {
+        const form = retry?.form ?? readSwapForm();
+        if (!form) {
+            return;
+        }
+        const { swapParams, priorityFee } = form;
+
+        setLoading(true);
+        resetSwapState();
+
+        const senderIds = retry?.senderIds ?? chooseSenderIds(senderId);
+        const trace = createSwapTrace(senderIds[0]);
+        const updateHistory = retry?.updateHistory ?? await startHistoryRecord({
+            wallet: publicKey.toBase58(),
+            inputMint,
+            outputMint,
+            inAmount: swapParams.amount,
+            slippageBps: swapParams.slippageBps,
+        });
+        let sentSignature = null;
+        // What a retry needs to pick up where this attempt fails
+        const failureContext = {
+            form,
+            senderIds,
+            updateHistory,
+            quote: retry?.quote ?? null,
+            quoteEndpoint: retry?.quoteEndpoint ?? swapEndpoint,
+            sendResult: null,
+        };
+
+        // Shows a quote and records it as the one this swap executes
+        const adoptQuote = (nextQuote, endpoint) => {
+            setQuote(nextQuote);
+            failureContext.quote = nextQuote;
+            failureContext.quoteEndpoint = endpoint;
+            updateHistory({
+                provider: nextQuote.provider,
+                swapEndpoint: endpoint,
+                quotedOutAmount: nextQuote.expectedOutAmount,
+                minimumOutAmount: nextQuote.minimumOutAmount,
+            });
+        };
+
+        try {
+            // Step 1: Fetch swap transaction from endpoint
+            let swapQuote = retry?.quote ?? null;
+            let alreadySimulated = false;
+            // Best route mode: the routes ranked below the selected one and the reasons routes were passed over
+            let routeFallback = null;
+            if (swapQuote) {
+                setQuote(swapQuote);
+            } else {
+                const quoteStartTime = performance.now();
+                if (routeMode === 'best') {
+                    console.log('Comparing routes across providers...');
+                    const rankedResults = await fetchRouteQuotes(
+                        [swapEndpoint, ...BEST_ROUTE_ENDPOINTS],
+                        swapParams,
+                        publicKey.toBase58()
+                    );
+                    setRouteResults(rankedResults);
 
-            setTxSignature(signature);
-            setSuccess(`Swap executed successfully! Signature: ${signature}`);
+                    // Falls back to the next-best quote when a transaction fails to build or simulate
+                    const selection = await selectExecutableRoute(rankedResults, connection, { simulate: simulateFirst });
+                    setRouteSelection({ endpoint: selection.result.endpoint, rejected: selection.rejected });
+                    setSimulation(selection.simulation);
+                    swapQuote = selection.result.quote;
+                    adoptQuote(swapQuote, selection.result.endpoint);
+                    alreadySimulated = simulateFirst;
+                    routeFallback = {
+                        remaining: rankedResults.slice(rankedResults.indexOf(selection.result) + 1),
+                        rejected: selection.rejected,
+                    };
+                } else {
+                    console.log('Fetching swap transaction from:', swapEndpoint);
+                    swapQuote = await fetchSwapTransaction(swapEndpoint, swapParams, publicKey.toBase58());
+                    adoptQuote(swapQuote, swapEndpoint);
+                }
+                trace.record('quote', { durationMs: performance.now() - quoteStartTime, provider: swapQuote.provider });
+            }
+
+            // Step 2: Execute the swap and follow it until it lands. In best route mode, a route whose
+            // transaction fails simulation once the tip and priority fee are added falls back to the next one.
+            let execution = null;
+            while (!execution) {
+                try {
+                    execution = await executeQuote(swapQuote, {
+                        senderIds,
+                        trace,
+                        updateHistory,
+                        tipLamports,
+                        priorityFee,
+                        alreadySimulated,
+                        resume: retry?.resume,
+                        // A stale quote is refreshed from the endpoint that produced it
+                        requote: () => fetchSwapTransaction(failureContext.quoteEndpoint, swapParams, publicKey.toBase58()),
+                        onRequote: (requoted) => {
+                            failureContext.quote = requoted;
+                            updateHistory({
+                                provider: requoted.provider,
+                                quotedOutAmount: requoted.expectedOutAmount,
+                                minimumOutAmount: requoted.minimumOutAmount,
+                            });
+                        },
+                        onSent: (result) => {
+                            sentSignature = result.signature;
+                            failureContext.sendResult = result;
+                        },
+                    });
+                } catch (err) {
+                    if (!routeFallback || !err.simulation || sentSignature) {
+                        throw err;
+                    }
+                    const rejected = [
+                        ...routeFallback.rejected,
+                        { endpoint: failureContext.quoteEndpoint, reason: `Simulation with tip and priority fee failed: ${err.simulation.errorMessage}` },
+                    ];
+                    let selection;
+                    try {
+                        selection = await selectExecutableRoute(routeFallback.remaining, connection, { simulate: simulateFirst });
+                    } catch {
+                        // No route left: report why the last one failed
+                        throw err;
+                    }
+                    routeFallback = {
+                        remaining: routeFallback.remaining.slice(routeFallback.remaining.indexOf(selection.result) + 1),
+                        rejected: [...rejected, ...selection.rejected],
+                    };
+                    setRouteSelection({ endpoint: selection.result.endpoint, rejected: routeFallback.rejected });
+                    swapQuote = selection.result.quote;
+                    adoptQuote(swapQuote, selection.result.endpoint);
+                }
+            }
+            const { sendResult, confirmation } = execution;
+
+            if (confirmation.status !== 'finalized') {
+                const logs = confirmation.status === 'failed'
+                    ? await fetchTransactionLogs(connection, sendResult.signature)
+                    : null;
+                throw createConfirmationError(confirmation, logs);
+            }
+
+            setSuccess(`Swap finalized in slot ${confirmation.slot}! Signature: ${sendResult.signature}`);
 
             // Clear form after successful swap
             setTimeout(() => {
@@ -74,17 +697,112 @@ export default function SwapComponent() {
             }, 3000);
         } catch (err) {
             console.error('Swap error:', err);
-            setError(err.message || 'Swap failed. Please try again.');
+            setFailure({
+                ...classifySwapError(err, failureContext.quote ? 'prepare' : 'quote'),
+                context: { ...failureContext, submission: err.submission ?? null },
+            });
+            if (err.attempts) {
+                setSendReport({ sendAttempts: err.attempts });
+            }
+            if (!sentSignature) {
+                trace.finish('error');
+                updateHistory({ status: 'error', error: err.message });
+            }
         } finally {
             setLoading(false);
         }
     };
 
+    const handleSwap = () => runSwap();
+
+    /**
+     * Whether a retry action can run from the failed swap's state
+     *
+     * @param {string} actionId - Key of SWAP_ERROR_ACTIONS
+     * @returns {boolean} True if the retry has what it needs
+     */
+    const isRetryAvailable = (actionId) => {
+        const { context } = failure;
+        switch (actionId) {
+            case 'raise-slippage':
+                return suggestSlippageBps(context.form.swapParams.slippageBps) !== null;
+            case 'retry-sign':
+                return Boolean(context.quote) && Date.now() < context.quote.expiresAt;
+            case 'resend':
+            case 'resend-rpc':
+                return Boolean(context.submission);
+            case 'recheck':
+                return Boolean(context.sendResult);
+            default:
+                return true;
+        }
+    };
+
+    /**
+     * Retry a failed swap from the stage the chosen action belongs to
+     *
+     * @param {string} actionId - Key of SWAP_ERROR_ACTIONS
+     */
+    const handleRetry = (actionId) => {
+        const { context } = failure;
+        // Retries of the same signed transaction stay in the same history record
+        const sameAttempt = {
+            form: context.form,
+            senderIds: context.senderIds,
+            updateHistory: context.updateHistory,
+            quote: context.quote,
+            quoteEndpoint: context.quoteEndpoint,
+        };
+
+        switch (actionId) {
+            case 'requote':
+                runSwap({ form: context.form });
+                break;
+            case 'raise-slippage': {
+                const slippageBps = suggestSlippageBps(context.form.swapParams.slippageBps);
+                setSlippage(slippageBps);
+                runSwap({ form: { ...context.form, swapParams: { ...context.form.swapParams, slippageBps } } });
+                break;
+            }
+            case 'retry-sign':
+                runSwap({ form: context.form, quote: context.quote, quoteEndpoint: context.quoteEndpoint });
+                break;
+            case 'resend':
+                runSwap({ ...sameAttempt, resume: { type: 'resend', submission: context.submission } });
+                break;
+            case 'resend-rpc':
+                runSwap({ ...sameAttempt, senderIds: ['rpc'], resume: { type: 'resend', submission: context.submission } });
+                break;
+            case 'recheck':
+                runSwap({ ...sameAttempt, resume: { type: 'recheck', sendResult: context.sendResult } });
+                break;
+            default:
+                break;
+        }
+    };
+
     return (
         <div className="swap-container">
             <h2>Solana Token Swap</h2>
 
             <div className="swap-form">
+                {paramWarnings.length > 0 && (
+                    <div className="warning-message">
+                        Some swap parameters from the link or preset were not applied:
+                        <ul>
+                            {paramWarnings.map((warning) => <li key={warning}>{warning}</li>)}
+                        </ul>
+                        <button type="button" onClick={() => setParamWarnings([])}>Dismiss</button>
+                    </div>
+                )}
+
+                <SwapPresets
+                    currentParams={currentParams}
+                    allowedEndpoints={allowedEndpoints}
+                    onApply={applySwapParams}
+                    disabled={loading}
+                />
+
                 <div className="form-group">
                     <label htmlFor="swapEndpoint">Swap API Endpoint:</label>
                     <input
@@ -100,59 +818,172 @@ export default function SwapComponent() {
                     </small>
                 </div>
 
-                <div className="form-group">
-                    <label htmlFor="oslotEndpoint">0slot Execution Endpoint:</label>
-                    <input
-                        id="oslotEndpoint"
-                        type="text"
-                        value={oslotEndpoint}
-                        readOnly
-                        disabled={true}
-                        style={{ backgroundColor: '#f5f5f5' }}
-                    />
-                    <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
-                        All swaps are executed via 0slot
-                    </small>
+                <div className="form-group checkbox-group">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={routeMode === 'best'}
+                            onChange={(e) => setRouteMode(e.target.checked ? 'best' : 'single')}
+                            disabled={loading}
+                        />
+                        Best route: compare this endpoint with Velvet and Jupiter and execute the best quote
+                    </label>
                 </div>
 
                 <div className="form-group">
-                    <label htmlFor="inputMint">Input Token Mint:</label>
-                    <input
-                        id="inputMint"
-                        type="text"
-                        value={inputMint}
-                        onChange={(e) => setInputMint(e.target.value)}
-                        placeholder="Input token mint address"
+                    <label htmlFor="sender">Submission Backend:</label>
+                    <select
+                        id="sender"
+                        value={senderId}
+                        onChange={(e) => setSenderId(e.target.value)}
                         disabled={loading}
-                    />
+                    >
+                        {getSenders().map((sender) => (
+                            <option key={sender.id} value={sender.id}>{sender.name}</option>
+                        ))}
+                    </select>
+                    {connected && !walletCanSign && (
+                        <div className="warning-message">
+                            {wallet?.adapter.name || 'This wallet'} can't sign without sending. Swaps are submitted by the
+                            wallet itself, so this backend, its fallbacks and the tip are not used.
+                        </div>
+                    )}
+                    <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                        Falls back to {parseSenderOrder(config.senderFallbackOrder).filter((id) => id !== senderId).join(' → ') || 'nothing'} if
+                        rejected or timed out (see Settings)
+                    </small>
                 </div>
 
-                <div className="form-group">
-                    <label htmlFor="outputMint">Output Token Mint:</label>
-                    <input
-                        id="outputMint"
-                        type="text"
-                        value={outputMint}
-                        onChange={(e) => setOutputMint(e.target.value)}
-                        placeholder="Output token mint address"
+                {backendUrl ? (
+                    <div className="form-group">
+                        <label>0slot Region:</label>
+                        <small style={{ color: '#666', fontSize: '0.85rem', display: 'block' }}>
+                            Sent through the backend relay, which holds the 0slot API key and picks the fastest regions
+                        </small>
+                    </div>
+                ) : (
+                    <OSlotRegionPanel
+                        rankedRegions={rankedRegions}
+                        regionMode={regionMode}
+                        onRegionModeChange={setRegionMode}
+                        fanOut={fanOut}
+                        onFanOutChange={setFanOut}
+                        regionTimings={sendReport?.regionTimings}
+                        fastestRegion={sendReport?.fastestRegion}
                         disabled={loading}
                     />
-                </div>
+                )}
 
                 <div className="form-group">
-                    <label htmlFor="amount">Amount (in lowest units, e.g., lamports):</label>
+                    <label htmlFor="tipLamports">{selectedSender.name} Tip (in lamports):</label>
                     <input
-                        id="amount"
+                        id="tipLamports"
                         type="number"
-                        value={amount}
-                        onChange={(e) => setAmount(e.target.value)}
-                        placeholder="1000000000"
+                        value={tipLamports}
+                        onChange={(e) => setTipLamports(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                        placeholder="100000"
                         step="1"
                         min="0"
                         disabled={loading}
                     />
                     <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
-                        Enter amount in lowest units (e.g., 1000000000 lamports = 1 SOL)
+                        {!selectedSender.tipAccounts && 'This backend takes no tip'}
+                        {selectedSender.tipAccounts && (tipLamports > 0
+                            ? `Adds a ${tipLamports / LAMPORTS_PER_SOL} SOL transfer to a ${selectedSender.name} tip account before signing`
+                            : 'No tip will be added')}
+                        {selectedSender.requiresTip && tipLamports < selectedSender.minTipLamports
+                            && ` (${selectedSender.name} requires at least ${selectedSender.minTipLamports} lamports)`}
+                    </small>
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="feePreset">Priority Fee:</label>
+                    <div className="fee-row">
+                        <select
+                            id="feePreset"
+                            value={feePreset}
+                            onChange={(e) => setFeePreset(e.target.value)}
+                            disabled={loading}
+                        >
+                            <option value="aggregator">Aggregator default</option>
+                            {Object.entries(PRIORITY_FEE_PRESETS).map(([id, preset]) => (
+                                <option key={id} value={id}>{preset.label}</option>
+                            ))}
+                        </select>
+                        {feePreset === 'custom' && (
+                            <input
+                                id="customFeeCap"
+                                type="number"
+                                value={customFeeCap}
+                                onChange={(e) => setCustomFeeCap(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                                aria-label="Maximum priority fee in lamports"
+                                step="1"
+                                min="0"
+                                disabled={loading}
+                            />
+                        )}
+                    </div>
+                    <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                        {feePreset === 'aggregator'
+                            ? 'Keeps the compute budget chosen by the swap provider'
+                            : `Pays the ${PRIORITY_FEE_PRESETS[feePreset].percentile}th percentile of recent fees for the swap's accounts, `
+                                + `at most ${(feePreset === 'custom' ? customFeeCap : PRIORITY_FEE_PRESETS[feePreset].maxLamports) / LAMPORTS_PER_SOL} SOL; `
+                                + 'the compute unit limit is sized from a simulation'}
+                        {sendReport?.priorityFee?.unitLimit && (
+                            ` (last swap: ${sendReport.priorityFee.unitLimit} units at ${sendReport.priorityFee.microLamports} micro-lamports/unit, `
+                                + `${sendReport.priorityFee.totalLamports} lamports)`
+                        )}
+                        {sendReport?.priorityFee?.skippedReason && ` (not applied to the last swap: ${sendReport.priorityFee.skippedReason})`}
+                    </small>
+                </div>
+
+                <TokenPicker
+                    id="inputMint"
+                    label="Input Token:"
+                    mint={inputMint}
+                    onMintChange={setInputMint}
+                    token={inputToken}
+                    lookupError={inputTokenError}
+                    balance={balances[inputMint]}
+                    disabled={loading}
+                />
+
+                <TokenPicker
+                    id="outputMint"
+                    label="Output Token:"
+                    mint={outputMint}
+                    onMintChange={setOutputMint}
+                    token={outputToken}
+                    lookupError={outputTokenError}
+                    balance={balances[outputMint]}
+                    disabled={loading}
+                />
+
+                <div className="form-group">
+                    <label htmlFor="amount">Amount{inputToken ? ` (${inputToken.symbol})` : ''}:</label>
+                    <div className="amount-row">
+                        <input
+                            id="amount"
+                            type="text"
+                            inputMode="decimal"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value.replace(',', '.'))}
+                            placeholder="1.0"
+                            disabled={loading}
+                        />
+                        <button
+                            type="button"
+                            className="max-button"
+                            onClick={handleMax}
+                            disabled={loading || !inputToken}
+                        >
+                            Max
+                        </button>
+                    </div>
+                    <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                        {inputMint === NATIVE_SOL_MINT
+                            ? `Max keeps ${formatBaseUnits(SOL_FEE_RESERVE_LAMPORTS + BigInt(tipLamports), 9)} SOL for fees, tip and rent`
+                            : 'Enter the amount in whole tokens, e.g. 1.5'}
                     </small>
                 </div>
 
@@ -174,36 +1005,159 @@ export default function SwapComponent() {
                     </small>
                 </div>
 
+                <div className="form-group checkbox-group">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={simulateFirst}
+                            onChange={(e) => setSimulateFirst(e.target.checked)}
+                            disabled={loading}
+                        />
+                        Simulate before signing
+                    </label>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={blockOnSimulationFailure}
+                            onChange={(e) => setBlockOnSimulationFailure(e.target.checked)}
+                            disabled={loading || !simulateFirst}
+                        />
+                        Don't submit if simulation fails
+                    </label>
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="orderMode">Order Type:</label>
+                    <select
+                        id="orderMode"
+                        value={orderMode}
+                        onChange={(e) => setOrderMode(e.target.value)}
+                        disabled={loading}
+                    >
+                        <option value="now">Swap now</option>
+                        <option value="limit">Limit order: swap once the quoted output reaches a target</option>
+                        <option value="dca">DCA plan: split the amount into several swaps over time</option>
+                    </select>
+                </div>
+
+                {orderMode === 'limit' && (
+                    <div className="form-group">
+                        <label htmlFor="limitTarget">Minimum Output{outputToken ? ` (${outputToken.symbol})` : ''}:</label>
+                        <input
+                            id="limitTarget"
+                            type="text"
+                            inputMode="decimal"
+                            value={limitTarget}
+                            onChange={(e) => setLimitTarget(e.target.value.replace(',', '.'))}
+                            placeholder="150.0"
+                            disabled={loading}
+                        />
+                        <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                            The order is re-quoted every 15 seconds while this tab is open; you approve each fill before signing
+                        </small>
+                    </div>
+                )}
+
+                {orderMode === 'dca' && (
+                    <div className="form-group dca-fields">
+                        <label htmlFor="dcaLegs">
+                            Number of swaps:
+                            <input
+                                id="dcaLegs"
+                                type="number"
+                                value={dcaLegs}
+                                onChange={(e) => setDcaLegs(parseInt(e.target.value, 10) || 2)}
+                                min="2"
+                                step="1"
+                                disabled={loading}
+                            />
+                        </label>
+                        <label htmlFor="dcaInterval">
+                            Every (minutes):
+                            <input
+                                id="dcaInterval"
+                                type="number"
+                                value={dcaIntervalMinutes}
+                                onChange={(e) => setDcaIntervalMinutes(parseFloat(e.target.value) || 1)}
+                                min="1"
+                                step="1"
+                                disabled={loading}
+                            />
+                        </label>
+                        <small style={{ color: '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                            The first swap is due right away; each swap waits for your approval while this tab is open
+                        </small>
+                    </div>
+                )}
+
                 <button
-                    onClick={handleSwap}
+                    onClick={orderMode === 'now' ? handleSwap : handlePlaceOrder}
                     disabled={loading || !connected}
                     className="swap-button"
                 >
-                    {loading ? 'Processing Swap...' : 'Execute Swap'}
+                    {loading && 'Processing Swap...'}
+                    {!loading && orderMode === 'now' && 'Execute Swap'}
+                    {!loading && orderMode === 'limit' && 'Place Limit Order'}
+                    {!loading && orderMode === 'dca' && 'Start DCA Plan'}
                 </button>
 
+                <OrdersPanel
+                    wallet={publicKey?.toBase58() ?? null}
+                    pendingApproval={pendingApproval}
+                    onApprovalDecision={decideApproval}
+                />
+
+                <RouteComparison results={routeResults} selection={routeSelection} outputToken={outputToken} />
+
+                <QuoteDetails
+                    quote={quote}
+                    outputToken={outputToken}
+                    repricedFrom={repricedFrom}
+                    awaitingDecision={awaitingRepriceDecision}
+                    onDecision={handleRepriceDecision}
+                />
+
+                <SimulationPreview simulation={simulation} />
+
+                <InspectionPanel
+                    report={inspection}
+                    awaitingDecision={awaitingInspectionDecision}
+                    onDecision={handleInspectionDecision}
+                />
+
+                {sendReport?.tip?.skippedReason && (
+                    <div className="warning-message">
+                        <strong>Tip not added:</strong> {sendReport.tip.skippedReason}
+                    </div>
+                )}
+
+                <SubmissionReport attempts={sendReport?.sendAttempts} />
+
+                <ConfirmationTimeline events={confirmationEvents} signature={txSignature} />
+
                 {error && (
                     <div className="error-message">
                         <strong>Error:</strong> {error}
                     </div>
                 )}
 
+                <SwapErrorPanel
+                    failure={failure}
+                    isActionAvailable={isRetryAvailable}
+                    onAction={handleRetry}
+                    disabled={loading}
+                />
+
                 {success && (
                     <div className="success-message">
                         <strong>Success:</strong> {success}
-                        {txSignature && (
-                            <div className="tx-link">
-                                <a
-                                    href={`https://solscan.io/tx/${txSignature}`}
-                                    target="_blank"
-                                    rel="noopener noreferrer"
-                                >
-                                    View on Solscan
-                                </a>
-                            </div>
+                        {sendReport?.tip && !sendReport.tip.skippedReason && (
+                            <div>Tip paid: {sendReport.tip.lamports / LAMPORTS_PER_SOL} SOL</div>
                         )}
                     </div>
                 )}
+
+                <SettlementReceipt receipt={receipt} />
             </div>
         </div>
     );
@@ -0,0 +1,53 @@
+import './SwapErrorPanel.css';
+
+const STAGE_LABELS = {
+    quote: 'Quote',
+    prepare: 'Build & checks',
+    sign: 'Wallet signature',
+    send: 'Submission',
+    confirm: 'Confirmation',
+};
+
+/**
+ * Classified swap failure with suggested actions
+ * Retry actions re-run the swap from the stage they belong to; the rest are shown as advice.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.failure - Result of classifySwapError
+ * @param {Function} props.isActionAvailable - (actionId) => boolean, whether a retry can run from the current state
+ * @param {Function} props.onAction - Called with the id of the chosen retry action
+ * @param {boolean} props.disabled - Disable the retry buttons
+ */
+export default function SwapErrorPanel({ failure, isActionAvailable, onAction, disabled }) {
+    if (!failure) {
+        return null;
+    }
+
+    const retries = failure.actions.filter((action) => action.stage && isActionAvailable(action.id));
+    const advice = failure.actions.filter((action) => !action.stage);
+
+    return (
+        <div className="error-message swap-error">
+            <div className="swap-error-title">
+                <strong>{failure.title}</strong>
+                <span className="swap-error-stage">{STAGE_LABELS[failure.stage] || failure.stage}</span>
+            </div>
+            <div>{failure.explanation}</div>
+            {advice.length > 0 && (
+                <ul className="swap-error-advice">
+                    {advice.map((action) => <li key={action.id}>{action.label}</li>)}
+                </ul>
+            )}
+            {failure.detail && <div className="swap-error-detail">{failure.detail}</div>}
+            {retries.length > 0 && (
+                <div className="swap-error-actions">
+                    {retries.map((action) => (
+                        <button key={action.id} type="button" onClick={() => onAction(action.id)} disabled={disabled}>
+                            {action.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
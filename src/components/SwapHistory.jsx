@@ -0,0 +1,176 @@
+import { useEffect, useState } from 'react';
+import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import {
+    exportSwapsCsv,
+    exportSwapsJson,
+    listSwaps,
+    PENDING_STATUSES,
+    recheckSwap,
+    subscribeToHistory,
+} from '../utils/swapHistory';
+import { formatBaseUnits } from '../utils/amounts';
+import { getCachedTokenInfo } from '../utils/tokens';
+import './SwapHistory.css';
+
+const STATUSES = ['started', 'sent', 'processed', 'confirmed', 'finalized', 'failed', 'expired', 'timeout', 'error'];
+
+/**
+ * Format a base-unit amount using the token list when the mint is known
+ *
+ * @param {string|null} amount - Amount in base units
+ * @param {string} mint - Token mint
+ * @returns {string} Display amount
+ */
+function formatAmount(amount, mint) {
+    if (amount === null || amount === undefined) {
+        return '—';
+    }
+    const token = getCachedTokenInfo(mint);
+    return token ? `${formatBaseUnits(amount, token.decimals)} ${token.symbol}` : `${amount} (raw)`;
+}
+
+/**
+ * Trigger a browser download of a text file
+ *
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function download(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Swap history stored in IndexedDB, with filters, re-checks and export
+ */
+export default function SwapHistory() {
+    const { publicKey } = useWallet();
+    const { connection } = useConnection();
+
+    const [records, setRecords] = useState([]);
+    const [onlyThisWallet, setOnlyThisWallet] = useState(true);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [recheckingId, setRecheckingId] = useState(null);
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => subscribeToHistory(() => setVersion((current) => current + 1)), []);
+
+    useEffect(() => {
+        let cancelled = false;
+        listSwaps({
+            wallet: onlyThisWallet && publicKey ? publicKey.toBase58() : undefined,
+            status: statusFilter || undefined,
+        })
+            .then((result) => !cancelled && setRecords(result))
+            .catch((error) => console.warn('Could not load swap history:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [publicKey, onlyThisWallet, statusFilter, version]);
+
+    const handleRecheck = async (record) => {
+        setRecheckingId(record.id);
+        try {
+            await recheckSwap(connection, record);
+        } catch (error) {
+            console.warn('Re-check failed:', error);
+        } finally {
+            setRecheckingId(null);
+        }
+    };
+
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    return (
+        <div className="swap-history">
+            <h2>Swap History</h2>
+
+            <div className="history-toolbar">
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={onlyThisWallet}
+                        onChange={(e) => setOnlyThisWallet(e.target.checked)}
+                    />
+                    Connected wallet only
+                </label>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                    <option value="">All statuses</option>
+                    {STATUSES.map((status) => (
+                        <option key={status} value={status}>{status}</option>
+                    ))}
+                </select>
+                <button type="button" onClick={() => download(exportSwapsCsv(records), `swaps-${stamp}.csv`, 'text/csv')}>
+                    Export CSV
+                </button>
+                <button type="button" onClick={() => download(exportSwapsJson(records), `swaps-${stamp}.json`, 'application/json')}>
+                    Export JSON
+                </button>
+            </div>
+
+            {records.length === 0 ? (
+                <p className="history-empty">No swaps recorded yet.</p>
+            ) : (
+                <div className="history-table-wrapper">
+                    <table className="history-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Swap</th>
+                                <th>Quoted / actual</th>
+                                <th>Provider</th>
+                                <th>Region</th>
+                                <th>Status</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {records.map((record) => (
+                                <tr key={record.id}>
+                                    <td>{new Date(record.createdAt).toLocaleString()}</td>
+                                    <td>{formatAmount(record.inAmount, record.inputMint)} → {getCachedTokenInfo(record.outputMint)?.symbol || '?'}</td>
+                                    <td>
+                                        {formatAmount(record.quotedOutAmount, record.outputMint)}
+                                        {' / '}
+                                        {formatAmount(record.actualOutAmount, record.outputMint)}
+                                        {record.receipt?.realizedSlippageBps != null && (
+                                            <span className="history-slippage"> ({record.receipt.realizedSlippageBps} BPS)</span>
+                                        )}
+                                    </td>
+                                    <td>{record.provider || '—'}</td>
+                                    <td>
+                                        {record.region || '—'}
+                                        {record.timings && ` (${Math.round(record.timings.totalMs)} ms)`}
+                                    </td>
+                                    <td className={`history-status status-${record.status}`} title={record.error || undefined}>
+                                        {record.signature ? (
+                                            <a href={`https://solscan.io/tx/${record.signature}`} target="_blank" rel="noopener noreferrer">
+                                                {record.status}
+                                            </a>
+                                        ) : record.status}
+                                    </td>
+                                    <td>
+                                        {record.signature && PENDING_STATUSES.includes(record.status) && (
+                                            <button
+                                                type="button"
+                                                onClick={() => handleRecheck(record)}
+                                                disabled={recheckingId === record.id}
+                                            >
+                                                {recheckingId === record.id ? 'Checking…' : 'Re-check'}
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,159 @@
+import { useEffect, useState } from 'react';
+import {
+    buildSwapLink,
+    deletePreset,
+    describePreset,
+    exportPresetsJson,
+    importPresetsJson,
+    listPresets,
+    savePreset,
+    subscribeToPresets,
+    validateSwapParams,
+} from '../utils/swapPresets';
+import { getCachedTokenInfo } from '../utils/tokens';
+import './SwapPresets.css';
+
+/**
+ * Trigger a browser download of a text file
+ *
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function download(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+const symbolOf = (mint) => getCachedTokenInfo(mint)?.symbol || `${mint.slice(0, 4)}…`;
+
+/**
+ * Named swap presets, shareable links and preset import/export
+ *
+ * @param {Object} props
+ * @param {Object} props.currentParams - Form values: { inputMint, outputMint, amount, slippageBps, swapEndpoint }
+ * @param {Array<string>} props.allowedEndpoints - Swap endpoints a preset may select
+ * @param {Function} props.onApply - Called with { params, errors } from validateSwapParams when a preset is loaded
+ * @param {boolean} props.disabled - Disable inputs while a swap is in flight
+ */
+export default function SwapPresets({ currentParams, allowedEndpoints, onApply, disabled }) {
+    const [presets, setPresets] = useState(listPresets);
+    const [selectedId, setSelectedId] = useState('');
+    const [name, setName] = useState('');
+    const [message, setMessage] = useState(null); // { type: 'info' | 'error', text }
+
+    useEffect(() => subscribeToPresets(() => setPresets(listPresets())), []);
+
+    const selected = presets.find((preset) => preset.id === selectedId);
+    const options = { allowedEndpoints };
+
+    const handleLoad = () => {
+        // Stored presets are checked again: localStorage can be edited and trusted endpoints change
+        const result = validateSwapParams(selected, options);
+        onApply(result);
+        setMessage(result.errors.length
+            ? { type: 'error', text: `Loaded "${selected.name}" partially: ${result.errors.join('; ')}` }
+            : { type: 'info', text: `Loaded "${selected.name}"` });
+    };
+
+    const handleSave = () => {
+        try {
+            const saved = savePreset(name || describePreset(currentParams, symbolOf), currentParams, options);
+            setSelectedId(saved.id);
+            setName('');
+            setMessage({ type: 'info', text: `Saved "${saved.name}"` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    const handleCopyLink = async () => {
+        const link = buildSwapLink(currentParams, window.location.href);
+        try {
+            await navigator.clipboard.writeText(link);
+            setMessage({ type: 'info', text: 'Link copied' });
+        } catch {
+            setMessage({ type: 'info', text: link });
+        }
+    };
+
+    const handleImport = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+        try {
+            const { imported, rejected } = importPresetsJson(await file.text(), options);
+            const skipped = rejected.map((entry) => `"${entry.name}" (${entry.errors.join('; ')})`).join(', ');
+            setMessage({
+                type: rejected.length ? 'error' : 'info',
+                text: `Imported ${imported} preset(s)${skipped ? `; skipped ${skipped}` : ''}`,
+            });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message });
+        }
+    };
+
+    return (
+        <div className="form-group swap-presets">
+            <label htmlFor="swapPreset">Presets:</label>
+            <div className="preset-row">
+                <select
+                    id="swapPreset"
+                    value={selectedId}
+                    onChange={(e) => setSelectedId(e.target.value)}
+                    disabled={disabled}
+                >
+                    <option value="">Choose a preset…</option>
+                    {presets.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                    ))}
+                </select>
+                <button type="button" onClick={handleLoad} disabled={disabled || !selected}>Load</button>
+                <button
+                    type="button"
+                    onClick={() => {
+                        deletePreset(selectedId);
+                        setSelectedId('');
+                    }}
+                    disabled={disabled || !selected}
+                >
+                    Delete
+                </button>
+            </div>
+            <div className="preset-row">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={currentParams.amount ? describePreset(currentParams, symbolOf) : 'Preset name'}
+                    disabled={disabled}
+                    aria-label="Preset name"
+                />
+                <button type="button" onClick={handleSave} disabled={disabled}>Save</button>
+            </div>
+            <div className="preset-row">
+                <button type="button" onClick={handleCopyLink}>Copy link</button>
+                <button
+                    type="button"
+                    onClick={() => download(exportPresetsJson(presets), 'swap-presets.json', 'application/json')}
+                    disabled={!presets.length}
+                >
+                    Export
+                </button>
+                <label className="preset-import">
+                    Import
+                    <input type="file" accept="application/json,.json" onChange={handleImport} disabled={disabled} />
+                </label>
+            </div>
+            {message && (
+                <small className={message.type === 'error' ? 'preset-error' : 'preset-info'}>{message.text}</small>
+            )}
+        </div>
+    );
+}
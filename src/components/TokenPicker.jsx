@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { formatBaseUnits } from '../utils/amounts';
+import { DEFAULT_TOKEN_LIST } from '../utils/tokens';
+
+const CUSTOM = 'custom';
+
+/**
+ * Token selector backed by the local token list, with a custom mint fallback
+ *
+ * @param {Object} props
+ * @param {string} props.id - Input id
+ * @param {string} props.label - Field label
+ * @param {string} props.mint - Selected mint address
+ * @param {Function} props.onMintChange - Called with the new mint address
+ * @param {Object|null} props.token - Resolved token info for `mint`
+ * @param {string|null} props.lookupError - Error from resolving `mint`
+ * @param {bigint|undefined} props.balance - Wallet balance in base units
+ * @param {boolean} props.disabled - Disable inputs
+ */
+export default function TokenPicker({ id, label, mint, onMintChange, token, lookupError, balance, disabled }) {
+    const listed = DEFAULT_TOKEN_LIST.some((entry) => entry.mint === mint);
+    const [customMode, setCustomMode] = useState(!listed);
+    const showCustom = customMode || !listed;
+
+    return (
+        <div className="form-group">
+            <label htmlFor={id}>{label}</label>
+            <select
+                id={id}
+                value={showCustom ? CUSTOM : mint}
+                onChange={(e) => {
+                    if (e.target.value === CUSTOM) {
+                        setCustomMode(true);
+                    } else {
+                        setCustomMode(false);
+                        onMintChange(e.target.value);
+                    }
+                }}
+                disabled={disabled}
+            >
+                {DEFAULT_TOKEN_LIST.map((entry) => (
+                    <option key={entry.mint} value={entry.mint}>
+                        {entry.symbol} - {entry.name}
+                    </option>
+                ))}
+                <option value={CUSTOM}>Custom mint address…</option>
+            </select>
+            {showCustom && (
+                <input
+                    id={`${id}-custom`}
+                    type="text"
+                    value={mint}
+                    onChange={(e) => onMintChange(e.target.value.trim())}
+                    placeholder="Token mint address"
+                    disabled={disabled}
+                    style={{ marginTop: '0.5rem' }}
+                />
+            )}
+            <small style={{ color: lookupError ? '#c33' : '#666', fontSize: '0.85rem', display: 'block', marginTop: '0.25rem' }}>
+                {lookupError || (token
+                    ? `${token.symbol} · ${token.decimals} decimals · balance: ${
+                        balance === undefined ? '0' : formatBaseUnits(balance, token.decimals)
+                    }`
+                    : 'Looking up token…')}
+            </small>
+        </div>
+    );
+}
@@ -0,0 +1,11 @@
+import { useContext } from 'react';
+import { AppConfigContext } from '../utils/config';
+
+/**
+ * Access the runtime configuration
+ *
+ * @returns {Object} { config, updateConfig, resetConfig }
+ */
+export function useAppConfig() {
+    return useContext(AppConfigContext);
+}
@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { startOrderEngine } from '../utils/orderEngine';
+
+/**
+ * Run the order engine for the connected wallet and expose its fill approvals
+ * Orders can reach approval at the same time; they are shown one at a time, oldest first.
+ *
+ * @param {Object} options
+ * @param {Connection} options.connection - Solana connection instance
+ * @param {string|null} options.wallet - Connected wallet address
+ * @param {Function} options.executeFill - async (order, quote, { onSent }) => { status, errorMessage }
+ * @param {boolean} options.paused - Skip engine rounds while true (e.g. during a manual swap)
+ * @returns {Object} { pendingApproval: { order, quote } | null, decideApproval(approved) }
+ */
+export function useOrderEngine({ connection, wallet, executeFill, paused }) {
+    const [pendingApproval, setPendingApproval] = useState(null);
+    // [{ order, quote, resolve }], the first one being shown
+    const approvalQueue = useRef([]);
+    const executeFillRef = useRef(executeFill);
+    const pausedRef = useRef(paused);
+
+    useEffect(() => {
+        executeFillRef.current = executeFill;
+        pausedRef.current = paused;
+    });
+
+    useEffect(() => {
+        if (!wallet) {
+            return undefined;
+        }
+        const stop = startOrderEngine({
+            connection,
+            wallet,
+            requestApproval: (order, quote) => new Promise((resolve) => {
+                approvalQueue.current.push({ order, quote, resolve });
+                if (approvalQueue.current.length === 1) {
+                    setPendingApproval({ order, quote });
+                }
+            }),
+            executeFill: (...args) => executeFillRef.current(...args),
+            isPaused: () => pausedRef.current,
+        });
+        return () => {
+            stop();
+            approvalQueue.current.forEach(({ resolve }) => resolve(false));
+            approvalQueue.current = [];
+            setPendingApproval(null);
+        };
+    }, [connection, wallet]);
+
+    const decideApproval = useCallback((approved) => {
+        const [decided, ...waiting] = approvalQueue.current;
+        approvalQueue.current = waiting;
+        setPendingApproval(waiting.length ? { order: waiting[0].order, quote: waiting[0].quote } : null);
+        decided?.resolve(approved);
+    }, []);
+
+    return { pendingApproval, decideApproval };
+}
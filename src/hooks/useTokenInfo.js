@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { getCachedTokenInfo, getTokenInfo } from '../utils/tokens';
+
+/**
+ * Resolve token info (symbol, decimals) for a mint, refreshing when it changes
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {string} mint - Mint address
+ * @returns {Object} { token, error } where token is null until resolved
+ */
+export function useTokenInfo(connection, mint) {
+    const [lookup, setLookup] = useState({ mint: null, token: null, error: null });
+
+    useEffect(() => {
+        let cancelled = false;
+        getTokenInfo(connection, mint)
+            .then((token) => !cancelled && setLookup({ mint, token, error: null }))
+            .catch((error) => !cancelled && setLookup({ mint, token: null, error: error.message }));
+        return () => {
+            cancelled = true;
+        };
+    }, [connection, mint]);
+
+    // Serve list tokens immediately and never show a stale lookup for a previous mint
+    if (lookup.mint !== mint) {
+        return { token: getCachedTokenInfo(mint) || null, error: null };
+    }
+    return { token: lookup.token, error: lookup.error };
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchWalletBalances } from '../utils/tokens';
+
+/**
+ * Load the connected wallet's SOL and SPL token balances
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {PublicKey|null} owner - Wallet address
+ * @returns {Object} { balances, refresh } where balances maps mint -> bigint base units
+ */
+export function useWalletBalances(connection, owner) {
+    const [balances, setBalances] = useState({});
+    const [version, setVersion] = useState(0);
+
+    useEffect(() => {
+        if (!owner) {
+            return undefined;
+        }
+        let cancelled = false;
+        fetchWalletBalances(connection, owner)
+            .then((result) => !cancelled && setBalances(result))
+            .catch((error) => console.warn('Could not load wallet balances:', error));
+        return () => {
+            cancelled = true;
+        };
+    }, [connection, owner, version]);
+
+    const refresh = useCallback(() => setVersion((current) => current + 1), []);
+
+    return { balances, refresh };
+}
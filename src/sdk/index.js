@@ -0,0 +1,304 @@
+import { readFile } from 'node:fs/promises';
+import { Connection, Keypair } from '@solana/web3.js';
+import { trackTransactionConfirmation } from '../utils/confirmation.js';
+import { executeSwapWithOSlot, fetchSwapTransaction } from '../utils/oslot.js';
+import { executeWithFreshQuote } from '../utils/quoteFreshness.js';
+import { reconcileSwap } from '../utils/settlement.js';
+import {
+    getConfiguredRegions,
+    probeRegionLatency,
+    rankRegions,
+    selectRegionTargets,
+} from '../utils/oslotRegions.js';
+
+/**
+ * Headless swap SDK for Node
+ * Runs the same fetch-and-execute pipeline as the app (quote, tip, simulation,
+ * safety inspection, submission backends, confirmation tracking) with a local
+ * keypair instead of a browser wallet, for bots and scripts.
+ *
+ * Only modules without browser dependencies are used here: settings come from
+ * the caller instead of the app's Vite env / localStorage configuration.
+ */
+
+export { executeSwapWithOSlot, fetchSwapTransaction } from '../utils/oslot.js';
+export { trackTransactionConfirmation } from '../utils/confirmation.js';
+export { simulateSwapTransaction } from '../utils/simulation.js';
+export { inspectTransaction } from '../utils/inspector.js';
+export { getSenders, registerSender } from '../utils/senders.js';
+export { getSwapProviders, registerSwapProvider } from '../utils/swapProviders.js';
+export { OSLOT_REGIONS } from '../utils/oslotRegions.js';
+export { formatBaseUnits, parseToBaseUnits, NATIVE_SOL_MINT } from '../utils/amounts.js';
+export { getTokenInfo } from '../utils/tokens.js';
+export { PRIORITY_FEE_PRESETS, resolvePriorityFeePreset } from '../utils/priorityFee.js';
+export { classifySwapError } from '../utils/swapErrors.js';
+export { buildSettlementReceipt, reconcileSwap } from '../utils/settlement.js';
+
+export const DEFAULT_SWAP_ENDPOINT = 'https://metaagg.velvetdao.xyz/api/v1/route/solana/swap';
+export const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+export const DEFAULT_JITO_BLOCK_ENGINE_URL = 'https://mainnet.block-engine.jito.wtf';
+
+/**
+ * Load a keypair from a JSON file holding the secret key as a byte array
+ * (the format written by `solana-keygen new`)
+ *
+ * @param {string} path - Keypair file path
+ * @returns {Promise<Keypair>} Keypair
+ */
+export async function loadKeypair(path) {
+    let bytes;
+    try {
+        bytes = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read keypair file ${path}: ${error.message}`);
+    }
+    if (!Array.isArray(bytes) || bytes.length !== 64) {
+        throw new Error(`${path} is not a keypair file (expected a JSON array of 64 bytes)`);
+    }
+    return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+/**
+ * Wrap a keypair in the signTransaction interface executeSwapWithOSlot expects
+ *
+ * @param {Keypair} keypair - Signing keypair
+ * @returns {Function} async (VersionedTransaction) => VersionedTransaction
+ */
+export function createKeypairSigner(keypair) {
+    return async (transaction) => {
+        transaction.sign([keypair]);
+        return transaction;
+    };
+}
+
+/**
+ * Pick 0slot send targets with a single latency probe round
+ * The app probes continuously in the background; a one-shot swap only needs one round.
+ *
+ * @param {string} apiKey - 0slot API key
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.region] - Region id to pin instead of probing
+ * @param {string} [options.customEndpoint] - Custom 0slot endpoint URL
+ * @param {number} [options.fanOut] - Number of fastest regions to broadcast to
+ * @returns {Promise<Array<Object>>} { id, endpoint } targets
+ */
+export async function selectOSlotTargets(apiKey, { region, customEndpoint, fanOut = 1 } = {}) {
+    const regions = getConfiguredRegions(customEndpoint);
+    if (region) {
+        const pinned = regions.find((candidate) => candidate.id === region);
+        if (!pinned) {
+            throw new Error(`Unknown 0slot region: ${region}`);
+        }
+        return selectRegionTargets([pinned], apiKey, 1);
+    }
+
+    const results = await Promise.all(regions.map((candidate) => probeRegionLatency(candidate, apiKey)));
+    const samples = Object.fromEntries(results.map((result) => [result.regionId, [result.latencyMs]]));
+    return selectRegionTargets(rankRegions(regions, samples), apiKey, fanOut);
+}
+
+/**
+ * Drop region endpoints (they carry the 0slot API key) from send results
+ *
+ * @param {Array<Object>} regionTimings - Per-region send timings
+ * @returns {Array<Object>} { regionId, durationMs, error } entries
+ */
+function redactRegionTimings(regionTimings = []) {
+    return regionTimings.map(({ regionId, durationMs, error }) => ({ regionId, durationMs, error }));
+}
+
+/**
+ * Drop region endpoints from submission attempts, e.g. before logging them
+ *
+ * @param {Array<Object>} [attempts] - Attempts reported by submitWithFallback
+ * @returns {Array<Object>|undefined} Attempts without endpoints
+ */
+export function redactSendAttempts(attempts) {
+    return attempts?.map(({ metadata, ...attempt }) => ({
+        ...attempt,
+        metadata: metadata?.regionTimings
+            ? { ...metadata, regionTimings: redactRegionTimings(metadata.regionTimings) }
+            : metadata,
+    }));
+}
+
+/**
+ * Make a value safe for JSON.stringify: bigints become decimal strings
+ *
+ * @param {*} value - Value to convert
+ * @returns {*} JSON-safe copy
+ */
+export function toJsonSafe(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+}
+
+/**
+ * Quote and execute a swap signed by a local keypair
+ *
+ * @param {Object} params - Swap parameters
+ * @param {Keypair} params.keypair - Wallet keypair (fee payer and signer)
+ * @param {string} params.inputMint - Input token mint
+ * @param {string} params.outputMint - Output token mint
+ * @param {bigint|string} params.amount - Input amount in base units
+ * @param {number} params.slippageBps - Slippage tolerance in basis points
+ * @param {Connection} [params.connection] - Solana connection; created from rpcUrl if omitted
+ * @param {string} [params.rpcUrl] - RPC URL (default mainnet-beta public endpoint)
+ * @param {string} [params.swapEndpoint] - Swap API endpoint
+ * @param {string} [params.oslotApiKey] - 0slot API key (required unless a non-0slot sender is used)
+ * @param {string} [params.oslotEndpoint] - Custom 0slot endpoint
+ * @param {string} [params.region] - Pin a 0slot region instead of probing
+ * @param {number} [params.fanOut] - Broadcast to this many of the fastest regions
+ * @param {number} [params.tipLamports] - Tip for the primary submission backend
+ * @param {Object} [params.priorityFee] - Compute budget settings from resolvePriorityFeePreset; the aggregator's
+ *   compute budget is kept if omitted
+ * @param {Array<string>} [params.senders] - Submission backend ids in fallback order (default ['oslot'])
+ * @param {Object} [params.senderContext] - { jitoBlockEngineUrl, relayUrl }
+ * @param {boolean} [params.dryRun] - Build, simulate and inspect only; nothing is signed or sent, and simulation
+ *   failures and inspector warnings are reported instead of aborting
+ * @param {boolean} [params.allowWarnings] - Accept safety inspector warnings (critical findings always block)
+ * @param {boolean} [params.blockOnSimulationFailure] - Abort when the simulation fails (default true)
+ * @param {Function} [params.confirmRequote] - async ({ previous, quote, change }) => boolean, asked before signing a
+ *   re-quote at a worse price when the quote went stale; without it worse re-quotes are declined
+ * @param {number} [params.maxRequotes] - Re-quote at most this many times (default 2)
+ * @param {Function} [params.onStatus] - Confirmation status callback ({ status, slot, timestamp })
+ * @returns {Promise<Object>} JSON-safe result: { dryRun, signature, status, slot, error, quote, requotes, sender,
+ *   fastestRegion, regionTimings, sendAttempts, tip, priorityFee, simulation, findings, receipt, timings }
+ *   where receipt is the settlement receipt of a landed transaction (see settlement.js)
+ */
+export async function swap({
+    keypair,
+    inputMint,
+    outputMint,
+    amount,
+    slippageBps,
+    connection,
+    rpcUrl = DEFAULT_RPC_URL,
+    swapEndpoint = DEFAULT_SWAP_ENDPOINT,
+    oslotApiKey,
+    oslotEndpoint,
+    region,
+    fanOut = 1,
+    tipLamports = 0,
+    priorityFee = null,
+    senders = ['oslot'],
+    senderContext = {},
+    dryRun = false,
+    allowWarnings = false,
+    blockOnSimulationFailure = true,
+    confirmRequote,
+    maxRequotes = 2,
+    onStatus,
+}) {
+    const startTime = performance.now();
+    const rpc = connection || new Connection(rpcUrl, 'confirmed');
+    const wallet = keypair.publicKey.toBase58();
+
+    const swapParams = { inputMint, outputMint, amount: amount.toString(), slippageBps };
+    const quoteStartTime = performance.now();
+    const initialQuote = await fetchSwapTransaction(swapEndpoint, swapParams, wallet);
+    const quoteMs = performance.now() - quoteStartTime;
+
+    const oslotTargets = senders.includes('oslot') && (oslotApiKey || oslotEndpoint)
+        ? await selectOSlotTargets(oslotApiKey, { region, customEndpoint: oslotEndpoint, fanOut })
+        : [];
+
+    const execute = (quote) => executeSwapWithOSlot(
+        quote.transaction,
+        rpc,
+        createKeypairSigner(keypair),
+        oslotTargets,
+        {
+            tipLamports,
+            priorityFee,
+            simulate: true,
+            // A dry run reports simulation failures and warnings instead of aborting on them
+            blockOnSimulationFailure: blockOnSimulationFailure && !dryRun,
+            walletPublicKey: keypair.publicKey,
+            confirmInspection: async () => allowWarnings || dryRun,
+            senders,
+            senderContext,
+            dryRun,
+            quote,
+        }
+    );
+    const { result: execution, quote, requotes } = await executeWithFreshQuote(initialQuote, {
+        execute,
+        requote: () => fetchSwapTransaction(swapEndpoint, swapParams, wallet),
+        confirmRequote,
+        maxRequotes,
+    });
+
+    const result = {
+        dryRun,
+        wallet,
+        quote: {
+            provider: quote.provider,
+            inAmount: quote.inAmount,
+            expectedOutAmount: quote.expectedOutAmount,
+            minimumOutAmount: quote.minimumOutAmount,
+            priceImpactPct: quote.priceImpactPct,
+            route: quote.route,
+        },
+        requotes,
+        sender: execution.sender,
+        tip: execution.tip,
+        priorityFee: execution.priorityFee,
+        simulation: execution.simulation && {
+            ok: execution.simulation.ok,
+            errorMessage: execution.simulation.errorMessage,
+            unitsConsumed: execution.simulation.unitsConsumed,
+            balanceChanges: execution.simulation.balanceChanges,
+        },
+        findings: execution.inspection?.findings || [],
+    };
+
+    if (dryRun) {
+        return toJsonSafe({
+            ...result,
+            timings: { quoteMs, ...execution.timings, totalMs: performance.now() - startTime },
+        });
+    }
+
+    const confirmStartTime = performance.now();
+    const confirmation = await trackTransactionConfirmation(rpc, {
+        signature: execution.signature,
+        blockhash: execution.blockhash,
+        lastValidBlockHeight: execution.lastValidBlockHeight,
+    }, { onStatus });
+    const confirmMs = performance.now() - confirmStartTime;
+
+    let receipt = null;
+    if (confirmation.status === 'finalized' || confirmation.status === 'failed') {
+        try {
+            receipt = await reconcileSwap(rpc, execution.signature, {
+                wallet,
+                inputMint,
+                outputMint,
+                inAmount: quote.inAmount,
+                quotedOutAmount: quote.expectedOutAmount,
+                minimumOutAmount: quote.minimumOutAmount,
+            });
+        } catch (error) {
+            console.warn('Could not reconcile swap settlement:', error);
+        }
+    }
+
+    return toJsonSafe({
+        ...result,
+        signature: execution.signature,
+        status: confirmation.status,
+        slot: confirmation.slot ?? null,
+        error: confirmation.errorMessage || null,
+        fastestRegion: execution.fastestRegion,
+        regionTimings: redactRegionTimings(execution.regionTimings),
+        sendAttempts: redactSendAttempts(execution.sendAttempts),
+        sentSlot: execution.sentSlot,
+        receipt,
+        timings: {
+            quoteMs,
+            ...execution.timings,
+            confirmMs,
+            totalMs: performance.now() - startTime,
+        },
+    });
+}
@@ -0,0 +1,46 @@
+/**
+ * Token amount helpers
+ * Amounts are handled as BigInt base units to avoid floating point precision loss.
+ */
+
+export const NATIVE_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Format a base-unit amount as a decimal string
+ *
+ * @param {bigint|number|string} amount - Amount in base units (may be negative)
+ * @param {number} decimals - Token decimals
+ * @returns {string} Decimal representation without trailing zeros, e.g. "1.5"
+ */
+export function formatBaseUnits(amount, decimals) {
+    const value = BigInt(amount);
+    const negative = value < 0n;
+    const absolute = negative ? -value : value;
+    const base = 10n ** BigInt(decimals);
+
+    const whole = absolute / base;
+    const fraction = (absolute % base).toString().padStart(decimals, '0').replace(/0+$/, '');
+
+    return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Parse a human-readable decimal amount into base units
+ *
+ * @param {string} value - Decimal string, e.g. "1.25"
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ */
+export function parseToBaseUnits(value, decimals) {
+    const trimmed = String(value).trim();
+    if (!/^\d*\.?\d*$/.test(trimmed) || trimmed === '' || trimmed === '.') {
+        throw new Error(`"${value}" is not a valid amount`);
+    }
+
+    const [whole, fraction = ''] = trimmed.split('.');
+    if (fraction.length > decimals) {
+        throw new Error(`Amount has more than ${decimals} decimal places`);
+    }
+
+    return BigInt(whole || '0') * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
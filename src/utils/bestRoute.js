@@ -0,0 +1,144 @@
+import { fetchSwapTransaction } from './oslot';
+import { simulateSwapTransaction } from './simulation';
+import { resolveSwapProvider } from './swapProviders';
+import { decodeSwapTransaction } from './walletSigning';
+
+/**
+ * Best-price routing
+ * Queries several swap endpoints concurrently, ranks their quotes by net output
+ * and picks the best one that actually builds and simulates.
+ */
+
+const DEFAULT_PROVIDER_TIMEOUT_MS = 5000;
+
+// Endpoints queried in best route mode, in addition to the user's configured endpoint
+export const BEST_ROUTE_ENDPOINTS = [
+    'https://metaagg.velvetdao.xyz/api/v1/route/solana/swap',
+    'https://quote-api.jup.ag/v6/quote',
+];
+
+/**
+ * Net output of a quote: expected output minus any separately charged fee
+ *
+ * @param {Object} quote - Normalized quote
+ * @returns {bigint|null} Net output in base units, null if the provider gave no estimate
+ */
+export function netOutAmount(quote) {
+    if (quote.expectedOutAmount === null) {
+        return null;
+    }
+    return BigInt(quote.expectedOutAmount) - BigInt(quote.feeAmount ?? 0);
+}
+
+/**
+ * Order route results best first
+ * Higher net output wins; ties go to the lower price impact. Quotes without an
+ * output estimate come after those with one, failed fetches come last.
+ *
+ * @param {Array<Object>} results - Route results from fetchRouteQuotes
+ * @returns {Array<Object>} Sorted copy of the results
+ */
+export function rankRouteResults(results) {
+    return [...results].sort((a, b) => {
+        if (!a.quote || !b.quote) {
+            return (a.quote ? 0 : 1) - (b.quote ? 0 : 1);
+        }
+        const aNet = netOutAmount(a.quote);
+        const bNet = netOutAmount(b.quote);
+        if (aNet === null || bNet === null) {
+            return (aNet === null ? 1 : 0) - (bNet === null ? 1 : 0);
+        }
+        if (aNet !== bNet) {
+            return aNet > bNet ? -1 : 1;
+        }
+        return (a.quote.priceImpactPct ?? Infinity) - (b.quote.priceImpactPct ?? Infinity);
+    });
+}
+
+/**
+ * Reject after a timeout
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise} The promise's result, or a timeout error
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Fetch quotes from several endpoints concurrently and rank them
+ *
+ * @param {Array<string>} endpoints - Swap endpoints to query (duplicates are ignored)
+ * @param {Object} swapParams - Swap parameters (inputMint, outputMint, amount, etc.)
+ * @param {string} userPublicKey - User's public key for the swap
+ * @param {Object} [options] - Routing options
+ * @param {number} [options.timeoutMs] - Per-provider timeout
+ * @returns {Promise<Array<Object>>} Ranked [{ endpoint, providerId, quote, error, durationMs }]
+ */
+export async function fetchRouteQuotes(
+    endpoints,
+    swapParams,
+    userPublicKey,
+    { timeoutMs = DEFAULT_PROVIDER_TIMEOUT_MS } = {}
+) {
+    const uniqueEndpoints = [...new Set(endpoints.filter(Boolean))];
+
+    const results = await Promise.all(
+        uniqueEndpoints.map(async (endpoint) => {
+            const startTime = performance.now();
+            const providerId = resolveSwapProvider(endpoint).id;
+            try {
+                const quote = await withTimeout(fetchSwapTransaction(endpoint, swapParams, userPublicKey), timeoutMs);
+                return { endpoint, providerId, quote, error: null, durationMs: performance.now() - startTime };
+            } catch (error) {
+                return { endpoint, providerId, quote: null, error: error.message, durationMs: performance.now() - startTime };
+            }
+        })
+    );
+
+    return rankRouteResults(results);
+}
+
+/**
+ * Walk the ranked quotes and return the first one whose transaction builds (and simulates)
+ *
+ * @param {Array<Object>} rankedResults - Output of fetchRouteQuotes
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} [options] - Selection options
+ * @param {boolean} [options.simulate] - Require a successful simulation
+ * @returns {Promise<Object>} { result, simulation, rejected: [{ endpoint, reason }] }
+ */
+export async function selectExecutableRoute(rankedResults, connection, { simulate = true } = {}) {
+    const rejected = [];
+
+    for (const result of rankedResults) {
+        if (!result.quote) {
+            continue;
+        }
+
+        try {
+            const transaction = decodeSwapTransaction(result.quote.transaction);
+
+            let simulation = null;
+            if (simulate) {
+                simulation = await simulateSwapTransaction(transaction, connection);
+                if (!simulation.ok) {
+                    rejected.push({ endpoint: result.endpoint, reason: `Simulation failed: ${simulation.errorMessage}` });
+                    continue;
+                }
+            }
+
+            return { result, simulation, rejected };
+        } catch (error) {
+            rejected.push({ endpoint: result.endpoint, reason: `Transaction failed to build: ${error.message}` });
+        }
+    }
+
+    const reasons = rejected.map((entry) => `${entry.endpoint}: ${entry.reason}`).join('; ');
+    throw new Error(`No executable route found${reasons ? ` (${reasons})` : ''}`);
+}
@@ -0,0 +1,229 @@
+import { createContext } from 'react';
+import { clusterApiUrl, Connection } from '@solana/web3.js';
+import { getSender } from './senders';
+
+/**
+ * Runtime configuration
+ * Defaults come from Vite env variables (VITE_*), user overrides are persisted
+ * in localStorage and validated before they are applied.
+ */
+
+const STORAGE_KEY = 'oslot-swap-settings';
+const VALIDATION_TIMEOUT_MS = 8000;
+
+export const CLUSTERS = ['mainnet-beta', 'devnet', 'testnet'];
+
+// Genesis hashes used to verify an RPC URL actually serves the selected cluster
+export const CLUSTER_GENESIS_HASHES = {
+    'mainnet-beta': '5eykt4UsFv8P8NJdTREpY1vzqKqZKvdpKuc147dw2N9d',
+    devnet: 'EtWTRABZaYq6iMfeYKouRu166VU2xqa1wcaWoxPkrZBG',
+    testnet: '4uhcVJyU9pJkvQyS88uRDiswHXSCkY3zQawwpjk2NsNY',
+};
+
+const env = import.meta.env;
+const defaultCluster = CLUSTERS.includes(env.VITE_CLUSTER) ? env.VITE_CLUSTER : 'mainnet-beta';
+
+export const DEFAULT_CONFIG = {
+    cluster: defaultCluster,
+    rpcUrl: env.VITE_RPC_URL || clusterApiUrl(defaultCluster),
+    oslotApiKey: env.VITE_OSLOT_API_KEY || '',
+    // Backend relay (server/relay.js) holding the 0slot key; when set, sends and quotes go through it
+    backendUrl: env.VITE_BACKEND_URL || '',
+    oslotEndpoint: env.VITE_OSLOT_ENDPOINT || '',
+    swapEndpoint: env.VITE_SWAP_ENDPOINT || 'https://metaagg.velvetdao.xyz/api/v1/route/solana/swap',
+    // Percentage of swaps sent through the standard RPC instead of 0slot, for A/B latency comparison
+    abRpcShare: env.VITE_AB_RPC_SHARE || '0',
+    jitoBlockEngineUrl: env.VITE_JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf',
+    relayUrl: env.VITE_RELAY_URL || '',
+    // Comma-separated sender ids tried after the backend chosen for a swap
+    senderFallbackOrder: env.VITE_SENDER_FALLBACK_ORDER || 'oslot,rpc',
+};
+
+export const AppConfigContext = createContext({
+    config: DEFAULT_CONFIG,
+    updateConfig: () => {},
+    resetConfig: () => {},
+});
+
+/**
+ * Load the configuration: env defaults merged with persisted overrides
+ *
+ * @returns {Object} Effective configuration
+ */
+export function loadConfig() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const overrides = Object.fromEntries(
+            Object.entries(stored).filter(([key]) => key in DEFAULT_CONFIG)
+        );
+        return { ...DEFAULT_CONFIG, ...overrides };
+    } catch (error) {
+        console.warn('Ignoring unreadable saved settings:', error);
+        return { ...DEFAULT_CONFIG };
+    }
+}
+
+/**
+ * Persist the values of a configuration that differ from the env defaults
+ *
+ * @param {Object} config - Configuration to save
+ */
+export function saveConfig(config) {
+    const overrides = Object.fromEntries(
+        Object.entries(config).filter(([key, value]) => key in DEFAULT_CONFIG && value !== DEFAULT_CONFIG[key])
+    );
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+}
+
+/**
+ * Remove persisted overrides
+ */
+export function clearSavedConfig() {
+    localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Split the configured fallback order into sender ids
+ *
+ * @param {string} value - Comma-separated sender ids
+ * @returns {Array<string>} Sender ids
+ */
+export function parseSenderOrder(value) {
+    return (value || '').split(',').map((id) => id.trim()).filter(Boolean);
+}
+
+/**
+ * Check that a string is an http(s) URL
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check that a string is an http(s) URL or a same-origin path
+ *
+ * @param {string} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isHttpUrlOrPath(value) {
+    return value.startsWith('/') || isHttpUrl(value);
+}
+
+/**
+ * Absolute URL of a backend relay route
+ *
+ * @param {string} backendUrl - Configured backend URL, absolute or a same-origin path such as '/'
+ * @param {string} route - Route, e.g. '/api/send'
+ * @returns {string} Absolute URL
+ */
+export function backendEndpoint(backendUrl, route) {
+    const base = new URL(backendUrl, window.location.origin);
+    return new URL(`${base.pathname.replace(/\/+$/, '')}${route}`, base).href;
+}
+
+/**
+ * Reject after a timeout
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {string} what - Description used in the timeout message
+ * @returns {Promise} The promise's result, or a timeout error
+ */
+function withTimeout(promise, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} did not respond within ${VALIDATION_TIMEOUT_MS / 1000}s`)), VALIDATION_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Validate a configuration, including network checks
+ * The RPC must be reachable and serve the selected cluster (genesis hash match).
+ *
+ * @param {Object} config - Configuration to validate
+ * @returns {Promise<Object>} { valid, errors: { field: message }, warnings: { field: message } }
+ */
+export async function validateConfig(config) {
+    const errors = {};
+    const warnings = {};
+
+    if (!CLUSTERS.includes(config.cluster)) {
+        errors.cluster = `Cluster must be one of ${CLUSTERS.join(', ')}`;
+    }
+    if (!isHttpUrl(config.rpcUrl)) {
+        errors.rpcUrl = 'RPC URL must be an http(s) URL';
+    }
+    if (!isHttpUrl(config.swapEndpoint)) {
+        errors.swapEndpoint = 'Swap endpoint must be an http(s) URL';
+    }
+    if (config.oslotEndpoint && !isHttpUrl(config.oslotEndpoint)) {
+        errors.oslotEndpoint = '0slot endpoint must be an http(s) URL';
+    }
+    if (config.jitoBlockEngineUrl && !isHttpUrl(config.jitoBlockEngineUrl)) {
+        errors.jitoBlockEngineUrl = 'Jito block engine URL must be an http(s) URL';
+    }
+    if (config.backendUrl && !isHttpUrlOrPath(config.backendUrl)) {
+        errors.backendUrl = 'Backend relay URL must be an http(s) URL or a path such as /';
+    }
+    if (config.relayUrl && !isHttpUrl(config.relayUrl)) {
+        errors.relayUrl = 'Relay URL must be an http(s) URL';
+    }
+    const senderOrder = parseSenderOrder(config.senderFallbackOrder);
+    const unknownSenders = senderOrder.filter((id) => !getSender(id));
+    if (unknownSenders.length) {
+        errors.senderFallbackOrder = `Unknown submission backend(s): ${unknownSenders.join(', ')}`;
+    } else if (senderOrder.includes('relay') && !config.relayUrl) {
+        warnings.senderFallbackOrder = 'The custom relay is in the fallback order but no relay URL is set; it will be skipped';
+    }
+
+    const abRpcShare = Number(config.abRpcShare);
+    if (config.abRpcShare === '' || !Number.isFinite(abRpcShare) || abRpcShare < 0 || abRpcShare > 100) {
+        errors.abRpcShare = 'A/B share must be a percentage between 0 and 100';
+    }
+    if (config.backendUrl && config.oslotApiKey) {
+        warnings.oslotApiKey = 'The backend relay holds the 0slot API key; the key set here is not used';
+    } else if (!config.backendUrl && !config.oslotApiKey) {
+        warnings.oslotApiKey = 'No 0slot API key set; 0slot will reject submissions';
+    }
+
+    if (!errors.rpcUrl) {
+        try {
+            const genesisHash = await withTimeout(new Connection(config.rpcUrl).getGenesisHash(), 'RPC');
+            const expected = CLUSTER_GENESIS_HASHES[config.cluster];
+            if (expected && genesisHash !== expected) {
+                const actual = Object.keys(CLUSTER_GENESIS_HASHES).find(
+                    (cluster) => CLUSTER_GENESIS_HASHES[cluster] === genesisHash
+                );
+                errors.rpcUrl = `RPC serves ${actual || `an unknown cluster (genesis ${genesisHash})`}, not ${config.cluster}`;
+            }
+        } catch (error) {
+            errors.rpcUrl = `RPC is not reachable: ${error.message}`;
+        }
+    }
+
+    if (config.backendUrl && !errors.backendUrl) {
+        try {
+            await withTimeout(fetch(backendEndpoint(config.backendUrl, '/api/send'), { method: 'OPTIONS' }), 'Backend relay');
+        } catch (error) {
+            errors.backendUrl = `Backend relay is not reachable: ${error.message}`;
+        }
+    }
+
+    if (config.oslotEndpoint && !errors.oslotEndpoint) {
+        try {
+            await withTimeout(fetch(config.oslotEndpoint, { method: 'POST', body: '{}' }), '0slot endpoint');
+        } catch (error) {
+            errors.oslotEndpoint = `0slot endpoint is not reachable: ${error.message}`;
+        }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors, warnings };
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AppConfigContext, backendEndpoint, clearSavedConfig, DEFAULT_CONFIG, loadConfig, saveConfig } from './config';
+import { setQuoteProxy } from './oslot';
+
+export function ConfigProvider({ children }) {
+    const [config, setConfig] = useState(loadConfig);
+
+    // Callers are expected to have validated the new values (see validateConfig)
+    const updateConfig = useCallback((nextConfig) => {
+        saveConfig(nextConfig);
+        setConfig(nextConfig);
+    }, []);
+
+    const resetConfig = useCallback(() => {
+        clearSavedConfig();
+        setConfig({ ...DEFAULT_CONFIG });
+    }, []);
+
+    // Quotes go through the backend relay too, so the browser never calls swap endpoints itself
+    useEffect(() => {
+        setQuoteProxy(config.backendUrl ? backendEndpoint(config.backendUrl, '/api/quote') : null);
+    }, [config.backendUrl]);
+
+    const value = useMemo(() => ({ config, updateConfig, resetConfig }), [config, updateConfig, resetConfig]);
+
+    return (
+        <AppConfigContext.Provider value={value}>
+            {children}
+        </AppConfigContext.Provider>
+    );
+}
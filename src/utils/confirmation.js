@@ -0,0 +1,215 @@
+/**
+ * Transaction confirmation tracking
+ * Follows a submitted signature through processed -> confirmed -> finalized using
+ * signature subscriptions on the regular RPC connection, with a polling fallback
+ * for RPC nodes whose websocket is unavailable or drops notifications.
+ */
+
+// Ordered commitment levels a landed transaction moves through
+export const CONFIRMATION_STAGES = ['processed', 'confirmed', 'finalized'];
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Turn an on-chain TransactionError into a readable message
+ * Handles the common shapes returned by the RPC, e.g.
+ * "BlockhashNotFound" or { InstructionError: [2, { Custom: 6001 }] }
+ *
+ * @param {Object|string|null} err - TransactionError from a signature status
+ * @returns {string|null} Human readable description of the error
+ */
+export function describeTransactionError(err) {
+    if (!err) {
+        return null;
+    }
+
+    if (typeof err === 'string') {
+        return err;
+    }
+
+    if (err.InstructionError) {
+        const [index, detail] = err.InstructionError;
+        if (detail && typeof detail === 'object' && 'Custom' in detail) {
+            const code = detail.Custom;
+            return `Instruction ${index} failed with custom program error ${code} (0x${code.toString(16)})`;
+        }
+        const reason = typeof detail === 'string' ? detail : JSON.stringify(detail);
+        return `Instruction ${index} failed: ${reason}`;
+    }
+
+    if (err.InsufficientFundsForRent) {
+        return `Insufficient funds for rent (account index ${err.InsufficientFundsForRent.account_index})`;
+    }
+
+    return JSON.stringify(err);
+}
+
+/**
+ * Track a submitted transaction until it is finalized, fails on-chain or expires
+ *
+ * Status updates are reported through `onStatus` as the transaction progresses:
+ * 'sent' -> 'processed' -> 'confirmed' -> 'finalized', or a terminal
+ * 'failed' / 'expired' / 'timeout'.
+ *
+ * @param {Connection} connection - Solana connection instance used to observe the signature
+ * @param {Object} params - Transaction to track
+ * @param {string} params.signature - Transaction signature
+ * @param {string} params.blockhash - Recent blockhash the transaction was built with
+ * @param {number} [params.lastValidBlockHeight] - Block height after which the blockhash is expired
+ * @param {Object} [options] - Tracking options
+ * @param {Function} [options.onStatus] - Called with { status, slot, timestamp, error } on every change
+ * @param {number} [options.pollIntervalMs] - Interval for the polling fallback
+ * @param {number} [options.timeoutMs] - Give up after this long without finalization
+ * @returns {Promise<Object>} Final { status, slot, error, errorMessage }
+ */
+export function trackTransactionConfirmation(
+    connection,
+    { signature, blockhash, lastValidBlockHeight },
+    { onStatus, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS, timeoutMs = DEFAULT_TIMEOUT_MS } = {}
+) {
+    return new Promise((resolve) => {
+        let currentStage = -1;
+        let settled = false;
+        let polling = false;
+        const subscriptions = new Map();
+
+        const emit = (status, extra = {}) => {
+            if (onStatus) {
+                onStatus({ status, timestamp: Date.now(), ...extra });
+            }
+        };
+
+        const cleanup = () => {
+            clearInterval(pollTimer);
+            clearTimeout(timeoutTimer);
+            for (const id of subscriptions.values()) {
+                connection.removeSignatureListener(id).catch(() => {});
+            }
+            subscriptions.clear();
+        };
+
+        const finish = (result) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            cleanup();
+            emit(result.status, result);
+            resolve(result);
+        };
+
+        const advance = (stage, slot, err) => {
+            if (settled) {
+                return;
+            }
+
+            if (err) {
+                finish({
+                    status: 'failed',
+                    slot,
+                    error: err,
+                    errorMessage: describeTransactionError(err),
+                });
+                return;
+            }
+
+            const stageIndex = CONFIRMATION_STAGES.indexOf(stage);
+            if (stageIndex <= currentStage) {
+                return;
+            }
+
+            // Report any stage that was skipped over (e.g. polling saw 'confirmed' first)
+            for (let i = currentStage + 1; i < stageIndex; i++) {
+                emit(CONFIRMATION_STAGES[i], { slot });
+            }
+            currentStage = stageIndex;
+
+            if (stage === 'finalized') {
+                finish({ status: 'finalized', slot, error: null, errorMessage: null });
+            } else {
+                emit(stage, { slot });
+            }
+        };
+
+        const checkExpiry = async () => {
+            if (lastValidBlockHeight !== undefined) {
+                const blockHeight = await connection.getBlockHeight('confirmed');
+                if (blockHeight > lastValidBlockHeight) {
+                    return true;
+                }
+            }
+            if (blockhash) {
+                const { value: valid } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' });
+                return !valid;
+            }
+            return false;
+        };
+
+        const poll = async () => {
+            if (settled || polling) {
+                return;
+            }
+            polling = true;
+
+            try {
+                const { value } = await connection.getSignatureStatuses([signature]);
+                const status = value[0];
+
+                if (status) {
+                    advance(status.confirmationStatus || 'processed', status.slot, status.err);
+                } else if (currentStage < 0 && await checkExpiry()) {
+                    // Re-check once more: the transaction may have landed between the two calls
+                    const { value: [lateStatus] } = await connection.getSignatureStatuses([signature], {
+                        searchTransactionHistory: true,
+                    });
+                    if (lateStatus) {
+                        advance(lateStatus.confirmationStatus || 'processed', lateStatus.slot, lateStatus.err);
+                    } else {
+                        finish({
+                            status: 'expired',
+                            slot: null,
+                            error: null,
+                            errorMessage: `Blockhash ${blockhash} expired before the transaction landed`,
+                        });
+                    }
+                }
+            } catch (error) {
+                console.warn('Confirmation poll failed, will retry:', error);
+            } finally {
+                polling = false;
+            }
+        };
+
+        emit('sent');
+
+        for (const commitment of CONFIRMATION_STAGES) {
+            try {
+                const id = connection.onSignature(
+                    signature,
+                    (result, context) => {
+                        // One-shot subscriptions are disposed by web3.js once they fire
+                        subscriptions.delete(commitment);
+                        advance(commitment, context.slot, result.err);
+                    },
+                    commitment
+                );
+                subscriptions.set(commitment, id);
+            } catch (error) {
+                console.warn(`Signature subscription (${commitment}) unavailable, relying on polling:`, error);
+            }
+        }
+
+        const pollTimer = setInterval(poll, pollIntervalMs);
+        const timeoutTimer = setTimeout(() => {
+            finish({
+                status: 'timeout',
+                slot: null,
+                error: null,
+                errorMessage: `Transaction was not finalized within ${Math.round(timeoutMs / 1000)} seconds`,
+            });
+        }, timeoutMs);
+
+        poll();
+    });
+}
@@ -0,0 +1,215 @@
+import { PublicKey, SystemInstruction, SystemProgram, TransactionMessage } from '@solana/web3.js';
+import { OSLOT_TIP_ACCOUNTS, resolveAddressLookupTables } from './tip.js';
+import { TOKEN_2022_PROGRAM_ID, TOKEN_PROGRAM_ID } from './tokens.js';
+
+/**
+ * Transaction safety inspector
+ * Decodes every top-level instruction of a swap transaction before the wallet
+ * signs it and flags anything a swap has no business doing: unknown programs,
+ * a foreign fee payer, token approvals, authority changes and transfers to
+ * accounts the wallet does not own.
+ *
+ * Findings are either 'critical' (the transaction is blocked) or 'warning'
+ * (the user has to acknowledge them before signing).
+ */
+
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+// Programs a swap transaction is expected to call directly
+export const KNOWN_PROGRAMS = {
+    '11111111111111111111111111111111': 'System Program',
+    ComputeBudget111111111111111111111111111111: 'Compute Budget',
+    [TOKEN_PROGRAM_ID.toBase58()]: 'SPL Token',
+    [TOKEN_2022_PROGRAM_ID.toBase58()]: 'SPL Token-2022',
+    [ASSOCIATED_TOKEN_PROGRAM_ID]: 'Associated Token Account',
+    MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr: 'Memo',
+    Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo: 'Memo (v1)',
+    JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: 'Jupiter Aggregator v6',
+    '6m2CDdhRgxpH4WjvdzxAYbGxwdGUz5MziiL5jek2kBma': 'OKX DEX Aggregator',
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium AMM v4',
+    CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK: 'Raydium CLMM',
+    CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C: 'Raydium CPMM',
+    whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: 'Orca Whirlpool',
+    LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: 'Meteora DLMM',
+    Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB: 'Meteora Pools',
+    PhoeNiXZ8ByJGLkxNfZRnkUfjvmuYqLR89jjFHGqdXY: 'Phoenix',
+    '2wT8Yq49kHgDzXuPxZSaeLaH1qbmGXtEyPy64bL7aD3c': 'Lifinity v2',
+    pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA: 'Pump.fun AMM',
+};
+
+// SPL token instruction discriminators the inspector cares about
+const TOKEN_INSTRUCTIONS = {
+    3: 'Transfer',
+    4: 'Approve',
+    6: 'SetAuthority',
+    9: 'CloseAccount',
+    12: 'TransferChecked',
+    13: 'ApproveChecked',
+};
+
+// SPL token account layout: mint (32) | owner (32) | ...
+const TOKEN_ACCOUNT_MIN_LENGTH = 165;
+
+/**
+ * Look up the owner of token accounts that are not known from the transaction itself
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<PublicKey>} accounts - Token account addresses
+ * @returns {Promise<Object>} Map of token account -> owner address (null if missing)
+ */
+async function fetchTokenAccountOwners(connection, accounts) {
+    if (!accounts.length) {
+        return {};
+    }
+    const infos = await connection.getMultipleAccountsInfo(accounts);
+    return Object.fromEntries(infos.map((info, i) => {
+        const isTokenAccount = info
+            && (info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID))
+            && info.data.length >= TOKEN_ACCOUNT_MIN_LENGTH;
+        const owner = isTokenAccount ? new PublicKey(info.data.subarray(32, 64)).toBase58() : null;
+        return [accounts[i].toBase58(), owner];
+    }));
+}
+
+/**
+ * Describe a decoded instruction in a line
+ *
+ * @param {TransactionInstruction} instruction - Decompiled instruction
+ * @returns {string} Instruction type, e.g. "Transfer" or "unknown"
+ */
+function instructionType(instruction) {
+    const programId = instruction.programId.toBase58();
+
+    if (instruction.programId.equals(SystemProgram.programId)) {
+        try {
+            return SystemInstruction.decodeInstructionType(instruction);
+        } catch {
+            return 'unknown';
+        }
+    }
+    if (programId === TOKEN_PROGRAM_ID.toBase58() || programId === TOKEN_2022_PROGRAM_ID.toBase58()) {
+        return TOKEN_INSTRUCTIONS[instruction.data[0]] || `instruction ${instruction.data[0]}`;
+    }
+    if (programId === ASSOCIATED_TOKEN_PROGRAM_ID) {
+        return instruction.data.length === 0 || instruction.data[0] === 0 ? 'Create' : 'CreateIdempotent';
+    }
+    return KNOWN_PROGRAMS[programId] ? 'swap/program call' : 'unknown';
+}
+
+/**
+ * Inspect an unsigned swap transaction before it is signed
+ *
+ * @param {VersionedTransaction} transaction - Transaction to inspect
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} options - Inspection options
+ * @param {PublicKey|string} [options.wallet] - Connected wallet that is expected to pay and sign
+ * @param {Object} [options.knownPrograms] - Program id -> label allowlist
+ * @param {Array<string>} [options.tipAccounts] - Accounts that may receive SOL tips
+ * @returns {Promise<Object>} { instructions, findings, blocked, requiresAcknowledgement }
+ */
+export async function inspectTransaction(
+    transaction,
+    connection,
+    { wallet, knownPrograms = KNOWN_PROGRAMS, tipAccounts = OSLOT_TIP_ACCOUNTS } = {}
+) {
+    const findings = [];
+    const addFinding = (severity, message, instructionIndex = null) => {
+        findings.push({ severity, message, instructionIndex });
+    };
+
+    const message = transaction.message;
+    const addressLookupTableAccounts = await resolveAddressLookupTables(message, connection);
+    const { instructions, payerKey } = TransactionMessage.decompile(message, { addressLookupTableAccounts });
+
+    const walletAddress = wallet ? new PublicKey(wallet).toBase58() : null;
+    if (!walletAddress) {
+        addFinding('warning', 'Connected wallet unknown, fee payer could not be verified');
+    } else if (payerKey.toBase58() !== walletAddress) {
+        addFinding('critical', `Fee payer ${payerKey.toBase58()} is not the connected wallet`);
+    }
+
+    // Token accounts created for the wallet inside this transaction
+    const tokenAccountOwners = {};
+    instructions.forEach((instruction) => {
+        if (instruction.programId.toBase58() === ASSOCIATED_TOKEN_PROGRAM_ID && instruction.keys.length >= 3) {
+            tokenAccountOwners[instruction.keys[1].pubkey.toBase58()] = instruction.keys[2].pubkey.toBase58();
+        }
+    });
+
+    // Resolve the owners of every other account something is transferred to
+    // (SOL transfers into the wallet's own wrapped SOL account are expected)
+    const unresolved = [];
+    instructions.forEach((instruction) => {
+        const type = instructionType(instruction);
+        const destination = type === 'Transfer' ? instruction.keys[1]?.pubkey
+            : type === 'TransferChecked' ? instruction.keys[2]?.pubkey
+                : null;
+        if (!destination) {
+            return;
+        }
+        const address = destination.toBase58();
+        if (address !== walletAddress && !tipAccounts.includes(address) && !(address in tokenAccountOwners)) {
+            unresolved.push(destination);
+        }
+    });
+    Object.assign(tokenAccountOwners, await fetchTokenAccountOwners(connection, unresolved));
+
+    const decoded = instructions.map((instruction, index) => {
+        const programId = instruction.programId.toBase58();
+        const programLabel = knownPrograms[programId] || null;
+        const type = instructionType(instruction);
+        const isToken = programId === TOKEN_PROGRAM_ID.toBase58() || programId === TOKEN_2022_PROGRAM_ID.toBase58();
+
+        if (!programLabel) {
+            addFinding('warning', `Calls unrecognised program ${programId}`, index);
+        }
+
+        if (instruction.programId.equals(SystemProgram.programId)) {
+            if (type === 'Transfer') {
+                const { toPubkey, lamports } = SystemInstruction.decodeTransfer(instruction);
+                const to = toPubkey.toBase58();
+                if (to !== walletAddress && !tipAccounts.includes(to) && tokenAccountOwners[to] !== walletAddress) {
+                    addFinding('warning', `Transfers ${lamports} lamports to unknown account ${to}`, index);
+                }
+            } else if (type === 'Assign' || type === 'AssignWithSeed') {
+                addFinding('critical', 'Reassigns account ownership (System Assign)', index);
+            }
+        }
+
+        if (isToken) {
+            if (type === 'Approve' || type === 'ApproveChecked') {
+                const delegate = instruction.keys[type === 'Approve' ? 1 : 2]?.pubkey.toBase58();
+                addFinding('warning', `Approves ${delegate} to spend tokens from your account`, index);
+            } else if (type === 'SetAuthority') {
+                addFinding('critical', `Changes the authority of token account ${instruction.keys[0]?.pubkey.toBase58()}`, index);
+            } else if (type === 'CloseAccount') {
+                const destination = instruction.keys[1]?.pubkey.toBase58();
+                if (destination !== walletAddress) {
+                    addFinding('critical', `Closes a token account and sends its rent to ${destination}`, index);
+                }
+            } else if (type === 'Transfer' || type === 'TransferChecked') {
+                const destination = instruction.keys[type === 'Transfer' ? 1 : 2]?.pubkey.toBase58();
+                const owner = tokenAccountOwners[destination];
+                if (owner !== walletAddress) {
+                    addFinding('warning', `Transfers tokens to ${destination} owned by ${owner || 'an unknown owner'}`, index);
+                }
+            }
+        }
+
+        return {
+            index,
+            programId,
+            programLabel,
+            type,
+            accounts: instruction.keys.map((key) => key.pubkey.toBase58()),
+        };
+    });
+
+    const blocked = findings.some((finding) => finding.severity === 'critical');
+    return {
+        instructions: decoded,
+        findings,
+        blocked,
+        requiresAcknowledgement: !blocked && findings.length > 0,
+    };
+}
@@ -0,0 +1,314 @@
+import { describeTransactionError } from './confirmation';
+import { fetchSwapTransaction } from './oslot';
+import {
+    acquireOrderLease,
+    dueFillAmount,
+    getOrder,
+    isFillConditionMet,
+    listOrders,
+    orderChangesAfterFill,
+    updateLastFill,
+    updateOrder,
+} from './orders';
+
+/**
+ * Client-side order engine
+ * Periodically re-quotes the connected wallet's open orders, asks the user to
+ * approve every fill whose condition is met and executes it through the
+ * caller's swap pipeline. Orders are worked on independently, so one waiting
+ * for approval does not hold up the others, and each only under its lease
+ * (see acquireOrderLease), so another tab never handles it at the same time.
+ * The fills themselves still execute one at a time.
+ *
+ * A fill whose outcome is unknown (tab closed or confirmation timed out after
+ * sending) keeps its order in 'filling' until the signature is found on-chain
+ * or its blockhash has expired, so an order is never filled twice.
+ */
+
+const DEFAULT_ENGINE_INTERVAL_MS = 15000;
+
+// Fills without a known expiry height are given up on after this long
+const UNKNOWN_FILL_EXPIRY_MS = 5 * 60 * 1000;
+
+/**
+ * Settle fills left in flight by an earlier session or a confirmation timeout
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} order - Order in 'filling' state
+ */
+async function reconcileFillingOrder(connection, order) {
+    const fill = order.fills[order.fills.length - 1];
+    const settle = (status, error = null) => updateOrder(order.id, (current) => ({
+        ...orderChangesAfterFill(current, status),
+        fills: updateLastFill(current, { status, error }),
+    }));
+
+    if (!fill?.signature) {
+        settle('error', 'Interrupted before the transaction was sent');
+        return;
+    }
+
+    const { value: [status] } = await connection.getSignatureStatuses([fill.signature], {
+        searchTransactionHistory: true,
+    });
+    if (status?.err) {
+        settle('failed', describeTransactionError(status.err));
+        return;
+    }
+    if (status?.confirmationStatus === 'finalized') {
+        settle('finalized');
+        return;
+    }
+    if (status) {
+        // Landed but not finalized yet; check again next round
+        return;
+    }
+
+    const expired = fill.lastValidBlockHeight
+        ? await connection.getBlockHeight('confirmed') > fill.lastValidBlockHeight
+        : Date.now() - fill.at > UNKNOWN_FILL_EXPIRY_MS;
+    if (expired) {
+        settle('expired', 'Blockhash expired before the transaction landed');
+    }
+}
+
+/**
+ * Quote an order's due fill
+ *
+ * @param {Object} order - Order
+ * @param {bigint} amount - Input amount in base units
+ * @returns {Promise<Object>} Normalized quote
+ */
+function quoteFill(order, amount) {
+    return fetchSwapTransaction(order.swapEndpoint, {
+        inputMint: order.inputMint,
+        outputMint: order.outputMint,
+        amount: amount.toString(),
+        slippageBps: order.slippageBps,
+    }, order.wallet);
+}
+
+/**
+ * Work through one due order: quote, approval, then its turn to execute
+ *
+ * @param {Object} order - Pending order
+ * @param {bigint} amount - Input amount of the fill
+ * @param {Object} handlers - Engine handlers (see startOrderEngine), plus runExclusive and isStopped
+ * @param {Object} lease - The order's lease (see acquireOrderLease)
+ */
+async function processOrder(order, amount, handlers, lease) {
+    const { requestApproval, runExclusive, isStopped } = handlers;
+    let quote;
+    try {
+        quote = await quoteFill(order, amount);
+    } catch (error) {
+        updateOrder(order.id, { lastError: `Quote failed: ${error.message}` });
+        return;
+    }
+    updateOrder(order.id, {
+        lastQuote: { expectedOutAmount: quote.expectedOutAmount, at: quote.quotedAt },
+        lastError: null,
+    });
+    if (!isFillConditionMet(order, quote)) {
+        return;
+    }
+
+    const approved = await requestApproval(order, quote);
+
+    // The engine may have stopped, or the order been cancelled, while the approval was pending
+    if (isStopped() || getOrder(order.id)?.status !== 'pending') {
+        return;
+    }
+    if (!approved) {
+        updateOrder(order.id, (current) => ({
+            fills: [...current.fills, { at: Date.now(), inAmount: amount.toString(), expectedOutAmount: quote.expectedOutAmount, status: 'declined' }],
+            // A declined DCA leg is postponed by one interval
+            ...(current.type === 'dca' ? { nextRunAt: Date.now() + current.intervalMs } : {}),
+        }));
+        return;
+    }
+
+    await runExclusive(() => {
+        // Stopping, a cancel or a lost lease while waiting for the turn also ends the fill
+        if (isStopped() || !lease.isHeld() || getOrder(order.id)?.status !== 'pending') {
+            return null;
+        }
+        return fillOrder(order, amount, quote, handlers);
+    });
+}
+
+/**
+ * Execute an approved fill
+ *
+ * @param {Object} order - Pending order
+ * @param {bigint} amount - Input amount of the fill
+ * @param {Object} quote - Approved quote
+ * @param {Object} handlers - Engine handlers (see startOrderEngine)
+ */
+async function fillOrder(order, amount, quote, { executeFill }) {
+    // Approval may take a while; don't execute a stale quote
+    if (Date.now() > quote.expiresAt) {
+        try {
+            quote = await quoteFill(order, amount);
+        } catch (error) {
+            updateOrder(order.id, { lastError: `Re-quote failed: ${error.message}` });
+            return;
+        }
+        if (!isFillConditionMet(order, quote)) {
+            updateOrder(order.id, { lastError: 'Price moved away from the target while waiting for approval' });
+            return;
+        }
+    }
+
+    updateOrder(order.id, (current) => ({
+        status: 'filling',
+        fills: [...current.fills, {
+            at: Date.now(),
+            inAmount: amount.toString(),
+            expectedOutAmount: quote.expectedOutAmount,
+            signature: null,
+            lastValidBlockHeight: null,
+            status: 'approved',
+            error: null,
+        }],
+    }));
+
+    let sent = false;
+    try {
+        const result = await executeFill(getOrder(order.id), quote, {
+            onSent: ({ signature, lastValidBlockHeight }) => {
+                sent = true;
+                updateOrder(order.id, (current) => ({
+                    fills: updateLastFill(current, { signature, lastValidBlockHeight: lastValidBlockHeight ?? null, status: 'sent' }),
+                }));
+            },
+        });
+
+        if (result.status === 'timeout') {
+            // Outcome unknown; reconciliation decides once the signature shows up or expires
+            updateOrder(order.id, (current) => ({ fills: updateLastFill(current, { status: 'timeout', error: result.errorMessage }) }));
+            return;
+        }
+        updateOrder(order.id, (current) => ({
+            ...orderChangesAfterFill(current, result.status),
+            fills: updateLastFill(current, { status: result.status, error: result.errorMessage || null }),
+            lastError: result.status === 'finalized' ? null : result.errorMessage,
+        }));
+    } catch (error) {
+        if (sent) {
+            updateOrder(order.id, (current) => ({ fills: updateLastFill(current, { error: error.message }) }));
+            return;
+        }
+        updateOrder(order.id, (current) => ({
+            ...orderChangesAfterFill(current, 'error'),
+            fills: updateLastFill(current, { status: 'error', error: error.message }),
+            lastError: error.message,
+        }));
+    }
+}
+
+/**
+ * Run the order engine for a wallet
+ *
+ * @param {Object} options - Engine options
+ * @param {Connection} options.connection - Solana connection instance
+ * @param {string} options.wallet - Wallet whose orders are processed
+ * @param {Function} options.requestApproval - async (order, quote) => boolean, the user's approval of a fill
+ * @param {Function} options.executeFill - async (order, quote, { onSent }) => { status, errorMessage }; must call
+ *   onSent({ signature, lastValidBlockHeight }) as soon as the transaction is submitted
+ * @param {Function} [options.isPaused] - Returning true skips a round (e.g. while a manual swap is running)
+ * @param {number} [options.intervalMs] - Delay between rounds
+ * @returns {Function} Stops the engine
+ */
+export function startOrderEngine({
+    connection,
+    wallet,
+    requestApproval,
+    executeFill,
+    isPaused = () => false,
+    intervalMs = DEFAULT_ENGINE_INTERVAL_MS,
+}) {
+    let running = false;
+    let stopped = false;
+
+    // Orders with a task in this tab, and the chain that runs their fills one after another
+    const activeOrderIds = new Set();
+    let fillQueue = Promise.resolve();
+    const runExclusive = (task) => {
+        const run = fillQueue.then(task);
+        fillQueue = run.catch(() => {});
+        return run;
+    };
+
+    const withLease = async (id, task) => {
+        if (activeOrderIds.has(id)) {
+            return;
+        }
+        activeOrderIds.add(id);
+        let lease = null;
+        try {
+            lease = await acquireOrderLease(id);
+            if (lease && !stopped) {
+                await task(lease);
+            }
+        } finally {
+            lease?.release();
+            activeOrderIds.delete(id);
+        }
+    };
+
+    const runRound = async () => {
+        if (running || stopped || isPaused()) {
+            return;
+        }
+        running = true;
+
+        try {
+            const walletOrders = () => listOrders().filter((order) => order.wallet === wallet);
+
+            for (const order of walletOrders().filter((candidate) => candidate.status === 'filling')) {
+                try {
+                    await withLease(order.id, async () => {
+                        const current = getOrder(order.id);
+                        if (current?.status === 'filling') {
+                            await reconcileFillingOrder(connection, current);
+                        }
+                    });
+                } catch (error) {
+                    console.warn(`Could not reconcile order ${order.id}:`, error);
+                }
+            }
+
+            const handlers = { requestApproval, executeFill, runExclusive, isStopped: () => stopped };
+            for (const order of walletOrders()) {
+                if (stopped) {
+                    break;
+                }
+                if (dueFillAmount(order) === null) {
+                    continue;
+                }
+                // Not awaited: the next order is picked up while this one waits for approval
+                withLease(order.id, async (lease) => {
+                    // Re-read under the lease; another tab may have filled it in the meantime
+                    const current = getOrder(order.id);
+                    const amount = current ? dueFillAmount(current) : null;
+                    if (amount !== null) {
+                        await processOrder(current, amount, handlers, lease);
+                    }
+                }).catch((error) => console.error(`Order ${order.id} failed:`, error));
+            }
+        } catch (error) {
+            console.error('Order engine round failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    runRound();
+    const timer = setInterval(runRound, intervalMs);
+
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
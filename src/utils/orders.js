@@ -0,0 +1,334 @@
+/**
+ * Limit orders and DCA plans
+ * Orders are stored in localStorage so they survive reloads; the order engine
+ * (orderEngine.js) re-quotes them periodically and fills them through the
+ * regular swap pipeline once their condition is met and the user approves.
+ *
+ * Order shape:
+ * {
+ *   id, type: 'limit' | 'dca', wallet, inputMint, outputMint, slippageBps, swapEndpoint,
+ *   status: 'pending' | 'filling' | 'filled' | 'cancelled',
+ *   createdAt, updatedAt, lastQuote: { expectedOutAmount, at } | null, lastError,
+ *   execution: { tipLamports, senderId, priorityFee }, // swap settings captured when the order was placed
+ *   fills: [{ at, inAmount, expectedOutAmount, signature, lastValidBlockHeight, status, error }],
+ *
+ *   // limit
+ *   inAmount, targetOutAmount,                        // base units; fill once expected output >= target
+ *   // dca
+ *   totalAmount, legs, intervalMs, legsFilled, nextRunAt,
+ * }
+ * Fill status: 'sent' | 'finalized' | 'failed' | 'expired' | 'timeout' | 'declined' | 'error'
+ */
+
+const STORAGE_KEY = 'oslot-swap-orders';
+const LEASE_KEY_PREFIX = 'oslot-swap-order-lease:';
+
+// A lease outlives a few missed renewals, since background tabs run timers at most once a minute
+const LEASE_TTL_MS = 3 * 60 * 1000;
+const LEASE_RENEW_MS = 30 * 1000;
+
+// Two tabs can both find an order unleased; the later write wins and the other backs off after this delay
+const LEASE_SETTLE_MS = 100;
+
+export const ORDER_TYPES = {
+    limit: 'Limit order',
+    dca: 'DCA plan',
+};
+
+// Orders the engine still works on
+export const OPEN_ORDER_STATUSES = ['pending', 'filling'];
+
+const listeners = new Set();
+
+/**
+ * Read all stored orders, oldest first
+ *
+ * @returns {Array<Object>} Orders
+ */
+export function listOrders() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Ignoring unreadable order store:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist the order list and notify subscribers
+ *
+ * @param {Array<Object>} orders - Orders to store
+ */
+function storeOrders(orders) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to order changes
+ *
+ * @param {Function} listener - Called after every write
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToOrders(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Get a single order
+ *
+ * @param {string} id - Order id
+ * @returns {Object|undefined} Order
+ */
+export function getOrder(id) {
+    return listOrders().find((order) => order.id === id);
+}
+
+/**
+ * Merge changes into a stored order
+ *
+ * @param {string} id - Order id
+ * @param {Object|Function} changes - Fields to update, or a function of the current order returning them
+ * @returns {Object|null} Updated order, or null if it does not exist
+ */
+export function updateOrder(id, changes) {
+    const orders = listOrders();
+    const index = orders.findIndex((order) => order.id === id);
+    if (index === -1) {
+        return null;
+    }
+    const patch = typeof changes === 'function' ? changes(orders[index]) : changes;
+    orders[index] = { ...orders[index], ...patch, updatedAt: Date.now() };
+    storeOrders(orders);
+    return orders[index];
+}
+
+/**
+ * Store a new order
+ *
+ * @param {Object} fields - Order fields
+ * @returns {Object} The stored order
+ */
+function addOrder(fields) {
+    const now = Date.now();
+    const order = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        status: 'pending',
+        lastQuote: null,
+        lastError: null,
+        fills: [],
+        ...fields,
+    };
+    storeOrders([...listOrders(), order]);
+    return order;
+}
+
+/**
+ * Check the fields every order needs
+ *
+ * @param {Object} fields - Order fields
+ */
+function validateCommonFields({ wallet, inputMint, outputMint, swapEndpoint }) {
+    if (!wallet || !inputMint || !outputMint || !swapEndpoint) {
+        throw new Error('Orders need a wallet, input and output mint and a swap endpoint');
+    }
+    if (inputMint === outputMint) {
+        throw new Error('Input and output token must differ');
+    }
+}
+
+/**
+ * Place a limit order
+ *
+ * @param {Object} fields - { wallet, inputMint, outputMint, slippageBps, swapEndpoint, execution,
+ *   inAmount, targetOutAmount } with amounts as base-unit strings
+ * @returns {Object} The stored order
+ */
+export function createLimitOrder(fields) {
+    validateCommonFields(fields);
+    if (BigInt(fields.inAmount) <= 0n || BigInt(fields.targetOutAmount) <= 0n) {
+        throw new Error('Limit orders need a positive amount and target output');
+    }
+    return addOrder({ ...fields, type: 'limit' });
+}
+
+/**
+ * Start a DCA plan: `totalAmount` split into `legs` swaps, one every `intervalMs`
+ * The first leg is due immediately.
+ *
+ * @param {Object} fields - { wallet, inputMint, outputMint, slippageBps, swapEndpoint, execution,
+ *   totalAmount, legs, intervalMs } with the amount as a base-unit string
+ * @returns {Object} The stored order
+ */
+export function createDcaPlan(fields) {
+    validateCommonFields(fields);
+    if (!Number.isInteger(fields.legs) || fields.legs < 2) {
+        throw new Error('DCA plans need at least 2 swaps');
+    }
+    if (!(fields.intervalMs > 0)) {
+        throw new Error('DCA interval must be positive');
+    }
+    if (BigInt(fields.totalAmount) < BigInt(fields.legs)) {
+        throw new Error('Total amount is too small to split into that many swaps');
+    }
+    return addOrder({ ...fields, type: 'dca', legsFilled: 0, nextRunAt: Date.now() });
+}
+
+/**
+ * Cancel an open order
+ * An order whose fill is already in flight keeps that fill; it just won't be filled again.
+ *
+ * @param {string} id - Order id
+ * @returns {Object|null} Updated order
+ */
+export function cancelOrder(id) {
+    return updateOrder(id, (order) => (
+        OPEN_ORDER_STATUSES.includes(order.status) ? { status: 'cancelled' } : {}
+    ));
+}
+
+/**
+ * Amount of one DCA leg; the last leg also takes the rounding remainder
+ *
+ * @param {Object} order - DCA order
+ * @param {number} legIndex - Zero-based leg index
+ * @returns {bigint} Leg amount in base units
+ */
+export function dcaLegAmount(order, legIndex) {
+    const total = BigInt(order.totalAmount);
+    const legs = BigInt(order.legs);
+    const base = total / legs;
+    return legIndex === order.legs - 1 ? total - base * (legs - 1n) : base;
+}
+
+/**
+ * Input amount of the order's next fill, or null if nothing is due
+ *
+ * @param {Object} order - Order
+ * @param {number} [now] - Current time (ms)
+ * @returns {bigint|null} Amount to quote and swap
+ */
+export function dueFillAmount(order, now = Date.now()) {
+    if (order.status !== 'pending') {
+        return null;
+    }
+    if (order.type === 'limit') {
+        return BigInt(order.inAmount);
+    }
+    if (order.legsFilled >= order.legs || order.nextRunAt > now) {
+        return null;
+    }
+    return dcaLegAmount(order, order.legsFilled);
+}
+
+/**
+ * Whether a quote satisfies the order's condition
+ *
+ * @param {Object} order - Order
+ * @param {Object} quote - Normalized quote
+ * @returns {boolean} True if the order should be filled at this quote
+ */
+export function isFillConditionMet(order, quote) {
+    if (order.type === 'dca') {
+        return true;
+    }
+    return quote.expectedOutAmount !== null && BigInt(quote.expectedOutAmount) >= BigInt(order.targetOutAmount);
+}
+
+/**
+ * Order changes after a fill settled
+ * Successful fills complete limit orders and advance DCA plans; failed fills put
+ * the order back to pending so it is retried.
+ *
+ * @param {Object} order - Order the fill belongs to
+ * @param {string} status - Final fill status
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object} Order changes
+ */
+export function orderChangesAfterFill(order, status, now = Date.now()) {
+    const open = order.status === 'cancelled' ? 'cancelled' : 'pending';
+    if (status !== 'finalized') {
+        return { status: open };
+    }
+    if (order.type === 'limit') {
+        return { status: 'filled' };
+    }
+    const legsFilled = order.legsFilled + 1;
+    return {
+        legsFilled,
+        nextRunAt: now + order.intervalMs,
+        status: legsFilled >= order.legs ? 'filled' : open,
+    };
+}
+
+/**
+ * Replace the last fill of an order
+ *
+ * @param {Object} order - Order
+ * @param {Object} changes - Fill fields to update
+ * @returns {Array<Object>} Updated fills
+ */
+export function updateLastFill(order, changes) {
+    const fills = [...order.fills];
+    fills[fills.length - 1] = { ...fills[fills.length - 1], ...changes };
+    return fills;
+}
+
+/**
+ * Read an order's lease
+ *
+ * @param {string} id - Order id
+ * @returns {Object|null} { token, expiresAt } or null if none is stored
+ */
+function readLease(id) {
+    try {
+        return JSON.parse(localStorage.getItem(LEASE_KEY_PREFIX + id) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Take the lease on an order before working on it
+ * Every tab runs its own order engine; the lease keeps two of them (or two
+ * tasks in one tab) from quoting, approving and filling the same order.
+ * The lease is renewed while held and expires if its holder goes away.
+ *
+ * @param {string} id - Order id
+ * @returns {Promise<Object|null>} { isHeld(), release() }, or null if another holder has the order
+ */
+export async function acquireOrderLease(id) {
+    const key = LEASE_KEY_PREFIX + id;
+    const token = crypto.randomUUID();
+    const write = () => localStorage.setItem(key, JSON.stringify({ token, expiresAt: Date.now() + LEASE_TTL_MS }));
+    const isHeld = () => readLease(id)?.token === token;
+
+    const current = readLease(id);
+    if (current && current.expiresAt > Date.now()) {
+        return null;
+    }
+    write();
+    await new Promise((resolve) => setTimeout(resolve, LEASE_SETTLE_MS));
+    if (!isHeld()) {
+        return null;
+    }
+
+    const renewTimer = setInterval(() => {
+        if (isHeld()) {
+            write();
+        }
+    }, LEASE_RENEW_MS);
+
+    return {
+        isHeld,
+        release: () => {
+            clearInterval(renewTimer);
+            if (isHeld()) {
+                localStorage.removeItem(key);
+            }
+        },
+    };
+}
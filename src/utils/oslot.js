@@ -1,204 +1,451 @@
-import { Connection, VersionedTransaction } from '@solana/web3.js';
+import { inspectTransaction } from './inspector.js';
+import { applyPriorityFee } from './priorityFee.js';
+import { checkQuoteFreshness, createStaleQuoteError } from './quoteFreshness.js';
+import { buildSenderChain, submitWithFallback } from './senders.js';
+import { simulateSwapTransaction } from './simulation.js';
+import { fetchQuoteViaProxy, resolveSwapProvider } from './swapProviders.js';
+import { injectTip } from './tip.js';
+import { decodeSwapTransaction, toWalletTransaction } from './walletSigning.js';
 
 /**
  * O-SLOT transaction execution utility
  * This function handles the execution of swap transactions using 0slot setup
- * Uses Connection.sendRawTransaction approach similar to the reference implementation
+ * Submission goes through the sender chain from senders.js: 0slot by default, with
+ * optional fallback to other backends when one rejects the transaction or times out
  * 
- * @param {string} transactionBase64 - Base64 encoded transaction from swap endpoint
+ * @param {string} transactionBase64 - Base64 encoded transaction from swap endpoint: legacy or v0, with or
+ *   without its signatures section (see walletSigning.js)
  * @param {Connection} connection - Solana connection instance (for blockhash if needed)
- * @param {Function} signTransaction - Wallet sign transaction function
- * @param {string} endpoint - 0slot endpoint for execution (with API key, e.g., https://de.0slot.trade?api-key=...)
- * @returns {Promise<string>} Transaction signature
+ * @param {Function|null} signTransaction - Sign function taking and returning a VersionedTransaction
+ *   (createWalletSigner); null for wallets that can only sign and send in one step, see options.walletSend
+ * @param {string|Array<Object>} endpoint - 0slot endpoint for execution (with API key, e.g., https://de.0slot.trade?api-key=...),
+ *   or a list of { id, endpoint } region targets to broadcast the same signed transaction to in parallel
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.tipLamports] - Append a tip transfer of this many lamports to the first sender's
+ *   tip account before signing
+ * @param {Object} [options.priorityFee] - Replace the compute budget with an estimated priority fee and a
+ *   simulated compute unit limit: { preset, percentile, maxLamports } from resolvePriorityFeePreset
+ * @param {boolean} [options.simulate] - Simulate the transaction on `connection` before asking the wallet to sign
+ * @param {Function} [options.onSimulation] - Called with the simulation result as soon as it is available
+ * @param {boolean} [options.blockOnSimulationFailure] - Abort without signing if the simulation fails
+ * @param {boolean} [options.inspect] - Run the safety inspector before signing (default true)
+ * @param {PublicKey|string} [options.walletPublicKey] - Connected wallet, checked against the fee payer
+ * @param {Function} [options.onInspection] - Called with the inspection report
+ * @param {Function} [options.confirmInspection] - Async callback resolving to true if the user accepts the
+ *   inspector's warnings; without it, any warning aborts the swap
+ * @param {Array<string>} [options.senders] - Submission backend ids in the order to try them (default ['oslot'])
+ * @param {Object} [options.senderContext] - Backend settings: { jitoBlockEngineUrl, relayUrl }
+ * @param {number} [options.sendTimeoutMs] - Move on to the next backend after this long
+ * @param {Function} [options.onTelemetry] - Called with structured timing events:
+ *   { type: 'prepare' | 'sign' | 'send', durationMs, ... }
+ * @param {Object} [options.walletSend] - For wallets without signTransaction: { sendTransaction, supportsVersioned }
+ *   from the wallet adapter. The wallet signs and submits through `connection` itself, so no tip is added, the
+ *   sender chain is not used and the quote is not checked for staleness (it is already sent when the wallet returns)
+ * @param {Object} [options.quote] - Quote the transaction came from ({ quotedAt, expiresAt, lastValidBlockHeight });
+ *   checked after signing, and a stale quote is not sent (see quoteFreshness.js)
+ * @param {boolean} [options.dryRun] - Stop after building, simulating and inspecting the transaction; nothing is
+ *   signed or sent and the result is { dryRun: true, blockhash, sender, tip, priorityFee, simulation, inspection, timings }
+ * @returns {Promise<Object>} { signature, blockhash, lastValidBlockHeight, sender, senderMetadata, sendAttempts,
+ *   regionTimings, fastestRegion, tip, priorityFee, simulation, inspection, sentSlot, timings: { prepareMs, signMs, sendMs, totalMs } }
+ *   Errors are tagged with the `stage` they were thrown in; when sending failed they also carry the signed
+ *   `submission` for resendSignedTransaction (see swapErrors.js)
  */
 export async function executeSwapWithOSlot(
     transactionBase64,
     connection,
     signTransaction,
-    endpoint
+    endpoint,
+    options = {}
 ) {
     const totalStartTime = performance.now();
+    const [primarySenderId = 'oslot', ...fallbackSenderIds] = options.senders || [];
+    const chain = buildSenderChain(primarySenderId, fallbackSenderIds);
+    const emitTelemetry = (type, fields) => {
+        if (options.onTelemetry) {
+            options.onTelemetry({ type, ...fields });
+        }
+    };
+
+    let stage = 'prepare';
+    let submission = null;
 
     try {
         console.log('🔄 Starting 0slot transaction execution...');
         const prepareStartTime = performance.now();
 
-        // Deserialize the transaction
-        const transactionBuffer = Buffer.from(transactionBase64, 'base64');
-        const versionedTransaction = VersionedTransaction.deserialize(transactionBuffer);
+        // Deserialize the transaction (legacy or v0)
+        let versionedTransaction = decodeSwapTransaction(transactionBase64);
 
-        // Sign the transaction with the wallet
-        const signedTransaction = await signTransaction(versionedTransaction);
+        const walletSend = signTransaction ? null : options.walletSend;
+        if (!signTransaction && !walletSend?.sendTransaction) {
+            throw new Error('The connected wallet can neither sign nor send transactions');
+        }
 
-        // Serialize the signed transaction to buffer (for sendRawTransaction)
-        const serializedTx = signedTransaction.serialize();
+        // The tip goes to the first backend; fallbacks that require their own tip are skipped
+        const primarySender = chain[0];
+        if (!primarySender) {
+            throw new Error(`Unknown submission backend: ${primarySenderId}`);
+        }
+        if (!walletSend && primarySender.requiresTip && !(options.tipLamports >= primarySender.minTipLamports)) {
+            throw new Error(`${primarySender.name} requires a tip of at least ${primarySender.minTipLamports} lamports`);
+        }
 
-        const prepareTime = ((performance.now() - prepareStartTime) / 1000).toFixed(5);
-        console.log(`⏱️  Transaction preparation took: ${prepareTime} seconds`);
+        // Optionally add a tip transfer; this must happen before signing
+        let tip = null;
+        if (walletSend && options.tipLamports > 0) {
+            tip = { skippedReason: 'The wallet submits the transaction itself' };
+            console.warn(`⚠️  ${primarySender.name} tip not added: the wallet submits the transaction itself`);
+        } else if (options.tipLamports > 0 && primarySender.tipAccounts) {
+            const tipResult = await injectTip(versionedTransaction, connection, {
+                lamports: options.tipLamports,
+                tipAccounts: primarySender.tipAccounts,
+            });
+            versionedTransaction = tipResult.transaction;
+            tip = { ...tipResult.tip, skippedReason: tipResult.skippedReason };
 
-        // Create a connection to the 0slot endpoint
-        // Extract API key from endpoint if present, or use endpoint as-is
-        const oslotConnection = new Connection(endpoint, 'confirmed');
+            if (tipResult.skippedReason) {
+                console.warn(`⚠️  ${primarySender.name} tip not added: ${tipResult.skippedReason}`);
+            } else {
+                console.log(`💸 Added ${primarySender.name} tip of ${tipResult.tip.lamports} lamports to ${tipResult.tip.account}`);
+            }
+        }
+
+        // Optionally re-price and re-size the compute budget; this must also happen before signing
+        let priorityFee = null;
+        if (options.priorityFee) {
+            const feeResult = await applyPriorityFee(versionedTransaction, connection, options.priorityFee);
+            versionedTransaction = feeResult.transaction;
+
+            if (feeResult.skippedReason) {
+                priorityFee = { preset: options.priorityFee.preset ?? null, skippedReason: feeResult.skippedReason };
+                console.warn(`⚠️  Priority fee not applied: ${feeResult.skippedReason}`);
+            } else {
+                priorityFee = { ...feeResult.priorityFee, skippedReason: null };
+                console.log(`⛽ Compute budget: ${priorityFee.unitLimit} units at ${priorityFee.microLamports} micro-lamports/unit (${priorityFee.totalLamports} lamports)`);
+            }
+        }
+
+        // Preview the outcome before the wallet prompt; submission skips preflight
+        let simulation = null;
+        if (options.simulate) {
+            simulation = await simulateSwapTransaction(versionedTransaction, connection);
+            console.log(`🧪 Simulation ${simulation.ok ? 'succeeded' : 'failed'}, ${simulation.unitsConsumed} compute units consumed`);
+            if (options.onSimulation) {
+                options.onSimulation(simulation);
+            }
+            if (!simulation.ok && options.blockOnSimulationFailure) {
+                const error = new Error(`Simulation failed, transaction was not signed: ${simulation.errorMessage}`);
+                error.simulation = simulation;
+                error.transactionError = simulation.error;
+                error.logs = simulation.logs;
+                throw error;
+            }
+        }
+
+        // Refuse to sign anything a swap should not be doing
+        let inspection = null;
+        if (options.inspect !== false) {
+            inspection = await inspectTransaction(versionedTransaction, connection, {
+                wallet: options.walletPublicKey,
+                tipAccounts: chain.flatMap((sender) => sender.tipAccounts || []),
+            });
+            console.log(`🔍 Safety inspection: ${inspection.findings.length} finding(s)`);
+            if (options.onInspection) {
+                options.onInspection(inspection);
+            }
+            if (inspection.blocked) {
+                const reasons = inspection.findings
+                    .filter((finding) => finding.severity === 'critical')
+                    .map((finding) => finding.message)
+                    .join('; ');
+                throw new Error(`Transaction blocked by safety inspector: ${reasons}`);
+            }
+            if (inspection.requiresAcknowledgement) {
+                const accepted = options.confirmInspection ? await options.confirmInspection(inspection) : false;
+                if (!accepted) {
+                    throw new Error('Transaction was not signed: safety warnings were not acknowledged');
+                }
+            }
+        }
 
-        // Log request details
-        const requestStartTime = performance.now();
-        console.log(`📤 Sending transaction to 0slot endpoint: ${endpoint}`);
-        console.log(`📦 Transaction size: ${serializedTx.length} bytes`);
+        if (options.dryRun) {
+            const prepareMs = performance.now() - prepareStartTime;
+            emitTelemetry('prepare', { durationMs: prepareMs });
+            console.log('🧾 Dry run: transaction built and checked, not signed or sent');
+            return {
+                dryRun: true,
+                blockhash: versionedTransaction.message.recentBlockhash,
+                sender: primarySender.id,
+                tip,
+                priorityFee,
+                simulation,
+                inspection,
+                timings: { prepareMs, totalMs: performance.now() - totalStartTime },
+            };
+        }
 
-        // Send transaction using sendRawTransaction (Connection-based approach)
-        const signature = await oslotConnection.sendRawTransaction(serializedTx, {
-            skipPreflight: true,
-            maxRetries: 0,
+        // The aggregator picked the blockhash, so its exact expiry height is unknown unless
+        // the quote reports it. The current blockhash's lastValidBlockHeight is a safe upper
+        // bound for it; fetch it while the wallet prompt is open so it adds no latency.
+        const blockhash = versionedTransaction.message.recentBlockhash;
+        const signStartTime = performance.now();
+        emitTelemetry('prepare', { durationMs: signStartTime - prepareStartTime });
+        const latestBlockhashPromise = connection.getLatestBlockhash('confirmed').catch((error) => {
+            console.warn('Could not fetch latest blockhash for expiry tracking:', error);
+            return null;
         });
 
-        const requestTime = ((performance.now() - requestStartTime) / 1000).toFixed(5);
-        const totalTime = ((performance.now() - totalStartTime) / 1000).toFixed(5);
+        // Wallets that cannot sign without sending get the transaction here and submit it themselves
+        stage = 'sign';
+        if (walletSend) {
+            const sendStartedAt = Date.now();
+            const sentSlotPromise = connection.getSlot('processed').catch(() => null);
+            const signature = await walletSend.sendTransaction(
+                toWalletTransaction(versionedTransaction, walletSend.supportsVersioned),
+                connection,
+                { skipPreflight: true, maxRetries: 0 }
+            );
+            // Signing and sending can't be told apart; the whole wallet round trip counts as the send
+            const sendMs = performance.now() - signStartTime;
+            const [sentSlot, latestBlockhash] = await Promise.all([sentSlotPromise, latestBlockhashPromise]);
+            emitTelemetry('send', {
+                path: 'wallet',
+                durationMs: sendMs,
+                startedAt: sendStartedAt,
+                region: 'wallet',
+                sentSlot,
+                regionTimings: [],
+            });
+            console.log(`🚀 Transaction signature: ${signature} (sent by the wallet)`);
 
-        console.log(`✅ Transaction sent in ${requestTime} seconds`);
-        console.log(`⏱️  Total execution time: ${totalTime} seconds`);
-        console.log(`🚀 Transaction signature: ${signature}`);
-        console.log(`✨ It took ${totalTime} seconds to send transaction ${signature} (ZeroSlot)`);
-        console.log(`💡 Note: This is easy to optimize, you just have to be closer to 0slot server`);
+            return {
+                signature,
+                sender: 'wallet',
+                senderMetadata: null,
+                sendAttempts: [{ sender: 'wallet', status: 'accepted', durationMs: sendMs, error: null, metadata: null }],
+                regionTimings: [],
+                fastestRegion: 'wallet',
+                sentSlot,
+                blockhash,
+                lastValidBlockHeight: options.quote?.lastValidBlockHeight ?? latestBlockhash?.lastValidBlockHeight,
+                tip,
+                priorityFee,
+                simulation,
+                inspection,
+                timings: {
+                    prepareMs: signStartTime - prepareStartTime,
+                    signMs: null,
+                    sendMs,
+                    totalMs: performance.now() - totalStartTime,
+                },
+            };
+        }
+
+        // Sign the transaction with the wallet
+        const signedTransaction = await signTransaction(versionedTransaction);
+        const signEndTime = performance.now();
+        emitTelemetry('sign', { durationMs: signEndTime - signStartTime });
+        const latestBlockhash = await latestBlockhashPromise;
+        const lastValidBlockHeight = options.quote?.lastValidBlockHeight ?? latestBlockhash?.lastValidBlockHeight;
 
-        return signature;
+        // Preparing, acknowledging and signing may have taken long enough for the price or blockhash to go stale
+        if (options.quote) {
+            const freshness = await checkQuoteFreshness(connection, {
+                blockhash,
+                quotedAt: options.quote.quotedAt,
+                expiresAt: options.quote.expiresAt,
+            });
+            if (freshness.stale) {
+                throw createStaleQuoteError(freshness);
+            }
+        }
+
+        // Serialize the signed transaction to buffer (for sendRawTransaction)
+        const serializedTx = signedTransaction.serialize();
+
+        stage = 'send';
+        submission = {
+            signedTransaction: serializedTx,
+            blockhash,
+            lastValidBlockHeight,
+            tip,
+        };
+        const { sendMs, ...sent } = await sendSignedTransaction(serializedTx, connection, endpoint, chain, {
+            senderContext: options.senderContext,
+            tip,
+            timeoutMs: options.sendTimeoutMs,
+            emitTelemetry,
+        });
+
+        return {
+            ...sent,
+            blockhash,
+            lastValidBlockHeight,
+            tip,
+            priorityFee,
+            simulation,
+            inspection,
+            timings: {
+                prepareMs: signStartTime - prepareStartTime,
+                signMs: signEndTime - signStartTime,
+                sendMs,
+                totalMs: performance.now() - totalStartTime,
+            },
+        };
     } catch (error) {
         const totalTime = ((performance.now() - totalStartTime) / 1000).toFixed(5);
         console.error(`❌ 0slot execution error after ${totalTime} seconds:`, error);
+        // Tag the failed stage for swapErrors.js; a signed but unsent transaction can be resent as-is
+        error.stage ??= stage;
+        if (stage === 'send') {
+            error.submission = submission;
+        }
         throw error;
     }
 }
 
 /**
- * Fetch swap transaction from endpoint
- * Supports custom swap API endpoint with GET request and query parameters
- * 
- * @param {string} swapEndpoint - API endpoint to fetch swap transaction
- * @param {Object} swapParams - Swap parameters (inputMint, outputMint, amount, etc.)
- * @param {string} userPublicKey - User's public key for the swap
- * @returns {Promise<string>} Base64 encoded transaction
+ * Submit a signed transaction through a sender chain and time it
+ *
+ * @param {Uint8Array} serializedTx - Signed, serialized transaction
+ * @param {Connection} connection - Solana connection instance
+ * @param {string|Array<Object>} endpoint - 0slot endpoint or region targets (see executeSwapWithOSlot)
+ * @param {Array<Object>} chain - Senders in the order to try them
+ * @param {Object} options - { senderContext, tip, timeoutMs, emitTelemetry }
+ * @returns {Promise<Object>} { signature, sender, senderMetadata, sendAttempts, regionTimings, fastestRegion, sentSlot, sendMs }
  */
-export async function fetchSwapTransaction(swapEndpoint, swapParams, userPublicKey) {
-    try {
-        // Check if this is the custom swap endpoint (route/solana/swap or metaagg.velvetdao.xyz)
-        if (swapEndpoint.includes('route/solana/swap') || swapEndpoint.includes('metaagg.velvetdao.xyz')) {
-            // Build query parameters for GET request
-            const queryParams = new URLSearchParams({
-                tokenIn: swapParams.inputMint,
-                tokenOut: swapParams.outputMint,
-                amount: swapParams.amount.toString(),
-                sender: userPublicKey,
-                slippage: (swapParams.slippageBps || 50).toString(), // slippage in basis points
-            });
+async function sendSignedTransaction(serializedTx, connection, endpoint, chain, { senderContext, tip, timeoutMs, emitTelemetry }) {
+    // A single endpoint string is treated as one unnamed region
+    const oslotTargets = Array.isArray(endpoint) ? endpoint : [{ id: 'default', endpoint }];
 
-            const url = `${swapEndpoint}?${queryParams.toString()}`;
-            console.log('Fetching swap from:', url);
+    // Log request details
+    const sendStartedAt = Date.now();
+    const requestStartTime = performance.now();
+    console.log(`📦 Transaction size: ${serializedTx.length} bytes`);
 
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Failed to fetch swap transaction: ${response.statusText} - ${errorText}`);
-            }
+    // The current slot is the baseline for the landing slot delta
+    const sentSlotPromise = connection.getSlot('processed').catch(() => null);
 
-            const responseData = await response.json();
+    const submission = await submitWithFallback(
+        serializedTx,
+        chain,
+        { connection, oslotTargets, ...senderContext },
+        { tip, timeoutMs }
+    );
+    const sendMs = performance.now() - requestStartTime;
+    const sentSlot = await sentSlotPromise;
 
-            // Handle response structure: { data: { swapData: "...", quote: {...} } }
-            if (responseData.data && responseData.data.swapData) {
-                console.log('Swap quote info:', {
-                    amountOut: responseData.data.quote?.amountOut,
-                    priceImpact: responseData.data.quote?.priceImpact,
-                });
-                return responseData.data.swapData;
-            } else {
-                throw new Error('Invalid response format from swap endpoint. Expected data.swapData');
-            }
-        } else if (swapEndpoint.includes('quote-api.jup.ag') || swapEndpoint.includes('/quote')) {
-            // Jupiter v6 API support (fallback)
-            // Step 1: Get quote from Jupiter
-            const quoteParams = {
-                inputMint: swapParams.inputMint,
-                outputMint: swapParams.outputMint,
-                amount: swapParams.amount,
-                slippageBps: swapParams.slippageBps || 50,
-            };
+    const regionTimings = submission.metadata.regionTimings || [];
+    const fastestRegion = submission.metadata.fastestRegion || submission.sender;
+    emitTelemetry('send', {
+        path: submission.sender,
+        durationMs: sendMs,
+        startedAt: sendStartedAt,
+        region: fastestRegion,
+        sentSlot,
+        regionTimings,
+    });
 
-            const quoteUrl = `${swapEndpoint}?${new URLSearchParams({
-                inputMint: quoteParams.inputMint,
-                outputMint: quoteParams.outputMint,
-                amount: quoteParams.amount.toString(),
-                slippageBps: quoteParams.slippageBps.toString(),
-            })}`;
+    console.log(`🚀 Transaction signature: ${submission.signature} (via ${fastestRegion})`);
 
-            const quoteResponse = await fetch(quoteUrl);
-            if (!quoteResponse.ok) {
-                throw new Error(`Failed to get quote: ${quoteResponse.statusText}`);
-            }
-
-            const quoteData = await quoteResponse.json();
+    return {
+        signature: submission.signature,
+        sender: submission.sender,
+        senderMetadata: submission.metadata,
+        sendAttempts: submission.attempts,
+        regionTimings,
+        fastestRegion,
+        sentSlot,
+        sendMs,
+    };
+}
 
-            // Step 2: Get swap transaction from Jupiter
-            const swapResponse = await fetch('https://quote-api.jup.ag/v6/swap', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    quoteResponse: quoteData,
-                    userPublicKey: userPublicKey,
-                    wrapAndUnwrapSol: true,
-                    dynamicComputeUnitLimit: true,
-                    prioritizationFeeLamports: 'auto',
-                }),
-            });
+/**
+ * Resend a transaction that was signed but not accepted by any backend
+ * The exact same signed bytes are sent, so the swap cannot execute twice.
+ *
+ * @param {Object} submission - `error.submission` from a failed executeSwapWithOSlot:
+ *   { signedTransaction, blockhash, lastValidBlockHeight, tip }
+ * @param {Connection} connection - Solana connection instance
+ * @param {string|Array<Object>} endpoint - 0slot endpoint or region targets (see executeSwapWithOSlot)
+ * @param {Object} [options] - { senders, senderContext, sendTimeoutMs, onTelemetry }
+ * @returns {Promise<Object>} Same shape as executeSwapWithOSlot's result, without simulation and inspection
+ */
+export async function resendSignedTransaction(submission, connection, endpoint, options = {}) {
+    const [primarySenderId = 'oslot', ...fallbackSenderIds] = options.senders || [];
+    const chain = buildSenderChain(primarySenderId, fallbackSenderIds);
+    const emitTelemetry = (type, fields) => {
+        if (options.onTelemetry) {
+            options.onTelemetry({ type, ...fields });
+        }
+    };
 
-            if (!swapResponse.ok) {
-                const errorText = await swapResponse.text();
-                throw new Error(`Failed to get swap transaction: ${errorText}`);
-            }
+    try {
+        console.log('🔁 Resending signed transaction...');
+        const { sendMs, ...sent } = await sendSignedTransaction(submission.signedTransaction, connection, endpoint, chain, {
+            senderContext: options.senderContext,
+            tip: submission.tip,
+            timeoutMs: options.sendTimeoutMs,
+            emitTelemetry,
+        });
+        return {
+            ...sent,
+            blockhash: submission.blockhash,
+            lastValidBlockHeight: submission.lastValidBlockHeight,
+            tip: submission.tip,
+            priorityFee: null,
+            simulation: null,
+            inspection: null,
+            timings: { prepareMs: null, signMs: null, sendMs, totalMs: sendMs },
+        };
+    } catch (error) {
+        console.error('❌ Resend failed:', error);
+        error.stage ??= 'send';
+        error.submission = submission;
+        throw error;
+    }
+}
 
-            const swapData = await swapResponse.json();
+// Backend relay /api/quote URL; when set, quotes are fetched through it instead of from the browser
+let quoteProxyUrl = null;
 
-            if (swapData.swapTransaction) {
-                return swapData.swapTransaction;
-            } else {
-                throw new Error('Invalid response format from Jupiter swap API');
-            }
-        } else {
-            // Direct transaction endpoint (legacy format - POST)
-            const response = await fetch(swapEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(swapParams),
-            });
+/**
+ * Route quote requests through a backend relay
+ *
+ * @param {string|null} url - Absolute /api/quote URL, or null to call swap endpoints directly
+ */
+export function setQuoteProxy(url) {
+    quoteProxyUrl = url || null;
+}
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch swap transaction: ${response.statusText}`);
-            }
+/**
+ * Fetch swap transaction from endpoint
+ * The provider adapter is chosen from the registry in swapProviders.js based on the endpoint,
+ * or by the backend relay when a quote proxy is set (see setQuoteProxy)
+ *
+ * @param {string} swapEndpoint - API endpoint to fetch swap transaction
+ * @param {Object} swapParams - Swap parameters (inputMint, outputMint, amount, etc.)
+ * @param {string} userPublicKey - User's public key for the swap
+ * @returns {Promise<Object>} Normalized quote; the base64 encoded transaction is in `transaction`
+ */
+export async function fetchSwapTransaction(swapEndpoint, swapParams, userPublicKey) {
+    try {
+        const provider = resolveSwapProvider(swapEndpoint);
+        const quote = quoteProxyUrl
+            ? await fetchQuoteViaProxy(quoteProxyUrl, swapEndpoint, swapParams, userPublicKey)
+            : await provider.fetchQuote(swapEndpoint, swapParams, userPublicKey);
 
-            const data = await response.json();
+        console.log(`Swap quote info (${provider.name}${quoteProxyUrl ? ' via backend relay' : ''}):`, {
+            expectedOutAmount: quote.expectedOutAmount,
+            minimumOutAmount: quote.minimumOutAmount,
+            priceImpactPct: quote.priceImpactPct,
+            route: quote.route,
+        });
 
-            // Handle different response formats
-            if (data.transaction) {
-                return data.transaction;
-            } else if (data.swapTransaction) {
-                return data.swapTransaction;
-            } else if (data.tx) {
-                return data.tx;
-            } else {
-                throw new Error('Invalid response format from swap endpoint');
-            }
-        }
+        return quote;
     } catch (error) {
         console.error('Error fetching swap transaction:', error);
+        error.stage ??= 'quote';
         throw error;
     }
 }
-
-
@@ -0,0 +1,166 @@
+/**
+ * 0slot region management
+ * Keeps the list of 0slot regions, probes their round-trip latency from the
+ * browser in the background and ranks them so the sender can target the
+ * closest region(s) or fan out to several at once.
+ */
+
+// Known 0slot regions; pass a different list to the helpers below to override
+export const OSLOT_REGIONS = [
+    { id: 'de1', name: 'Frankfurt', host: 'de1.0slot.trade' },
+    { id: 'ams1', name: 'Amsterdam', host: 'ams1.0slot.trade' },
+    { id: 'ny1', name: 'New York', host: 'ny1.0slot.trade' },
+    { id: 'la1', name: 'Los Angeles', host: 'la1.0slot.trade' },
+    { id: 'jp1', name: 'Tokyo', host: 'jp1.0slot.trade' },
+];
+
+const DEFAULT_PROBE_TIMEOUT_MS = 3000;
+const DEFAULT_PROBE_INTERVAL_MS = 30000;
+const MAX_SAMPLES_PER_REGION = 5;
+
+/**
+ * Build the 0slot endpoint URL for a region
+ *
+ * @param {Object} region - Region entry ({ id, name, host } or { id, name, url } for a custom endpoint)
+ * @param {string} apiKey - 0slot API key
+ * @returns {string} Endpoint URL including the API key
+ */
+export function buildRegionEndpoint(region, apiKey) {
+    if (region.url) {
+        const url = new URL(region.url);
+        if (apiKey) {
+            url.searchParams.set('api-key', apiKey);
+        }
+        return url.toString();
+    }
+    return `https://${region.host}/?api-key=${apiKey}`;
+}
+
+/**
+ * Region list for a configuration: the known regions, plus a custom endpoint if one is set
+ *
+ * @param {string} [customEndpoint] - Custom 0slot endpoint URL
+ * @returns {Array<Object>} Region entries
+ */
+export function getConfiguredRegions(customEndpoint) {
+    if (!customEndpoint) {
+        return OSLOT_REGIONS;
+    }
+    return [{ id: 'custom', name: 'Custom endpoint', url: customEndpoint }, ...OSLOT_REGIONS];
+}
+
+/**
+ * Measure one round trip to a 0slot region
+ * Sends a lightweight JSON-RPC getHealth request; any HTTP response counts as
+ * reachable since only the network latency is of interest.
+ *
+ * @param {Object} region - Region entry ({ id, name, host })
+ * @param {string} apiKey - 0slot API key
+ * @param {number} [timeoutMs] - Abort the probe after this long
+ * @returns {Promise<Object>} { regionId, latencyMs, error }
+ */
+export async function probeRegionLatency(region, apiKey, timeoutMs = DEFAULT_PROBE_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startTime = performance.now();
+
+    try {
+        await fetch(buildRegionEndpoint(region, apiKey), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getHealth' }),
+            signal: controller.signal,
+        });
+        return { regionId: region.id, latencyMs: performance.now() - startTime, error: null };
+    } catch (error) {
+        const message = error.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : error.message;
+        return { regionId: region.id, latencyMs: null, error: message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Rank regions by median probe latency, unreachable regions last
+ *
+ * @param {Array<Object>} regions - Region entries
+ * @param {Object} samples - Map of region id -> array of latency samples (ms)
+ * @returns {Array<Object>} Regions with { medianLatencyMs, sampleCount } sorted fastest first
+ */
+export function rankRegions(regions, samples) {
+    return regions
+        .map((region) => {
+            const latencies = (samples[region.id] || []).filter((latency) => latency !== null);
+            const sorted = [...latencies].sort((a, b) => a - b);
+            const medianLatencyMs = sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+            return { ...region, medianLatencyMs, sampleCount: sorted.length };
+        })
+        .sort((a, b) => {
+            if (a.medianLatencyMs === null) return b.medianLatencyMs === null ? 0 : 1;
+            if (b.medianLatencyMs === null) return -1;
+            return a.medianLatencyMs - b.medianLatencyMs;
+        });
+}
+
+/**
+ * Probe all regions now and then on an interval, reporting the ranking after every round
+ *
+ * @param {Array<Object>} regions - Region entries to probe
+ * @param {string} apiKey - 0slot API key
+ * @param {Object} [options] - Probe options
+ * @param {Function} [options.onUpdate] - Called with the ranked region list after each round
+ * @param {number} [options.intervalMs] - Delay between probe rounds
+ * @param {number} [options.timeoutMs] - Per-probe timeout
+ * @returns {Function} Stops the background probe
+ */
+export function startLatencyProbe(
+    regions,
+    apiKey,
+    { onUpdate, intervalMs = DEFAULT_PROBE_INTERVAL_MS, timeoutMs = DEFAULT_PROBE_TIMEOUT_MS } = {}
+) {
+    const samples = {};
+    let stopped = false;
+
+    const runRound = async () => {
+        const results = await Promise.all(
+            regions.map((region) => probeRegionLatency(region, apiKey, timeoutMs))
+        );
+        if (stopped) {
+            return;
+        }
+
+        for (const result of results) {
+            const regionSamples = samples[result.regionId] || [];
+            regionSamples.push(result.latencyMs);
+            samples[result.regionId] = regionSamples.slice(-MAX_SAMPLES_PER_REGION);
+        }
+
+        if (onUpdate) {
+            onUpdate(rankRegions(regions, samples));
+        }
+    };
+
+    runRound();
+    const timer = setInterval(runRound, intervalMs);
+
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+    };
+}
+
+/**
+ * Pick the send targets for a swap
+ *
+ * @param {Array<Object>} rankedRegions - Output of rankRegions (fastest first)
+ * @param {string} apiKey - 0slot API key
+ * @param {number} fanOut - Number of regions to broadcast to
+ * @returns {Array<Object>} Targets in the { id, endpoint } form accepted by executeSwapWithOSlot
+ */
+export function selectRegionTargets(rankedRegions, apiKey, fanOut = 1) {
+    return rankedRegions
+        .slice(0, Math.max(1, fanOut))
+        .map((region) => ({ id: region.id, endpoint: buildRegionEndpoint(region, apiKey) }));
+}
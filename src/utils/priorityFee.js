@@ -0,0 +1,235 @@
+import {
+    ComputeBudgetInstruction,
+    ComputeBudgetProgram,
+    PACKET_DATA_SIZE,
+    TransactionMessage,
+    VersionedTransaction,
+} from '@solana/web3.js';
+import { percentile as percentileOf } from './telemetry.js';
+import { resolveAddressLookupTables } from './tip.js';
+
+/**
+ * Priority fee and compute budget tuning
+ * Estimates a compute unit price from recent prioritization fees paid for the
+ * transaction's writable accounts, sizes the compute unit limit from a
+ * simulation, and rewrites the transaction's ComputeBudget instructions to match.
+ *
+ * Aggregators pick their own compute budget; without a preset the transaction
+ * is sent exactly as built.
+ */
+
+// getRecentPrioritizationFees accepts at most this many accounts
+const MAX_FEE_ACCOUNTS = 128;
+const MAX_COMPUTE_UNIT_LIMIT = 1_400_000;
+// Default per-instruction limit the runtime applies without a SetComputeUnitLimit
+const DEFAULT_UNITS_PER_INSTRUCTION = 200_000;
+const MICRO_LAMPORTS_PER_LAMPORT = 1_000_000;
+
+// Headroom on top of the simulated compute units
+export const COMPUTE_UNIT_MARGIN_PCT = 15;
+const MIN_COMPUTE_UNIT_MARGIN = 5_000;
+
+/**
+ * Fee presets: the percentile of recent fees to pay, and a cap on the total
+ * priority fee in lamports (price x unit limit). 'custom' takes its cap from the user.
+ */
+export const PRIORITY_FEE_PRESETS = {
+    economy: { label: 'Economy', percentile: 50, maxLamports: 50_000 },
+    fast: { label: 'Fast', percentile: 75, maxLamports: 250_000 },
+    turbo: { label: 'Turbo', percentile: 95, maxLamports: 1_000_000 },
+    custom: { label: 'Custom cap', percentile: 75, maxLamports: null },
+};
+
+/**
+ * Resolve a preset id (and custom cap) into fee settings
+ *
+ * @param {string} presetId - Key of PRIORITY_FEE_PRESETS
+ * @param {number} [customMaxLamports] - Cap for the 'custom' preset
+ * @returns {Object} { preset, percentile, maxLamports }
+ */
+export function resolvePriorityFeePreset(presetId, customMaxLamports) {
+    const preset = PRIORITY_FEE_PRESETS[presetId];
+    if (!preset) {
+        throw new Error(`Unknown priority fee preset: ${presetId}`);
+    }
+    const maxLamports = presetId === 'custom' ? customMaxLamports : preset.maxLamports;
+    if (!Number.isInteger(maxLamports) || maxLamports < 0) {
+        throw new Error('Priority fee cap must be a non-negative number of lamports');
+    }
+    return { preset: presetId, percentile: preset.percentile, maxLamports };
+}
+
+/**
+ * Estimate a compute unit price from recent fees paid to lock the given accounts
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<PublicKey>} writableAccounts - Accounts the transaction write-locks
+ * @param {number} p - Percentile of recent fees to pay (0-100)
+ * @returns {Promise<Object>} { microLamports, samples } price in micro-lamports per compute unit
+ */
+export async function estimatePriorityFee(connection, writableAccounts, p) {
+    const fees = await connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: writableAccounts.slice(0, MAX_FEE_ACCOUNTS),
+    });
+    const values = fees.map((fee) => fee.prioritizationFee);
+    return { microLamports: Math.ceil(percentileOf(values, p) ?? 0), samples: values.length };
+}
+
+/**
+ * Read the compute budget an instruction list currently sets
+ *
+ * @param {Array<TransactionInstruction>} instructions - Decompiled instructions
+ * @returns {Object} { unitLimit, microLamports } (null when not set)
+ */
+function readComputeBudget(instructions) {
+    const budget = { unitLimit: null, microLamports: null };
+    for (const instruction of instructions) {
+        if (!instruction.programId.equals(ComputeBudgetProgram.programId)) {
+            continue;
+        }
+        try {
+            const type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+            if (type === 'SetComputeUnitLimit') {
+                budget.unitLimit = ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units;
+            } else if (type === 'SetComputeUnitPrice') {
+                budget.microLamports = Number(ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction).microLamports);
+            }
+        } catch {
+            // Unknown compute budget instruction; left in place
+        }
+    }
+    return budget;
+}
+
+/**
+ * Whether an instruction sets the compute unit limit or price
+ *
+ * @param {TransactionInstruction} instruction - Decompiled instruction
+ * @returns {boolean} True for SetComputeUnitLimit / SetComputeUnitPrice
+ */
+function isLimitOrPriceInstruction(instruction) {
+    if (!instruction.programId.equals(ComputeBudgetProgram.programId)) {
+        return false;
+    }
+    try {
+        const type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+        return type === 'SetComputeUnitLimit' || type === 'SetComputeUnitPrice';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Compute unit limit for a simulated transaction: consumed units plus margin
+ *
+ * @param {number} unitsConsumed - Units consumed in simulation
+ * @returns {number} Compute unit limit
+ */
+export function computeUnitLimitFor(unitsConsumed) {
+    const margin = Math.max(MIN_COMPUTE_UNIT_MARGIN, Math.ceil(unitsConsumed * COMPUTE_UNIT_MARGIN_PCT / 100));
+    return Math.min(MAX_COMPUTE_UNIT_LIMIT, unitsConsumed + margin);
+}
+
+/**
+ * Estimate and apply a priority fee and compute unit limit to an unsigned transaction
+ *
+ * The compute unit limit is resized from a simulation of the transaction as
+ * built; if that simulation fails the existing limit is kept. The price is the
+ * chosen percentile of recent fees for the transaction's writable accounts
+ * (never below the price already set when there are no recent fees),
+ * lowered so that price x limit stays within the preset's lamport cap.
+ * Existing SetComputeUnitLimit / SetComputeUnitPrice instructions are replaced.
+ *
+ * The transaction is left untouched (and `skippedReason` is set) when it
+ * carries signatures from other parties or would no longer fit in a single packet.
+ *
+ * @param {VersionedTransaction} transaction - Unsigned transaction
+ * @param {Connection} connection - Solana connection instance (regular RPC)
+ * @param {Object} options - Fee settings from resolvePriorityFeePreset
+ * @param {number} options.percentile - Percentile of recent fees to pay
+ * @param {number} options.maxLamports - Cap on the total priority fee in lamports
+ * @param {string} [options.preset] - Preset id, reported back in the result
+ * @returns {Promise<Object>} { transaction, priorityFee: { preset, microLamports, estimatedMicroLamports,
+ *   unitLimit, unitsConsumed, previousUnitLimit, previousMicroLamports, totalLamports, samples }, skippedReason }
+ */
+export async function applyPriorityFee(transaction, connection, { percentile, maxLamports, preset = null }) {
+    const message = transaction.message;
+
+    // Any non-fee-payer signature would be invalidated by recompiling the message
+    const hasForeignSignatures = transaction.signatures
+        .slice(1)
+        .some((signature) => signature.some((byte) => byte !== 0));
+    if (hasForeignSignatures) {
+        return { transaction, priorityFee: null, skippedReason: 'Transaction is already co-signed by another party' };
+    }
+
+    const addressLookupTableAccounts = await resolveAddressLookupTables(message, connection);
+    const decompiled = TransactionMessage.decompile(message, { addressLookupTableAccounts });
+    const previous = readComputeBudget(decompiled.instructions);
+
+    const writableAccounts = [decompiled.payerKey];
+    for (const instruction of decompiled.instructions) {
+        for (const key of instruction.keys) {
+            if (key.isWritable && !writableAccounts.some((account) => account.equals(key.pubkey))) {
+                writableAccounts.push(key.pubkey);
+            }
+        }
+    }
+
+    const [estimate, { value: simulation }] = await Promise.all([
+        estimatePriorityFee(connection, writableAccounts, percentile),
+        connection.simulateTransaction(transaction, { sigVerify: false, replaceRecentBlockhash: true }),
+    ]);
+
+    const unitsConsumed = simulation.err ? null : simulation.unitsConsumed ?? null;
+    const otherInstructions = decompiled.instructions.filter((instruction) => !isLimitOrPriceInstruction(instruction));
+    const unitLimit = unitsConsumed !== null
+        ? computeUnitLimitFor(unitsConsumed)
+        : previous.unitLimit ?? Math.min(MAX_COMPUTE_UNIT_LIMIT, otherInstructions.length * DEFAULT_UNITS_PER_INSTRUCTION);
+
+    const capMicroLamports = Math.floor((maxLamports * MICRO_LAMPORTS_PER_LAMPORT) / unitLimit);
+    // With no recent fees to go on, the aggregator's own price is a better guess than zero
+    const targetMicroLamports = estimate.samples > 0
+        ? estimate.microLamports
+        : Math.max(estimate.microLamports, previous.microLamports ?? 0);
+    const microLamports = Math.min(targetMicroLamports, capMicroLamports);
+
+    decompiled.instructions = [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: unitLimit }),
+        ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+        ...otherInstructions,
+    ];
+
+    const priorityFee = {
+        preset,
+        microLamports,
+        estimatedMicroLamports: estimate.microLamports,
+        unitLimit,
+        unitsConsumed,
+        previousUnitLimit: previous.unitLimit,
+        previousMicroLamports: previous.microLamports,
+        totalLamports: Math.ceil((microLamports * unitLimit) / MICRO_LAMPORTS_PER_LAMPORT),
+        samples: estimate.samples,
+    };
+
+    const recompiledMessage = message.version === 'legacy'
+        ? decompiled.compileToLegacyMessage()
+        : decompiled.compileToV0Message(addressLookupTableAccounts);
+    const tunedTransaction = new VersionedTransaction(recompiledMessage);
+
+    let size;
+    try {
+        size = tunedTransaction.serialize().length;
+    } catch (error) {
+        return { transaction, priorityFee: null, skippedReason: `Re-budgeted transaction cannot be serialized: ${error.message}` };
+    }
+    if (size > PACKET_DATA_SIZE) {
+        return {
+            transaction,
+            priorityFee: null,
+            skippedReason: `Re-budgeted transaction would be ${size} bytes (limit ${PACKET_DATA_SIZE})`,
+        };
+    }
+
+    return { transaction: tunedTransaction, priorityFee, skippedReason: null };
+}
@@ -0,0 +1,138 @@
+/**
+ * Quote freshness tracking
+ * A quote is only good for a short while: its price has a TTL (`expiresAt`)
+ * and its transaction carries a blockhash that expires about 150 blocks after
+ * the aggregator fetched it. Both can run out between quoting and sending
+ * (prepare, simulation, the inspection acknowledgement and the wallet prompt),
+ * so executeSwapWithOSlot checks them after signing and refuses to send a stale
+ * transaction; executeWithFreshQuote then re-quotes and signs again.
+ */
+
+// A blockhash lives ~60s and is at most as old as the quote; a quote younger than
+// this cannot carry an expired one, so the RPC round trip is skipped on the fast path
+export const BLOCKHASH_CHECK_AFTER_MS = 5000;
+
+// A re-quote whose expected output is at most this much lower is signed without asking again
+export const DEFAULT_REPRICE_TOLERANCE_BPS = 10;
+
+/**
+ * Check whether a signed quote is still fresh enough to send
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} window - { blockhash, quotedAt, expiresAt }; without quotedAt the blockhash is always checked
+ * @returns {Promise<Object>} { stale, reasons: Array<'quote-expired' | 'blockhash-expired'>, quoteAgeMs, blockhashValid }
+ *   blockhashValid is null when it was not checked
+ */
+export async function checkQuoteFreshness(connection, { blockhash, quotedAt, expiresAt }) {
+    const now = Date.now();
+    const reasons = [];
+    if (expiresAt && now > expiresAt) {
+        reasons.push('quote-expired');
+    }
+
+    let blockhashValid = null;
+    const quoteAgeMs = quotedAt ? now - quotedAt : null;
+    if (!reasons.length && (quoteAgeMs === null || quoteAgeMs > BLOCKHASH_CHECK_AFTER_MS)) {
+        try {
+            ({ value: blockhashValid } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' }));
+        } catch (error) {
+            // Can't tell; the confirmation tracker still catches an expired blockhash
+            console.warn('Could not check blockhash validity:', error);
+        }
+        if (blockhashValid === false) {
+            reasons.push('blockhash-expired');
+        }
+    }
+
+    return {
+        stale: reasons.length > 0,
+        reasons,
+        quoteAgeMs,
+        blockhashValid,
+    };
+}
+
+/**
+ * Build the error thrown when a signed quote is too old to send
+ *
+ * @param {Object} freshness - Result of checkQuoteFreshness
+ * @returns {Error} Error tagged with category 'quote-stale' and the freshness report
+ */
+export function createStaleQuoteError(freshness) {
+    const why = freshness.reasons
+        .map((reason) => (reason === 'quote-expired' ? 'the quote expired' : 'the blockhash expired'))
+        .join(' and ');
+    const error = new Error(`Not sent: ${why} before the transaction could be sent`);
+    error.category = 'quote-stale';
+    error.freshness = freshness;
+    return error;
+}
+
+/**
+ * Compare a re-quote with the quote it replaces
+ *
+ * @param {Object} previous - Stale quote
+ * @param {Object} next - Fresh quote
+ * @param {number} [toleranceBps] - Accepted drop in expected output
+ * @returns {Object} { changeBps, worse } change in expected output (negative is worse)
+ */
+export function compareQuotes(previous, next, toleranceBps = DEFAULT_REPRICE_TOLERANCE_BPS) {
+    if (previous.expectedOutAmount === null || next.expectedOutAmount === null) {
+        // Without prices to compare the user has to look at the new quote
+        return { changeBps: null, worse: true };
+    }
+    const before = BigInt(previous.expectedOutAmount);
+    const after = BigInt(next.expectedOutAmount);
+    const changeBps = before > 0n ? Number(((after - before) * 10000n) / before) : 0;
+    return { changeBps, worse: changeBps < -toleranceBps };
+}
+
+/**
+ * Execute a quote, re-quoting and signing again when it goes stale before sending
+ *
+ * A re-quote at (about) the same or a better price is signed right away; a
+ * worse one is only signed if confirmRequote accepts it.
+ *
+ * @param {Object} quote - Normalized quote to execute
+ * @param {Object} handlers - Pipeline hooks
+ * @param {Function} handlers.execute - async (quote) => result; throws createStaleQuoteError errors when stale
+ * @param {Function} handlers.requote - async () => fresh normalized quote
+ * @param {Function} [handlers.confirmRequote] - async ({ previous, quote, change }) => boolean; without it a worse
+ *   price is declined
+ * @param {Function} [handlers.onRequote] - Called with ({ previous, quote, change }) once a re-quote is accepted
+ * @param {number} [handlers.maxRequotes] - Give up after this many re-quotes (default 2)
+ * @param {number} [handlers.toleranceBps] - See compareQuotes
+ * @returns {Promise<Object>} { result, quote, requotes } with the quote that was executed
+ */
+export async function executeWithFreshQuote(quote, {
+    execute,
+    requote,
+    confirmRequote,
+    onRequote,
+    maxRequotes = 2,
+    toleranceBps = DEFAULT_REPRICE_TOLERANCE_BPS,
+}) {
+    let current = quote;
+    for (let requotes = 0; ; requotes++) {
+        try {
+            return { result: await execute(current), quote: current, requotes };
+        } catch (error) {
+            if (error.category !== 'quote-stale' || requotes >= maxRequotes) {
+                throw error;
+            }
+            console.log(`♻️  ${error.message}; re-quoting`);
+
+            const next = await requote();
+            const change = compareQuotes(current, next, toleranceBps);
+            const review = { previous: current, quote: next, change };
+            if (change.worse && !(confirmRequote && await confirmRequote(review))) {
+                const declined = new Error('Swap cancelled: the refreshed quote was not accepted');
+                declined.stage = 'sign';
+                declined.category = 'quote-stale';
+                throw declined;
+            }
+            onRequote?.(review);
+            current = next;
+        }
+    }
+}
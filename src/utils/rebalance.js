@@ -0,0 +1,286 @@
+import { trackTransactionConfirmation } from './confirmation';
+import { executeSwapWithOSlot } from './oslot';
+import { maxSpendable } from './tokens';
+import { createBatchSigner } from './walletSigning';
+
+/**
+ * Portfolio rebalancing
+ * Values the wallet's holdings of the target tokens in a reference token (USDC),
+ * plans the swaps that move them to the target weights, and executes all legs
+ * with a single signAllTransactions prompt.
+ *
+ * Planning pairs the largest surplus with the largest deficit until both sides
+ * are used up, so no token is both sold and bought and n tokens need at most
+ * n - 1 swaps. Every leg spends a balance the wallet already holds, so the legs
+ * don't depend on each other and are sent in parallel. Tokens without a target
+ * weight are left alone; a weight of 0 sells the token completely.
+ *
+ * Prices and values are floating point reference base units: they only size the
+ * legs, the amounts actually received come from each leg's quote.
+ */
+
+export const REBALANCE_REFERENCE_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// Reference amount (10 USDC) quoted to price a token the wallet doesn't hold yet
+const PRICE_PROBE_AMOUNT = 10_000_000n;
+
+// Legs worth less than this (1 USDC) are not worth their network fee
+export const DEFAULT_MIN_LEG_VALUE = 1_000_000;
+
+// Weights may be off by this much in total, e.g. from rounding thirds
+const WEIGHT_SUM_TOLERANCE_PCT = 0.01;
+
+// Leg statuses after which nothing changes anymore
+export const FINAL_LEG_STATUSES = ['finalized', 'failed', 'expired', 'timeout', 'error'];
+
+/**
+ * Check target weights
+ *
+ * @param {Object} targets - Map of mint -> weight in percent
+ * @returns {Array<string>} Problems; empty when the weights are usable
+ */
+export function validateTargetWeights(targets) {
+    const errors = [];
+    const entries = Object.entries(targets);
+    if (entries.length < 2) {
+        errors.push('Add at least two tokens to rebalance between');
+    }
+    for (const [mint, weight] of entries) {
+        if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+            errors.push(`Weight of ${mint} must be between 0 and 100`);
+        }
+    }
+    const total = entries.reduce((sum, [, weight]) => sum + (Number.isFinite(weight) ? weight : 0), 0);
+    if (Math.abs(total - 100) > WEIGHT_SUM_TOLERANCE_PCT) {
+        errors.push(`Weights add up to ${total}%, not 100%`);
+    }
+    return errors;
+}
+
+/**
+ * Price the target tokens in reference base units per token base unit
+ * A held token is priced by quoting its spendable balance into the reference
+ * token (the price it would actually sell at); a token the wallet doesn't hold
+ * by quoting a small reference amount into it.
+ *
+ * @param {Array<string>} mints - Tokens to price
+ * @param {Object} balances - Spendable balances, mint -> bigint base units
+ * @param {Function} fetchQuote - async (inputMint, outputMint, amount) => normalized quote
+ * @returns {Promise<Object>} Map of mint -> price
+ */
+export async function fetchRebalancePrices(mints, balances, fetchQuote) {
+    const entries = await Promise.all(mints.map(async (mint) => {
+        if (mint === REBALANCE_REFERENCE_MINT) {
+            return [mint, 1];
+        }
+        const balance = balances[mint] ?? 0n;
+        const quote = balance > 0n
+            ? await fetchQuote(mint, REBALANCE_REFERENCE_MINT, balance)
+            : await fetchQuote(REBALANCE_REFERENCE_MINT, mint, PRICE_PROBE_AMOUNT);
+        if (quote.expectedOutAmount === null || BigInt(quote.expectedOutAmount) === 0n) {
+            throw new Error(`Could not price ${mint}: the quote has no expected output`);
+        }
+        const price = balance > 0n
+            ? Number(quote.expectedOutAmount) / Number(balance)
+            : Number(PRICE_PROBE_AMOUNT) / Number(quote.expectedOutAmount);
+        return [mint, price];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Spendable balances of the target tokens; SOL keeps a fee reserve for every leg
+ *
+ * @param {Object} balances - Wallet balances from fetchWalletBalances
+ * @param {Array<string>} mints - Target tokens
+ * @param {bigint} [solReserve] - Extra lamports kept on top of the swap fee reserve
+ * @returns {Object} Map of mint -> spendable bigint base units
+ */
+export function spendableBalances(balances, mints, solReserve = 0n) {
+    return Object.fromEntries(mints.map((mint) => [mint, maxSpendable(mint, balances[mint] ?? 0n, solReserve)]));
+}
+
+/**
+ * Plan the swaps that move the holdings to the target weights
+ *
+ * @param {Object} params - Planning input
+ * @param {Object} params.balances - Spendable balances, mint -> bigint base units (see spendableBalances)
+ * @param {Object} params.prices - Map of mint -> price (see fetchRebalancePrices)
+ * @param {Object} params.targets - Map of mint -> weight in percent
+ * @param {number} [params.minLegValue] - Skip legs worth less than this, in reference base units
+ * @returns {Object} { totalValue, allocations, legs } where allocations are
+ *   { mint, balance, value, currentPct, targetPct, targetValue, deltaValue } and legs are
+ *   { inputMint, outputMint, amount (base units string), value }
+ */
+export function planRebalance({ balances, prices, targets, minLegValue = DEFAULT_MIN_LEG_VALUE }) {
+    const allocations = Object.entries(targets).map(([mint, targetPct]) => {
+        const balance = balances[mint] ?? 0n;
+        return { mint, balance, value: Number(balance) * prices[mint], targetPct };
+    });
+    const totalValue = allocations.reduce((sum, allocation) => sum + allocation.value, 0);
+    for (const allocation of allocations) {
+        allocation.currentPct = totalValue > 0 ? (allocation.value / totalValue) * 100 : 0;
+        allocation.targetValue = (totalValue * allocation.targetPct) / 100;
+        allocation.deltaValue = allocation.targetValue - allocation.value;
+    }
+
+    const sellers = allocations
+        .filter((allocation) => allocation.deltaValue < 0)
+        .map((allocation) => ({ ...allocation, surplus: -allocation.deltaValue, remaining: allocation.balance }))
+        .sort((a, b) => b.surplus - a.surplus);
+    const buyers = allocations
+        .filter((allocation) => allocation.deltaValue > 0)
+        .map((allocation) => ({ ...allocation, deficit: allocation.deltaValue }))
+        .sort((a, b) => b.deficit - a.deficit);
+
+    const legs = [];
+    let sellerIndex = 0;
+    let buyerIndex = 0;
+    while (sellerIndex < sellers.length && buyerIndex < buyers.length) {
+        const seller = sellers[sellerIndex];
+        const buyer = buyers[buyerIndex];
+        const value = Math.min(seller.surplus, buyer.deficit);
+        seller.surplus -= value;
+        buyer.deficit -= value;
+
+        // A token sold out completely goes in full, so no dust is left behind
+        const soldOut = seller.targetPct === 0 && seller.surplus < minLegValue;
+        let amount = soldOut ? seller.remaining : BigInt(Math.floor(value / prices[seller.mint]));
+        if (amount > seller.remaining) {
+            amount = seller.remaining;
+        }
+        if (value >= minLegValue && amount > 0n) {
+            seller.remaining -= amount;
+            legs.push({ inputMint: seller.mint, outputMint: buyer.mint, amount: amount.toString(), value });
+        }
+
+        // Whatever is left below the minimum is not worth another leg
+        if (seller.surplus <= 0 || seller.surplus < minLegValue) sellerIndex++;
+        if (buyer.deficit <= 0 || buyer.deficit < minLegValue) buyerIndex++;
+    }
+
+    return { totalValue, allocations, legs };
+}
+
+/**
+ * Collect the legs whose inspection needs an acknowledgement and ask about all of them at once
+ * The question is asked when every leg is either waiting here or past its
+ * inspection (signing or failed), so the user sees every warning before the
+ * single signing prompt.
+ *
+ * @param {number} size - Number of legs
+ * @param {Function} [confirmInspections] - async (Array<{ index, inspection }>) => boolean
+ * @returns {Object} { confirm(index) => confirmInspection callback, pass(index) for a leg that needs none }
+ */
+function createInspectionGate(size, confirmInspections) {
+    const waiting = new Map();
+    const passed = new Set();
+    let asked = false;
+
+    const askWaiting = async () => {
+        if (asked || !waiting.size || passed.size + waiting.size < size) {
+            return;
+        }
+        asked = true;
+        const entries = [...waiting.entries()].sort(([a], [b]) => a - b);
+        let accepted = false;
+        try {
+            accepted = confirmInspections
+                ? await confirmInspections(entries.map(([index, entry]) => ({ index, inspection: entry.inspection })))
+                : false;
+        } catch (error) {
+            console.warn('Inspection acknowledgement failed:', error);
+        }
+        entries.forEach(([, entry]) => entry.resolve(Boolean(accepted)));
+    };
+
+    return {
+        confirm: (index) => (inspection) => new Promise((resolve) => {
+            waiting.set(index, { inspection, resolve });
+            askWaiting();
+        }),
+        pass: (index) => {
+            if (!waiting.has(index)) {
+                passed.add(index);
+                askWaiting();
+            }
+        },
+    };
+}
+
+/**
+ * Execute quoted rebalancing legs: one wallet prompt for all, then parallel submission
+ *
+ * Each leg runs through executeSwapWithOSlot (simulation, safety inspection,
+ * freshness check, sender chain) with a signer from createBatchSigner. A leg
+ * that fails before signing is left out of the prompt; the others still go
+ * through, so a rebalance can end partially done. Re-plan from the new balances
+ * to finish it. Safety warnings of all legs are acknowledged together through
+ * confirmInspections before the prompt; declined legs are left out of it.
+ *
+ * @param {Array<Object>} legs - Planned legs with their `quote`
+ * @param {Object} options - Execution options
+ * @param {Connection} options.connection - Solana connection instance
+ * @param {Function} options.signAllTransactions - Wallet batch sign function
+ * @param {boolean} options.supportsVersioned - See supportsVersionedTransactions
+ * @param {string|Array<Object>} options.endpoint - 0slot endpoint or region targets
+ * @param {Object} [options.executeOptions] - Passed to executeSwapWithOSlot for every leg
+ * @param {Function} [options.confirmInspections] - async (Array<{ index, inspection }>) => boolean, asked once
+ *   for all legs with inspector warnings; without it those legs fail
+ * @param {Function} [options.onLegUpdate] - Called with (index, changes) as a leg progresses; status is one of
+ *   'preparing' | 'signing' | 'sent' | 'processed' | 'confirmed' | 'finalized' | 'failed' | 'expired' | 'timeout' | 'error'
+ * @returns {Promise<Object>} { results, succeeded, failed, partial } with one { status, signature, error } per leg
+ */
+export async function executeRebalance(legs, {
+    connection,
+    signAllTransactions,
+    supportsVersioned,
+    endpoint,
+    executeOptions = {},
+    confirmInspections,
+    onLegUpdate = () => {},
+}) {
+    const batch = createBatchSigner(signAllTransactions, supportsVersioned, legs.length);
+    const gate = createInspectionGate(legs.length, confirmInspections);
+
+    const runLeg = async (leg, index) => {
+        onLegUpdate(index, { status: 'preparing' });
+        let sendResult;
+        try {
+            const signer = batch.signer(index);
+            sendResult = await executeSwapWithOSlot(leg.quote.transaction, connection, (transaction) => {
+                gate.pass(index);
+                onLegUpdate(index, { status: 'signing' });
+                return signer(transaction);
+            }, endpoint, { ...executeOptions, quote: leg.quote, confirmInspection: gate.confirm(index) });
+        } catch (error) {
+            gate.pass(index);
+            batch.skip(index);
+            const result = { status: 'error', signature: null, error: error.message, stage: error.stage ?? null };
+            onLegUpdate(index, result);
+            return result;
+        }
+
+        onLegUpdate(index, { status: 'sent', signature: sendResult.signature, sendResult });
+        const confirmation = await trackTransactionConfirmation(connection, sendResult, {
+            onStatus: (event) => {
+                if (event.status === 'processed' || event.status === 'confirmed') {
+                    onLegUpdate(index, { status: event.status, slot: event.slot });
+                }
+            },
+        });
+        const result = {
+            status: confirmation.status,
+            signature: sendResult.signature,
+            error: confirmation.errorMessage ?? null,
+            slot: confirmation.slot ?? null,
+        };
+        onLegUpdate(index, result);
+        return result;
+    };
+
+    const results = await Promise.all(legs.map(runLeg));
+    const succeeded = results.filter((result) => result.status === 'finalized').length;
+    const failed = results.length - succeeded;
+    return { results, succeeded, failed, partial: succeeded > 0 && failed > 0 };
+}
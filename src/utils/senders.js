@@ -0,0 +1,362 @@
+import { Connection } from '@solana/web3.js';
+import { Buffer } from 'buffer';
+import bs58 from 'bs58';
+import { OSLOT_TIP_ACCOUNTS } from './tip.js';
+
+/**
+ * Transaction submission backends
+ * A sender takes a signed, serialized transaction and gets it to the cluster.
+ * Every sender reports the signature plus backend-specific metadata, so the
+ * same signed transaction can be retried on the next backend in a fallback
+ * order when one rejects it or times out. Retrying never double-executes a
+ * swap: every backend receives the exact same signed transaction.
+ *
+ * Sender shape:
+ * {
+ *   id: string,
+ *   name: string,
+ *   tipAccounts: Array<string>|null,   // accounts the backend expects its tip to be paid to
+ *   requiresTip: boolean,              // the backend drops transactions without its tip
+ *   minTipLamports: number,
+ *   isConfigured(context): boolean,
+ *   send(serializedTx, context): Promise<{ signature, metadata }>,
+ * }
+ *
+ * Send context: { connection, oslotTargets, jitoBlockEngineUrl, relayUrl, onRegionTimings }
+ */
+
+const DEFAULT_SEND_TIMEOUT_MS = 10000;
+
+// A hung 0slot region gives up before the sender timeout, so the rejection reasons still reach the caller
+export const REGION_SEND_TIMEOUT_MS = 8000;
+
+// Jito mainnet tip accounts
+export const JITO_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+];
+
+// Jito ignores bundles tipping less than this
+const JITO_MIN_TIP_LAMPORTS = 1000;
+
+/**
+ * Read the fee payer signature (the transaction id) from a serialized transaction
+ * The first byte is the compact-u16 signature count, always < 128 here.
+ *
+ * @param {Uint8Array} serializedTx - Signed, serialized transaction
+ * @returns {string} Base58 signature
+ */
+function transactionSignature(serializedTx) {
+    return bs58.encode(serializedTx.subarray(1, 65));
+}
+
+/**
+ * POST a JSON-RPC request and return its result
+ *
+ * @param {string} url - JSON-RPC endpoint
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @returns {Promise<*>} The `result` field of the response
+ */
+async function postJsonRpc(url, method, params) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${method} failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(`${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+    }
+    return data.result;
+}
+
+/**
+ * Send a serialized transaction to a single 0slot region and time the round trip
+ * Never throws; failures are reported in the returned timing entry.
+ *
+ * @param {Object} target - { id, endpoint } region target
+ * @param {Uint8Array} serializedTx - Signed, serialized transaction
+ * @param {number} requestStartTime - performance.now() timestamp the broadcast started at
+ * @param {number} [timeoutMs] - Abort the region's request after this long
+ * @returns {Promise<Object>} { regionId, endpoint, signature, durationMs, error }
+ */
+async function sendToRegion(target, serializedTx, requestStartTime, timeoutMs = REGION_SEND_TIMEOUT_MS) {
+    console.log(`📤 Sending transaction to 0slot endpoint (${target.id}): ${target.endpoint}`);
+
+    // Aborts every request of this region, including Connection's own retries
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`No response within ${timeoutMs}ms`)), timeoutMs);
+    try {
+        const oslotConnection = new Connection(target.endpoint, {
+            commitment: 'confirmed',
+            fetch: (input, init) => fetch(input, { ...init, signal: controller.signal }),
+        });
+
+        // Send transaction using sendRawTransaction (Connection-based approach)
+        const signature = await oslotConnection.sendRawTransaction(serializedTx, {
+            skipPreflight: true,
+            maxRetries: 0,
+        });
+
+        const durationMs = performance.now() - requestStartTime;
+        console.log(`✅ ${target.id} accepted transaction in ${(durationMs / 1000).toFixed(5)} seconds`);
+        return { regionId: target.id, endpoint: target.endpoint, signature, durationMs, error: null };
+    } catch (error) {
+        const durationMs = performance.now() - requestStartTime;
+        console.warn(`⚠️  ${target.id} rejected transaction after ${(durationMs / 1000).toFixed(5)} seconds:`, error);
+        return { regionId: target.id, endpoint: target.endpoint, signature: null, durationMs, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 0slot, broadcasting to every selected region in parallel
+ * Resolves as soon as one region accepts, so a slow region can't hold the
+ * result back until the sender times out and the next backend resubmits.
+ * Metadata: { regionTimings, fastestRegion } with the regions that answered by
+ * then; context.onRegionTimings(regionTimings) receives all of them once the
+ * last region has answered or timed out.
+ */
+export const oslotSender = {
+    id: 'oslot',
+    name: '0slot',
+    tipAccounts: OSLOT_TIP_ACCOUNTS,
+    requiresTip: false,
+    minTipLamports: 0,
+    isConfigured: (context) => Boolean(context.oslotTargets?.length),
+
+    async send(serializedTx, { oslotTargets, onRegionTimings }) {
+        const requestStartTime = performance.now();
+        const answered = [];
+        const requests = oslotTargets.map((target) => sendToRegion(target, serializedTx, requestStartTime)
+            .then((timing) => {
+                answered.push(timing);
+                return timing;
+            }));
+        const allTimings = Promise.all(requests);
+        allTimings.then((regionTimings) => onRegionTimings?.(regionTimings));
+
+        const accepted = await Promise.any(requests.map((request) => request.then((timing) => (
+            timing.signature ? timing : Promise.reject(new Error(timing.error))
+        )))).catch(() => null);
+        if (!accepted) {
+            const regionTimings = await allTimings;
+            const reasons = regionTimings.map((timing) => `${timing.regionId}: ${timing.error}`).join('; ');
+            const error = new Error(`All 0slot regions rejected the transaction (${reasons})`);
+            error.metadata = { regionTimings, fastestRegion: null };
+            throw error;
+        }
+
+        return {
+            signature: accepted.signature,
+            metadata: { regionTimings: [...answered], fastestRegion: accepted.regionId },
+        };
+    },
+};
+
+/**
+ * The app's regular RPC connection
+ * Metadata: { endpoint }
+ */
+export const rpcSender = {
+    id: 'rpc',
+    name: 'Standard RPC',
+    tipAccounts: null,
+    requiresTip: false,
+    minTipLamports: 0,
+    isConfigured: (context) => Boolean(context.connection),
+
+    async send(serializedTx, { connection }) {
+        const signature = await connection.sendRawTransaction(serializedTx, {
+            skipPreflight: true,
+            maxRetries: 0,
+        });
+        return { signature, metadata: { endpoint: connection.rpcEndpoint } };
+    },
+};
+
+/**
+ * Jito block engine, submitting the transaction as a single-transaction bundle
+ * Bundles must tip a Jito tip account. Metadata: { bundleId, blockEngineUrl }
+ */
+export const jitoSender = {
+    id: 'jito',
+    name: 'Jito bundle',
+    tipAccounts: JITO_TIP_ACCOUNTS,
+    requiresTip: true,
+    minTipLamports: JITO_MIN_TIP_LAMPORTS,
+    isConfigured: (context) => Boolean(context.jitoBlockEngineUrl),
+
+    async send(serializedTx, { jitoBlockEngineUrl }) {
+        const url = `${jitoBlockEngineUrl.replace(/\/+$/, '')}/api/v1/bundles`;
+        const bundleId = await postJsonRpc(url, 'sendBundle', [
+            [Buffer.from(serializedTx).toString('base64')],
+            { encoding: 'base64' },
+        ]);
+        return {
+            signature: transactionSignature(serializedTx),
+            metadata: { bundleId, blockEngineUrl: jitoBlockEngineUrl },
+        };
+    },
+};
+
+/**
+ * Any relay that accepts a standard JSON-RPC sendTransaction call
+ * Metadata: { endpoint }
+ */
+export const relaySender = {
+    id: 'relay',
+    name: 'Custom relay',
+    tipAccounts: null,
+    requiresTip: false,
+    minTipLamports: 0,
+    isConfigured: (context) => Boolean(context.relayUrl),
+
+    async send(serializedTx, { relayUrl }) {
+        const signature = await postJsonRpc(relayUrl, 'sendTransaction', [
+            Buffer.from(serializedTx).toString('base64'),
+            { encoding: 'base64', skipPreflight: true, maxRetries: 0 },
+        ]);
+        return { signature, metadata: { endpoint: new URL(relayUrl).origin } };
+    },
+};
+
+const senders = [oslotSender, rpcSender, jitoSender, relaySender];
+
+/**
+ * Register a submission backend
+ * A sender with the id of an existing one replaces it.
+ *
+ * @param {Object} sender - { id, name, tipAccounts, requiresTip, minTipLamports, isConfigured(context), send(serializedTx, context) }
+ */
+export function registerSender(sender) {
+    if (!sender.id || typeof sender.send !== 'function' || typeof sender.isConfigured !== 'function') {
+        throw new Error('Senders need an id, isConfigured() and send()');
+    }
+    const existing = senders.findIndex((candidate) => candidate.id === sender.id);
+    if (existing !== -1) {
+        senders.splice(existing, 1, sender);
+    } else {
+        senders.push(sender);
+    }
+}
+
+/**
+ * List registered submission backends
+ *
+ * @returns {Array<Object>} Senders
+ */
+export function getSenders() {
+    return [...senders];
+}
+
+/**
+ * Find a submission backend by id
+ *
+ * @param {string} id - Sender id
+ * @returns {Object|undefined} Sender
+ */
+export function getSender(id) {
+    return senders.find((sender) => sender.id === id);
+}
+
+/**
+ * Build the ordered sender chain for a swap: the chosen backend, then the fallback order
+ *
+ * @param {string} primaryId - Backend chosen for this swap
+ * @param {Array<string>} fallbackOrder - Backend ids to fall back to, in order
+ * @returns {Array<Object>} Senders without duplicates
+ */
+export function buildSenderChain(primaryId, fallbackOrder = []) {
+    const ids = [primaryId, ...fallbackOrder.filter((id) => id !== primaryId)];
+    return ids.map(getSender).filter(Boolean);
+}
+
+/**
+ * Reject after a timeout
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {number} timeoutMs - Timeout
+ * @param {string} what - Description used in the timeout message
+ * @returns {Promise} The promise's result, or a timeout error
+ */
+function withTimeout(promise, timeoutMs, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${what} did not respond within ${timeoutMs}ms`);
+            error.timedOut = true;
+            reject(error);
+        }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Submit a signed transaction through a chain of senders until one accepts it
+ *
+ * Senders that are not configured, or that require a tip the transaction does
+ * not pay them, are skipped.
+ *
+ * @param {Uint8Array} serializedTx - Signed, serialized transaction
+ * @param {Array<Object>} chain - Senders in the order to try them
+ * @param {Object} context - Send context ({ connection, oslotTargets, jitoBlockEngineUrl, relayUrl })
+ * @param {Object} [options] - Submission options
+ * @param {Object|null} [options.tip] - Tip paid by the transaction ({ lamports, account })
+ * @param {number} [options.timeoutMs] - Per-sender timeout
+ * @returns {Promise<Object>} { signature, sender, metadata, durationMs, attempts }, throws if every sender failed;
+ *   attempts: [{ sender, status: 'accepted' | 'rejected' | 'timeout' | 'skipped', durationMs, error, metadata }]
+ */
+export async function submitWithFallback(serializedTx, chain, context, { tip = null, timeoutMs = DEFAULT_SEND_TIMEOUT_MS } = {}) {
+    const attempts = [];
+
+    for (const sender of chain) {
+        if (!sender.isConfigured(context)) {
+            attempts.push({ sender: sender.id, status: 'skipped', durationMs: null, error: `${sender.name} is not configured`, metadata: null });
+            continue;
+        }
+        if (sender.requiresTip && !(tip?.account && sender.tipAccounts?.includes(tip.account))) {
+            attempts.push({ sender: sender.id, status: 'skipped', durationMs: null, error: `Transaction does not tip ${sender.name}`, metadata: null });
+            continue;
+        }
+
+        const startTime = performance.now();
+        try {
+            const { signature, metadata } = await withTimeout(sender.send(serializedTx, context), timeoutMs, sender.name);
+            const durationMs = performance.now() - startTime;
+            attempts.push({ sender: sender.id, status: 'accepted', durationMs, error: null, metadata });
+            return { signature, sender: sender.id, metadata, durationMs, attempts };
+        } catch (error) {
+            const durationMs = performance.now() - startTime;
+            console.warn(`⚠️  ${sender.name} failed after ${Math.round(durationMs)}ms:`, error);
+            attempts.push({
+                sender: sender.id,
+                status: error.timedOut ? 'timeout' : 'rejected',
+                durationMs,
+                error: error.message,
+                metadata: error.metadata || null,
+            });
+        }
+    }
+
+    const reasons = attempts.map((attempt) => `${attempt.sender}: ${attempt.error}`).join('; ');
+    const error = new Error(`No submission backend accepted the transaction (${reasons})`);
+    error.attempts = attempts;
+    throw error;
+}
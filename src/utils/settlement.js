@@ -0,0 +1,159 @@
+import { NATIVE_SOL_MINT } from './amounts.js';
+import { getSenders } from './senders.js';
+
+/**
+ * Post-swap settlement reconciliation
+ * Reads the landed transaction and works out what the swap actually cost and
+ * returned: input spent and output received from the wallet's balance deltas,
+ * the network fee split into base and priority fee, the submission tip, and the
+ * realized slippage against the quote.
+ *
+ * Native SOL moves through three places (the wallet's lamports, wrapped SOL
+ * token accounts, and rent for token accounts created or closed by the swap);
+ * the fee, tip and rent are taken out so that a SOL leg shows only what was swapped.
+ */
+
+// Base fee charged per transaction signature
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+/**
+ * Instructions of a parsed transaction, including inner (CPI) instructions
+ *
+ * @param {Object} transaction - Parsed transaction
+ * @returns {Array<Object>} Parsed and partially decoded instructions
+ */
+function allInstructions(transaction) {
+    return [
+        ...transaction.transaction.message.instructions,
+        ...(transaction.meta.innerInstructions || []).flatMap((inner) => inner.instructions),
+    ];
+}
+
+/**
+ * Lamports the wallet transferred to submission backend tip accounts
+ *
+ * @param {Object} transaction - Parsed transaction
+ * @param {string} wallet - Wallet address
+ * @returns {number} Tip in lamports
+ */
+function tipPaid(transaction, wallet) {
+    const tipAccounts = new Set(getSenders().flatMap((sender) => sender.tipAccounts || []));
+    return allInstructions(transaction)
+        .filter((instruction) => instruction.program === 'system' && instruction.parsed?.type === 'transfer')
+        .map((instruction) => instruction.parsed.info)
+        .filter((info) => info.source === wallet && tipAccounts.has(info.destination))
+        .reduce((total, info) => total + info.lamports, 0);
+}
+
+/**
+ * Build a settlement receipt from a landed, parsed swap transaction
+ *
+ * @param {Object} transaction - Result of getParsedTransaction (with meta)
+ * @param {Object} expected - What the swap was quoted for
+ * @param {string} expected.wallet - Wallet address
+ * @param {string} expected.inputMint - Input token mint
+ * @param {string} expected.outputMint - Output token mint
+ * @param {string} [expected.inAmount] - Quoted input amount in base units
+ * @param {string|null} [expected.quotedOutAmount] - Quoted expected output in base units
+ * @param {string|null} [expected.minimumOutAmount] - Quoted minimum output in base units
+ * @returns {Object} Receipt; amounts are base-unit strings, fees are lamport numbers:
+ *   { slot, blockTime, inputMint, outputMint, quotedInAmount, inputSpent, quotedOutAmount, minimumOutAmount,
+ *     outputReceived, realizedSlippageBps, belowMinimum, networkFeeLamports, baseFeeLamports,
+ *     priorityFeeLamports, tipLamports, rentLamports, computeUnitsConsumed, failed }
+ */
+export function buildSettlementReceipt(transaction, { wallet, inputMint, outputMint, inAmount = null, quotedOutAmount = null, minimumOutAmount = null }) {
+    const { meta } = transaction;
+    const accountKeys = transaction.transaction.message.accountKeys.map((account) => account.pubkey.toBase58());
+
+    // Token balances of accounts the wallet owns, keyed by account index
+    const ownedBalances = (balances) => new Map((balances || [])
+        .filter((balance) => balance.owner === wallet)
+        .map((balance) => [balance.accountIndex, balance]));
+    const pre = ownedBalances(meta.preTokenBalances);
+    const post = ownedBalances(meta.postTokenBalances);
+
+    const tokenDelta = (mint) => {
+        let delta = 0n;
+        for (const balance of post.values()) {
+            if (balance.mint === mint) delta += BigInt(balance.uiTokenAmount.amount);
+        }
+        for (const balance of pre.values()) {
+            if (balance.mint === mint) delta -= BigInt(balance.uiTokenAmount.amount);
+        }
+        return delta;
+    };
+
+    // Rent locked in token accounts the swap opened for the wallet, less rent returned by closed ones.
+    // A wrapped SOL account's lamports also hold its token amount, which tokenDelta already counts.
+    const rentIn = (balances, lamports) => [...balances.values()].reduce((total, balance) => {
+        const wrapped = balance.mint === NATIVE_SOL_MINT ? BigInt(balance.uiTokenAmount.amount) : 0n;
+        return total + BigInt(lamports[balance.accountIndex]) - wrapped;
+    }, 0n);
+    const opened = new Map([...post].filter(([index]) => !pre.has(index)));
+    const closed = new Map([...pre].filter(([index]) => !post.has(index)));
+    const rentLamports = rentIn(opened, meta.postBalances) - rentIn(closed, meta.preBalances);
+
+    const networkFeeLamports = meta.fee;
+    const baseFeeLamports = transaction.transaction.signatures.length * LAMPORTS_PER_SIGNATURE;
+    const tipLamports = tipPaid(transaction, wallet);
+
+    const walletIndex = accountKeys.indexOf(wallet);
+    const lamportDelta = walletIndex === -1 ? 0n : BigInt(meta.postBalances[walletIndex] - meta.preBalances[walletIndex]);
+    const mintDelta = (mint) => {
+        if (mint !== NATIVE_SOL_MINT) {
+            return tokenDelta(mint);
+        }
+        // The fee payer's fee, tip and token account rent aren't part of the swap itself
+        const feePaid = walletIndex === 0 ? BigInt(networkFeeLamports) : 0n;
+        return tokenDelta(mint) + lamportDelta + feePaid + BigInt(tipLamports) + rentLamports;
+    };
+
+    const failed = meta.err !== null;
+    const outputReceived = mintDelta(outputMint);
+    let realizedSlippageBps = null;
+    if (!failed && quotedOutAmount !== null && BigInt(quotedOutAmount) > 0n) {
+        const quoted = BigInt(quotedOutAmount);
+        // Positive when less than quoted was received
+        realizedSlippageBps = Number(((quoted - outputReceived) * 100000n) / quoted) / 10;
+    }
+
+    return {
+        slot: transaction.slot,
+        blockTime: transaction.blockTime ?? null,
+        inputMint,
+        outputMint,
+        quotedInAmount: inAmount,
+        inputSpent: (-mintDelta(inputMint)).toString(),
+        quotedOutAmount,
+        minimumOutAmount,
+        outputReceived: outputReceived.toString(),
+        realizedSlippageBps,
+        belowMinimum: minimumOutAmount !== null && !failed && outputReceived < BigInt(minimumOutAmount),
+        networkFeeLamports,
+        baseFeeLamports,
+        priorityFeeLamports: Math.max(0, networkFeeLamports - baseFeeLamports),
+        tipLamports,
+        rentLamports: Number(rentLamports),
+        computeUnitsConsumed: meta.computeUnitsConsumed ?? null,
+        failed,
+    };
+}
+
+/**
+ * Fetch a landed swap transaction and reconcile it against its quote
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {string} signature - Transaction signature
+ * @param {Object} expected - See buildSettlementReceipt
+ * @returns {Promise<Object|null>} Receipt (with signature), or null if the transaction is not available yet
+ */
+export async function reconcileSwap(connection, signature, expected) {
+    const transaction = await connection.getParsedTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+    });
+    if (!transaction?.meta) {
+        return null;
+    }
+    return { signature, ...buildSettlementReceipt(transaction, expected) };
+}
@@ -0,0 +1,173 @@
+import { PublicKey } from '@solana/web3.js';
+import { Buffer } from 'buffer';
+import { NATIVE_SOL_MINT } from './amounts.js';
+import { describeTransactionError } from './confirmation.js';
+import { resolveAddressLookupTables } from './tip.js';
+
+/**
+ * Pre-sign transaction simulation
+ * Runs the unsigned swap transaction through simulateTransaction on the regular
+ * RPC connection and derives the user's balance changes from pre/post account state.
+ */
+
+const TOKEN_PROGRAM_IDS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+];
+
+// SPL token account layout: mint (32) | owner (32) | amount (u64 LE) | ...
+const TOKEN_ACCOUNT_MIN_LENGTH = 165;
+// SPL mint layout: mint authority option (36) | supply (8) | decimals (1) | ...
+const MINT_DECIMALS_OFFSET = 44;
+
+/**
+ * Decode the mint, owner and amount of an SPL token account
+ *
+ * @param {string} programOwner - Program that owns the account
+ * @param {Buffer} data - Raw account data
+ * @returns {Object|null} { mint, owner, amount } or null if not a token account
+ */
+function decodeTokenAccount(programOwner, data) {
+    if (!TOKEN_PROGRAM_IDS.includes(programOwner) || data.length < TOKEN_ACCOUNT_MIN_LENGTH) {
+        return null;
+    }
+    return {
+        mint: new PublicKey(data.subarray(0, 32)).toBase58(),
+        owner: new PublicKey(data.subarray(32, 64)).toBase58(),
+        amount: data.readBigUInt64LE(64),
+    };
+}
+
+/**
+ * Fetch decimals for a set of mints
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Array<string>} mints - Mint addresses
+ * @returns {Promise<Object>} Map of mint -> decimals (missing if unknown)
+ */
+async function fetchMintDecimals(connection, mints) {
+    const decimals = { [NATIVE_SOL_MINT]: 9 };
+    const splMints = mints.filter((mint) => mint !== NATIVE_SOL_MINT);
+    if (!splMints.length) {
+        return decimals;
+    }
+
+    const infos = await connection.getMultipleAccountsInfo(splMints.map((mint) => new PublicKey(mint)));
+    infos.forEach((info, i) => {
+        if (info && info.data.length > MINT_DECIMALS_OFFSET) {
+            decimals[splMints[i]] = info.data[MINT_DECIMALS_OFFSET];
+        }
+    });
+    return decimals;
+}
+
+/**
+ * Collect the writable accounts of a message, resolving lookup tables
+ *
+ * @param {VersionedMessage} message - Transaction message
+ * @param {Connection} connection - Solana connection instance
+ * @returns {Promise<Array<PublicKey>>} Writable account keys
+ */
+async function getWritableAccounts(message, connection) {
+    const addressLookupTableAccounts = await resolveAddressLookupTables(message, connection);
+    const accountKeys = message.getAccountKeys({ addressLookupTableAccounts });
+
+    const writable = [];
+    for (let i = 0; i < accountKeys.length; i++) {
+        if (message.isAccountWritable(i)) {
+            writable.push(accountKeys.get(i));
+        }
+    }
+    return writable;
+}
+
+/**
+ * Sum SOL and token balances owned by a wallet across a set of accounts
+ *
+ * @param {Array<Object|null>} accounts - Account states ({ owner, lamports, data: Buffer })
+ * @param {Array<PublicKey>} addresses - Addresses matching `accounts`
+ * @param {string} wallet - Wallet address
+ * @returns {Object} Map of mint -> bigint balance (SOL under NATIVE_SOL_MINT)
+ */
+function walletBalances(accounts, addresses, wallet) {
+    const balances = {};
+    accounts.forEach((account, i) => {
+        if (!account) {
+            return;
+        }
+        if (addresses[i].toBase58() === wallet) {
+            balances[NATIVE_SOL_MINT] = (balances[NATIVE_SOL_MINT] || 0n) + BigInt(account.lamports);
+            return;
+        }
+        const tokenAccount = decodeTokenAccount(account.owner, account.data);
+        if (tokenAccount && tokenAccount.owner === wallet) {
+            balances[tokenAccount.mint] = (balances[tokenAccount.mint] || 0n) + tokenAccount.amount;
+        }
+    });
+    return balances;
+}
+
+/**
+ * Simulate an unsigned swap transaction and preview the wallet's balance changes
+ *
+ * Signature verification is disabled and the blockhash replaced, so the
+ * transaction can be simulated before the wallet signs it.
+ *
+ * @param {VersionedTransaction} transaction - Transaction to simulate
+ * @param {Connection} connection - Solana connection instance (regular RPC, not 0slot)
+ * @returns {Promise<Object>} { ok, error, errorMessage, logs, unitsConsumed, balanceChanges }
+ *   where balanceChanges is [{ mint, decimals, pre, post, delta }] with bigint amounts
+ */
+export async function simulateSwapTransaction(transaction, connection) {
+    const message = transaction.message;
+    const wallet = message.staticAccountKeys[0].toBase58();
+    const addresses = await getWritableAccounts(message, connection);
+
+    const [preInfos, { value: simulation }] = await Promise.all([
+        connection.getMultipleAccountsInfo(addresses),
+        connection.simulateTransaction(transaction, {
+            sigVerify: false,
+            replaceRecentBlockhash: true,
+            accounts: {
+                encoding: 'base64',
+                addresses: addresses.map((address) => address.toBase58()),
+            },
+        }),
+    ]);
+
+    const preAccounts = preInfos.map((info) => info && {
+        owner: info.owner.toBase58(),
+        lamports: info.lamports,
+        data: Buffer.from(info.data),
+    });
+    const postAccounts = (simulation.accounts || []).map((info) => info && {
+        owner: info.owner,
+        lamports: info.lamports,
+        data: Buffer.from(info.data[0], 'base64'),
+    });
+
+    let balanceChanges = [];
+    if (!simulation.err) {
+        const pre = walletBalances(preAccounts, addresses, wallet);
+        const post = walletBalances(postAccounts, addresses, wallet);
+        const mints = [...new Set([...Object.keys(pre), ...Object.keys(post)])];
+        const decimals = await fetchMintDecimals(connection, mints);
+
+        balanceChanges = mints
+            .map((mint) => {
+                const preAmount = pre[mint] || 0n;
+                const postAmount = post[mint] || 0n;
+                return { mint, decimals: decimals[mint], pre: preAmount, post: postAmount, delta: postAmount - preAmount };
+            })
+            .filter((change) => change.delta !== 0n);
+    }
+
+    return {
+        ok: !simulation.err,
+        error: simulation.err,
+        errorMessage: describeTransactionError(simulation.err),
+        logs: simulation.logs || [],
+        unitsConsumed: simulation.unitsConsumed ?? null,
+        balanceChanges,
+    };
+}
@@ -0,0 +1,342 @@
+import { describeTransactionError } from './confirmation.js';
+
+/**
+ * Swap error classification
+ * Maps failures from any stage of the swap pipeline to a category with a
+ * user-facing explanation and the actions that can resolve it. Errors are
+ * plain Errors; the pipeline attaches what it knows to them:
+ *
+ * {
+ *   stage: 'quote' | 'prepare' | 'sign' | 'send' | 'confirm',
+ *   category,            // set where the cause is certain (e.g. malformed provider responses)
+ *   status,              // HTTP status of a failed swap API request
+ *   transactionError,    // on-chain / simulated TransactionError
+ *   logs,                // program logs of the failed transaction or simulation
+ *   attempts,            // submission attempts (see senders.js)
+ *   submission,          // { signedTransaction, blockhash, lastValidBlockHeight, tip } when sending failed
+ *   confirmationStatus,  // 'failed' | 'expired' | 'timeout' when the transaction did not finalize
+ *   freshness,           // quote freshness report when a signed quote went stale (see quoteFreshness.js)
+ * }
+ */
+
+export const SWAP_STAGES = ['quote', 'prepare', 'sign', 'send', 'confirm'];
+
+// Retry actions re-run the pipeline from one stage; the others are advice only
+export const SWAP_ERROR_ACTIONS = {
+    requote: { label: 'Re-quote and retry', stage: 'quote' },
+    'raise-slippage': { label: 'Raise slippage and re-quote', stage: 'quote' },
+    'retry-sign': { label: 'Sign again', stage: 'sign' },
+    resend: { label: 'Resend signed transaction', stage: 'send' },
+    'resend-rpc': { label: 'Resend via standard RPC', stage: 'send' },
+    recheck: { label: 'Check status again', stage: 'confirm' },
+    'top-up': { label: 'Top up SOL for fees and rent', stage: null },
+    'check-settings': { label: 'Check the 0slot API key in Settings', stage: null },
+    'check-endpoint': { label: 'Use a swap endpoint that returns legacy transactions, or another wallet', stage: null },
+};
+
+export const SWAP_ERROR_CATEGORIES = {
+    'endpoint-http': {
+        title: 'Swap API request failed',
+        explanation: 'The swap endpoint returned an error instead of a quote.',
+        actions: ['requote'],
+    },
+    'malformed-response': {
+        title: 'Unexpected swap API response',
+        explanation: 'The swap endpoint answered, but not with a transaction this app understands. Check the endpoint URL or pick another provider.',
+        actions: ['requote'],
+    },
+    network: {
+        title: 'Network error',
+        explanation: 'A request could not reach its server. Check your connection and try again.',
+        actions: ['requote'],
+    },
+    'wallet-rejected': {
+        title: 'Signature request rejected',
+        explanation: 'The transaction was not signed in your wallet, so nothing was sent.',
+        actions: ['retry-sign', 'requote'],
+    },
+    'wallet-error': {
+        title: 'Wallet error',
+        explanation: 'Your wallet could not sign the transaction. Make sure it is unlocked and connected to the right account.',
+        actions: ['retry-sign'],
+    },
+    'wallet-incompatible': {
+        title: 'Wallet cannot sign this transaction',
+        explanation: 'The swap endpoint returned a versioned (v0) transaction, which this wallet does not support. Nothing was signed.',
+        actions: ['check-endpoint'],
+    },
+    'insufficient-funds': {
+        title: 'Insufficient funds',
+        explanation: 'The wallet cannot cover the swap amount plus network fees, tip and rent for new token accounts.',
+        actions: ['top-up', 'requote'],
+    },
+    'slippage-exceeded': {
+        title: 'Price moved beyond your slippage tolerance',
+        explanation: 'The output would have been less than the minimum you accepted, so the swap was reverted. No tokens were swapped.',
+        actions: ['raise-slippage', 'requote'],
+    },
+    'blockhash-expired': {
+        title: 'Transaction expired',
+        explanation: 'The transaction was not included before its blockhash expired. It can no longer land; a fresh quote is needed.',
+        actions: ['requote'],
+    },
+    'quote-stale': {
+        title: 'Quote went stale',
+        explanation: 'The quote or its blockhash expired before the transaction could be sent, so it was not sent.',
+        actions: ['requote'],
+    },
+    'oslot-rate-limited': {
+        title: '0slot rate limit reached',
+        explanation: '0slot rejected the transaction because too many requests were sent with this API key.',
+        actions: ['resend', 'resend-rpc'],
+    },
+    'oslot-auth': {
+        title: '0slot rejected the API key',
+        explanation: 'The 0slot API key is missing, invalid or not allowed for this region.',
+        actions: ['check-settings', 'resend-rpc'],
+    },
+    'send-failed': {
+        title: 'No submission backend accepted the transaction',
+        explanation: 'The signed transaction could not be delivered. It can be resent as-is while its blockhash is valid.',
+        actions: ['resend', 'resend-rpc'],
+    },
+    'simulation-failed': {
+        title: 'Simulation failed',
+        explanation: 'The transaction would fail on-chain, so it was not signed.',
+        actions: ['requote'],
+    },
+    'inspection-blocked': {
+        title: 'Blocked by the safety inspector',
+        explanation: 'The transaction does something a swap should not do and was not signed. Try another provider.',
+        actions: ['requote'],
+    },
+    'transaction-failed': {
+        title: 'Transaction failed on-chain',
+        explanation: 'The transaction landed but one of its instructions failed; only the network fee was charged.',
+        actions: ['requote'],
+    },
+    'confirmation-timeout': {
+        title: 'Confirmation timed out',
+        explanation: 'The transaction was sent but not seen as finalized in time. It may still land.',
+        actions: ['recheck'],
+    },
+    unknown: {
+        title: 'Swap failed',
+        explanation: 'An unexpected error occurred.',
+        actions: ['requote'],
+    },
+};
+
+// Custom program error codes that mean the minimum output was not met, per program
+const SLIPPAGE_ERROR_CODES = {
+    JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4: [6001], // Jupiter v6 SlippageToleranceExceeded
+    whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc: [6017, 6018], // Orca Whirlpool TokenMaxExceeded / TokenMinSubceeded
+    '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': [30], // Raydium AMM v4 ExceededSlippage
+    LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo: [6003], // Meteora DLMM ExceededAmountSlippageTolerance
+};
+
+const SPL_TOKEN_PROGRAMS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+];
+// SPL Token InsufficientFunds
+const TOKEN_INSUFFICIENT_FUNDS_CODE = 1;
+
+const MAX_SUGGESTED_SLIPPAGE_BPS = 500;
+
+/**
+ * Find the innermost program that failed with a custom error in a transaction's logs
+ * Inner (CPI) failures are logged before the outer instruction's.
+ *
+ * @param {Array<string>} [logs] - Program logs
+ * @returns {Object|null} { programId, code }
+ */
+export function findCustomProgramError(logs = []) {
+    for (const line of logs || []) {
+        const match = /^Program (\w+) failed: custom program error: 0x([0-9a-fA-F]+)/.exec(line);
+        if (match) {
+            return { programId: match[1], code: parseInt(match[2], 16) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Classify an on-chain or simulated TransactionError
+ *
+ * @param {Object|string} transactionError - TransactionError
+ * @param {Array<string>} [logs] - Program logs, used to attribute custom error codes
+ * @returns {string|null} Category, or null if the error has no specific category
+ */
+function classifyTransactionError(transactionError, logs) {
+    if (transactionError === 'BlockhashNotFound') {
+        return 'blockhash-expired';
+    }
+    if (transactionError === 'InsufficientFundsForFee' || transactionError === 'AccountNotFound'
+        || transactionError?.InsufficientFundsForRent) {
+        return 'insufficient-funds';
+    }
+
+    const failure = findCustomProgramError(logs);
+    if (failure) {
+        if (SLIPPAGE_ERROR_CODES[failure.programId]?.includes(failure.code)) {
+            return 'slippage-exceeded';
+        }
+        if (SPL_TOKEN_PROGRAMS.includes(failure.programId) && failure.code === TOKEN_INSUFFICIENT_FUNDS_CODE) {
+            return 'insufficient-funds';
+        }
+    }
+    if ((logs || []).some((line) => /insufficient (funds|lamports)/i.test(line))) {
+        return 'insufficient-funds';
+    }
+    return null;
+}
+
+/**
+ * Classify the errors 0slot regions returned for a rejected transaction
+ *
+ * @param {Array<Object>} [attempts] - Submission attempts
+ * @returns {string|null} 'oslot-rate-limited', 'oslot-auth' or null
+ */
+function classifyOSlotRejection(attempts = []) {
+    const oslotErrors = attempts
+        .filter((attempt) => attempt.sender === 'oslot')
+        .flatMap((attempt) => [attempt.error, ...(attempt.metadata?.regionTimings || []).map((timing) => timing.error)])
+        .filter(Boolean);
+
+    if (oslotErrors.some((message) => /\b429\b|too many requests|rate.?limit/i.test(message))) {
+        return 'oslot-rate-limited';
+    }
+    if (oslotErrors.some((message) => /\b40[13]\b|unauthori[sz]ed|forbidden|api.?key/i.test(message))) {
+        return 'oslot-auth';
+    }
+    return null;
+}
+
+/**
+ * Work out the category of a swap error
+ *
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} stage - Stage the error was thrown in
+ * @returns {string} Key of SWAP_ERROR_CATEGORIES
+ */
+function categorize(error, stage) {
+    if (error.category && SWAP_ERROR_CATEGORIES[error.category]) {
+        return error.category;
+    }
+
+    if (error.transactionError || error.logs) {
+        const category = classifyTransactionError(error.transactionError, error.logs);
+        if (category) {
+            return category;
+        }
+    }
+
+    const message = error.message || '';
+    if (/blockhash not found|block height exceeded/i.test(message)) {
+        return 'blockhash-expired';
+    }
+    if (/insufficient (funds|lamports)|attempt to debit an account but found no record of a prior credit/i.test(message)) {
+        return 'insufficient-funds';
+    }
+
+    switch (stage) {
+        case 'quote':
+            if (error.status) return 'endpoint-http';
+            if (error.name === 'SyntaxError') return 'malformed-response';
+            if (error.name === 'TypeError' || /failed to fetch|network|timed out/i.test(message)) return 'network';
+            return 'unknown';
+        case 'prepare':
+            if (error.simulation) return 'simulation-failed';
+            if (/safety inspector|safety warnings/i.test(message)) return 'inspection-blocked';
+            return 'unknown';
+        case 'sign':
+            return /reject|denied|declined|cancel/i.test(message) || error.code === 4001 || error.error?.code === 4001
+                ? 'wallet-rejected'
+                : 'wallet-error';
+        case 'send':
+            return classifyOSlotRejection(error.attempts) || 'send-failed';
+        case 'confirm':
+            if (error.confirmationStatus === 'expired') return 'blockhash-expired';
+            if (error.confirmationStatus === 'timeout') return 'confirmation-timeout';
+            return 'transaction-failed';
+        default:
+            return 'unknown';
+    }
+}
+
+/**
+ * Classify a swap pipeline error for display
+ *
+ * @param {Error} error - Error thrown by the pipeline
+ * @param {string} [fallbackStage] - Stage to assume when the error carries none
+ * @returns {Object} { category, stage, title, explanation, detail, actions: [{ id, label, stage }] }
+ */
+export function classifySwapError(error, fallbackStage = 'quote') {
+    const stage = error.stage || fallbackStage;
+    const category = categorize(error, stage);
+    const { title, explanation, actions } = SWAP_ERROR_CATEGORIES[category];
+
+    let detail = error.message || describeTransactionError(error.transactionError);
+    if (category === 'endpoint-http' && error.status === 429) {
+        detail = `The swap API is rate limiting requests (HTTP 429). Wait a moment before re-quoting. ${detail}`;
+    }
+
+    return {
+        category,
+        stage,
+        title,
+        explanation,
+        detail,
+        actions: actions.map((id) => ({ id, ...SWAP_ERROR_ACTIONS[id] })),
+    };
+}
+
+/**
+ * Slippage to offer after a slippage failure
+ *
+ * @param {number} slippageBps - Slippage the swap used
+ * @returns {number|null} Raised slippage in bps, or null if it is already at the suggestion cap
+ */
+export function suggestSlippageBps(slippageBps) {
+    if (slippageBps >= MAX_SUGGESTED_SLIPPAGE_BPS) {
+        return null;
+    }
+    return Math.min(MAX_SUGGESTED_SLIPPAGE_BPS, Math.max(slippageBps * 2, slippageBps + 50));
+}
+
+/**
+ * Build the error for a transaction that did not finalize
+ *
+ * @param {Object} confirmation - Result of trackTransactionConfirmation
+ * @param {Array<string>|null} [logs] - Program logs of the landed transaction
+ * @returns {Error} Error tagged with the confirm stage
+ */
+export function createConfirmationError(confirmation, logs = null) {
+    const error = new Error(confirmation.errorMessage || `Transaction ${confirmation.status}`);
+    error.stage = 'confirm';
+    error.confirmationStatus = confirmation.status;
+    error.transactionError = confirmation.error ?? null;
+    error.logs = logs;
+    return error;
+}
+
+/**
+ * Fetch the program logs of a landed transaction, for error classification
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<Array<string>|null>} Log lines, null if unavailable
+ */
+export async function fetchTransactionLogs(connection, signature) {
+    try {
+        const transaction = await connection.getTransaction(signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0,
+        });
+        return transaction?.meta?.logMessages ?? null;
+    } catch (error) {
+        console.warn('Could not fetch transaction logs:', error);
+        return null;
+    }
+}
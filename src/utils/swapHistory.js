@@ -0,0 +1,253 @@
+import { describeTransactionError } from './confirmation';
+import { reconcileSwap } from './settlement';
+
+/**
+ * Persistent swap history
+ * Every swap attempt is stored in IndexedDB so it survives reloads and can be
+ * filtered, re-checked and exported for accounting.
+ *
+ * Record shape:
+ * {
+ *   id, createdAt, updatedAt, wallet, inputMint, outputMint, inAmount,
+ *   quotedOutAmount, minimumOutAmount, actualOutAmount, provider, swapEndpoint,
+ *   submissionPath, region, regionTimings, timings, signature, slot, status, error,
+ *   receipt,                       // settlement receipt once landed (see settlement.js)
+ *   orderId,                       // set for limit order and DCA fills
+ *   rebalanceId                    // shared by the legs of one portfolio rebalance
+ * }
+ * status: 'started' | 'sent' | 'processed' | 'confirmed' | 'finalized' | 'failed' | 'expired' | 'timeout' | 'error'
+ */
+
+const DB_NAME = 'oslot-swap';
+const DB_VERSION = 1;
+const STORE = 'swaps';
+
+// Statuses whose outcome may still change and can be re-checked on-chain
+export const PENDING_STATUSES = ['sent', 'processed', 'confirmed', 'timeout'];
+
+const listeners = new Set();
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the history database
+ *
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('wallet', 'wallet');
+                store.createIndex('status', 'status');
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a request against the swaps store
+ *
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = operation(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function notify() {
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to history changes
+ *
+ * @param {Function} listener - Called after every write
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToHistory(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Store a new swap attempt
+ *
+ * @param {Object} fields - Initial record fields (wallet, mints, amounts, ...)
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordSwap(fields) {
+    const now = Date.now();
+    const record = {
+        id: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        status: 'started',
+        signature: null,
+        error: null,
+        ...fields,
+    };
+    await withStore('readwrite', (store) => store.put(record));
+    notify();
+    return record;
+}
+
+/**
+ * Merge changes into a stored swap record
+ *
+ * @param {string} id - Record id
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated record, or null if it does not exist
+ */
+export async function updateSwap(id, changes) {
+    // Read, merge and write in one transaction: status updates and the settlement receipt
+    // arrive close together, and separate transactions would let one overwrite another
+    const db = await openDatabase();
+    const record = await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, 'readwrite');
+        const store = transaction.objectStore(STORE);
+        let updated = null;
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (request.result) {
+                updated = { ...request.result, ...changes, updatedAt: Date.now() };
+                store.put(updated);
+            }
+        };
+        transaction.oncomplete = () => resolve(updated);
+        transaction.onerror = () => reject(transaction.error);
+    });
+    if (record) {
+        notify();
+    }
+    return record;
+}
+
+/**
+ * List swap records, newest first
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.wallet] - Only records for this wallet
+ * @param {string} [filters.status] - Only records with this status
+ * @returns {Promise<Array<Object>>} Matching records
+ */
+export async function listSwaps({ wallet, status } = {}) {
+    const records = wallet
+        ? await withStore('readonly', (store) => store.index('wallet').getAll(wallet))
+        : await withStore('readonly', (store) => store.getAll());
+
+    return records
+        .filter((record) => !status || record.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Reconcile a landed swap against its record's quote
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} record - Swap record with a signature
+ * @returns {Promise<Object>} { receipt, actualOutAmount } changes, empty if the transaction is not available
+ */
+async function reconcileSwapRecord(connection, record) {
+    const receipt = await reconcileSwap(connection, record.signature, {
+        wallet: record.wallet,
+        inputMint: record.inputMint,
+        outputMint: record.outputMint,
+        inAmount: record.inAmount,
+        quotedOutAmount: record.quotedOutAmount ?? null,
+        minimumOutAmount: record.minimumOutAmount ?? null,
+    });
+    return receipt ? { receipt, actualOutAmount: receipt.outputReceived } : {};
+}
+
+/**
+ * Re-check a pending swap on-chain and store the outcome
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {Object} record - Stored swap record with a signature
+ * @returns {Promise<Object>} Updated record
+ */
+export async function recheckSwap(connection, record) {
+    if (!record.signature) {
+        return record;
+    }
+
+    const { value: [status] } = await connection.getSignatureStatuses([record.signature], {
+        searchTransactionHistory: true,
+    });
+    if (!status) {
+        return updateSwap(record.id, { status: record.status === 'timeout' ? 'timeout' : 'sent' });
+    }
+    if (status.err) {
+        return updateSwap(record.id, {
+            status: 'failed',
+            slot: status.slot,
+            error: describeTransactionError(status.err),
+        });
+    }
+
+    const changes = { status: status.confirmationStatus || 'processed', slot: status.slot };
+    if (!record.receipt) {
+        Object.assign(changes, await reconcileSwapRecord(connection, record));
+    }
+    return updateSwap(record.id, changes);
+}
+
+const CSV_COLUMNS = [
+    'createdAt', 'wallet', 'status', 'signature', 'slot', 'provider', 'region',
+    'inputMint', 'outputMint', 'inAmount', 'quotedOutAmount', 'minimumOutAmount', 'actualOutAmount',
+    'inputSpent', 'realizedSlippageBps', 'networkFeeLamports', 'priorityFeeLamports', 'tipLamports', 'rentLamports',
+    'submissionPath', 'orderId', 'rebalanceId', 'prepareMs', 'signMs', 'sendMs', 'totalMs', 'error',
+];
+
+/**
+ * Quote a value for CSV
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export swap records as CSV
+ *
+ * @param {Array<Object>} records - Swap records
+ * @returns {string} CSV document with a header row
+ */
+export function exportSwapsCsv(records) {
+    const rows = records.map((record) => CSV_COLUMNS.map((column) => {
+        if (column === 'createdAt') return csvCell(new Date(record.createdAt).toISOString());
+        if (column in (record.timings || {})) return csvCell(Math.round(record.timings[column]));
+        if (column in (record.receipt || {})) return csvCell(record.receipt[column]);
+        return csvCell(record[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Export swap records as JSON
+ *
+ * @param {Array<Object>} records - Swap records
+ * @returns {string} Pretty-printed JSON array
+ */
+export function exportSwapsJson(records) {
+    return JSON.stringify(records, null, 2);
+}
@@ -0,0 +1,294 @@
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Swap presets and deep links
+ * The swap form's parameters (mints, amount, slippage, endpoint) can be put in
+ * the page URL, saved locally as named presets, and moved between browsers as
+ * JSON. Links and imported files come from other people, so everything is
+ * validated before it reaches the form: mints must be public keys, the
+ * slippage must be in a sane range, and the swap endpoint must be one the app
+ * already trusts. An untrusted endpoint is dropped, never applied.
+ *
+ * Preset shape:
+ * { id, name, createdAt, inputMint, outputMint, amount, slippageBps, swapEndpoint }
+ * amount is in whole tokens as typed in the form, e.g. "1.5"; swapEndpoint may be null
+ */
+
+const STORAGE_KEY = 'oslot-swap-presets';
+const EXPORT_VERSION = 1;
+
+// Higher slippage in a shared link mostly helps whoever sandwiches the swap
+export const MAX_SHARED_SLIPPAGE_BPS = 1000;
+
+const MAX_PRESET_NAME_LENGTH = 80;
+
+// Short query parameter names used in links
+const LINK_PARAMS = {
+    inputMint: 'in',
+    outputMint: 'out',
+    amount: 'amount',
+    slippageBps: 'slippage',
+    swapEndpoint: 'endpoint',
+};
+
+const listeners = new Set();
+
+/**
+ * Check that a string is a base58 public key
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+function isPublicKey(value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    try {
+        return new PublicKey(value).toBase58() === value;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate swap parameters from a link, preset or import
+ * Fields that are absent are left out; fields that are present but invalid are
+ * dropped and reported, so the rest can still be applied.
+ *
+ * @param {Object} raw - { inputMint, outputMint, amount, slippageBps, swapEndpoint }, any of them optional
+ * @param {Object} options - Validation options
+ * @param {Array<string>} options.allowedEndpoints - Swap endpoints the app trusts
+ * @returns {Object} { params, errors } with only the valid fields in params
+ */
+export function validateSwapParams(raw, { allowedEndpoints }) {
+    const params = {};
+    const errors = [];
+    const present = (key) => raw[key] !== undefined && raw[key] !== null && raw[key] !== '';
+
+    for (const key of ['inputMint', 'outputMint']) {
+        if (!present(key)) continue;
+        if (isPublicKey(raw[key])) {
+            params[key] = raw[key];
+        } else {
+            errors.push(`${key === 'inputMint' ? 'Input' : 'Output'} mint is not a valid address`);
+        }
+    }
+    if (params.inputMint && params.inputMint === params.outputMint) {
+        errors.push('Input and output mint are the same');
+        delete params.outputMint;
+    }
+
+    if (present('amount')) {
+        const amount = String(raw.amount).trim();
+        if (/^\d+(\.\d+)?$/.test(amount) && Number(amount) > 0) {
+            params.amount = amount;
+        } else {
+            errors.push('Amount must be a positive number');
+        }
+    }
+
+    if (present('slippageBps')) {
+        const slippageBps = Number(raw.slippageBps);
+        if (Number.isInteger(slippageBps) && slippageBps >= 1 && slippageBps <= MAX_SHARED_SLIPPAGE_BPS) {
+            params.slippageBps = slippageBps;
+        } else {
+            errors.push(`Slippage must be a whole number of BPS between 1 and ${MAX_SHARED_SLIPPAGE_BPS}`);
+        }
+    }
+
+    if (present('swapEndpoint')) {
+        if (allowedEndpoints.includes(raw.swapEndpoint)) {
+            params.swapEndpoint = raw.swapEndpoint;
+        } else {
+            errors.push(`Swap endpoint ${raw.swapEndpoint} is not trusted by this app and was ignored`);
+        }
+    }
+
+    return { params, errors };
+}
+
+/**
+ * Build a link that opens the swap form prefilled
+ *
+ * @param {Object} params - { inputMint, outputMint, amount, slippageBps, swapEndpoint }
+ * @param {string} baseUrl - Page URL to extend, e.g. window.location.href
+ * @returns {string} Link
+ */
+export function buildSwapLink(params, baseUrl) {
+    const url = new URL(baseUrl);
+    for (const [key, name] of Object.entries(LINK_PARAMS)) {
+        url.searchParams.delete(name);
+        if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+            url.searchParams.set(name, String(params[key]));
+        }
+    }
+    return url.href;
+}
+
+/**
+ * Read and validate swap parameters from a link's query string
+ *
+ * @param {string} search - Query string, e.g. window.location.search
+ * @param {Object} options - See validateSwapParams
+ * @returns {Object|null} { params, errors }, or null when the link carries no swap parameters
+ */
+export function parseSwapLink(search, options) {
+    const query = new URLSearchParams(search);
+    const raw = {};
+    for (const [key, name] of Object.entries(LINK_PARAMS)) {
+        if (query.has(name)) {
+            raw[key] = query.get(name);
+        }
+    }
+    return Object.keys(raw).length ? validateSwapParams(raw, options) : null;
+}
+
+/**
+ * Default preset name, e.g. "SOL→USDC 1 SOL 50bps"
+ *
+ * @param {Object} params - Swap parameters
+ * @param {Function} symbolOf - (mint) => token symbol
+ * @returns {string} Name
+ */
+export function describePreset(params, symbolOf) {
+    const input = symbolOf(params.inputMint);
+    return `${input}→${symbolOf(params.outputMint)} ${params.amount} ${input} ${params.slippageBps}bps`;
+}
+
+/**
+ * Read all stored presets, oldest first
+ *
+ * @returns {Array<Object>} Presets
+ */
+export function listPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(presets) ? presets : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable preset store:', error);
+        return [];
+    }
+}
+
+/**
+ * Persist the preset list and notify subscribers
+ *
+ * @param {Array<Object>} presets - Presets to store
+ */
+function storePresets(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to preset changes
+ *
+ * @param {Function} listener - Called after every write
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToPresets(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Validate a preset: a name plus a complete, valid set of swap parameters
+ *
+ * @param {Object} preset - Preset to check
+ * @param {Object} options - See validateSwapParams
+ * @returns {Object} { preset, errors } with preset null when it can't be used
+ */
+function validatePreset(preset, options) {
+    const name = typeof preset?.name === 'string' ? preset.name.trim() : '';
+    const { params, errors } = validateSwapParams(preset || {}, options);
+    if (!name || name.length > MAX_PRESET_NAME_LENGTH) {
+        errors.push(`Name must be 1 to ${MAX_PRESET_NAME_LENGTH} characters`);
+    }
+    for (const key of ['inputMint', 'outputMint', 'amount', 'slippageBps']) {
+        if (preset?.[key] === undefined || preset[key] === null || preset[key] === '') {
+            errors.push(`Missing ${key}`);
+        }
+    }
+    if (errors.length) {
+        return { preset: null, errors };
+    }
+    return { preset: { name, swapEndpoint: null, ...params }, errors };
+}
+
+/**
+ * Save the current swap parameters as a named preset
+ * A preset with the same name is replaced.
+ *
+ * @param {string} name - Preset name
+ * @param {Object} params - { inputMint, outputMint, amount, slippageBps, swapEndpoint }
+ * @param {Object} options - See validateSwapParams
+ * @returns {Object} The stored preset
+ */
+export function savePreset(name, params, options) {
+    const { preset, errors } = validatePreset({ ...params, name }, options);
+    if (!preset) {
+        throw new Error(`Preset not saved: ${errors.join('; ')}`);
+    }
+    const stored = { id: crypto.randomUUID(), createdAt: Date.now(), ...preset };
+    storePresets([...listPresets().filter((existing) => existing.name !== stored.name), stored]);
+    return stored;
+}
+
+/**
+ * Delete a preset
+ *
+ * @param {string} id - Preset id
+ */
+export function deletePreset(id) {
+    storePresets(listPresets().filter((preset) => preset.id !== id));
+}
+
+/**
+ * Export presets as JSON
+ *
+ * @param {Array<Object>} presets - Presets to export
+ * @returns {string} JSON document
+ */
+export function exportPresetsJson(presets) {
+    const entries = presets.map(({ name, inputMint, outputMint, amount, slippageBps, swapEndpoint }) => ({
+        name, inputMint, outputMint, amount, slippageBps, swapEndpoint,
+    }));
+    return JSON.stringify({ version: EXPORT_VERSION, presets: entries }, null, 2);
+}
+
+/**
+ * Import presets from an exported JSON document
+ * Valid presets are stored (replacing presets with the same name); invalid ones are reported and skipped.
+ *
+ * @param {string} text - JSON document from exportPresetsJson
+ * @param {Object} options - See validateSwapParams
+ * @returns {Object} { imported: number, rejected: Array<{ name, errors }> }
+ */
+export function importPresetsJson(text, options) {
+    let document;
+    try {
+        document = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a preset file: ${error.message}`);
+    }
+    if (!Array.isArray(document?.presets)) {
+        throw new Error('Not a preset file: no presets list');
+    }
+
+    const accepted = [];
+    const rejected = [];
+    for (const entry of document.presets) {
+        const { preset, errors } = validatePreset(entry, options);
+        if (preset) {
+            accepted.push({ id: crypto.randomUUID(), createdAt: Date.now(), ...preset });
+        } else {
+            rejected.push({ name: typeof entry?.name === 'string' ? entry.name : '(unnamed)', errors });
+        }
+    }
+
+    if (accepted.length) {
+        const names = new Set(accepted.map((preset) => preset.name));
+        storePresets([...listPresets().filter((preset) => !names.has(preset.name)), ...accepted]);
+    }
+    return { imported: accepted.length, rejected };
+}
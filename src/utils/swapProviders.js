@@ -0,0 +1,380 @@
+/**
+ * Swap provider adapters
+ * Each adapter knows how to talk to one kind of swap aggregator and returns a
+ * normalized quote, so new aggregators can be registered without touching
+ * fetchSwapTransaction and the UI can show quote details uniformly.
+ *
+ * Normalized quote shape:
+ * {
+ *   provider: string,              // adapter id
+ *   transaction: string,           // base64 encoded unsigned transaction
+ *   inputMint: string,
+ *   outputMint: string,
+ *   inAmount: string,              // base units
+ *   expectedOutAmount: string|null, // base units
+ *   minimumOutAmount: string|null,  // base units, after slippage
+ *   feeAmount: string|null,        // fee in output base units still to be deducted from expectedOutAmount
+ *   priceImpactPct: number|null,   // percent, e.g. 0.12 for 0.12%
+ *   route: string|null,            // human readable route description
+ *   quotedAt: number,              // ms timestamp
+ *   expiresAt: number,             // ms timestamp after which the quote should be refreshed
+ *   lastValidBlockHeight: number|null,
+ *   raw: Object,                   // untouched provider response
+ * }
+ */
+
+// Quotes without an explicit expiry are considered stale after this long
+export const DEFAULT_QUOTE_TTL_MS = 30000;
+
+const JUPITER_SWAP_URL = 'https://quote-api.jup.ag/v6/swap';
+
+/**
+ * Parse a numeric field that providers return as number or string
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} Parsed number or null
+ */
+function toNumberOrNull(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Parse a base-unit amount field into a decimal string
+ *
+ * @param {*} value - Raw value
+ * @returns {string|null} Amount as string or null
+ */
+function toAmountOrNull(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return value.toString();
+}
+
+/**
+ * Parse a provider's quote expiry into a millisecond timestamp
+ * Providers report it in seconds or milliseconds; a value below 1e12 can only
+ * be seconds (1e12 ms is in 2001).
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} Expiry in ms, or null when missing (the default TTL applies). A past expiry is
+ *   kept, so the quote counts as stale and is re-quoted
+ */
+function toExpiryMsOrNull(value) {
+    const expiry = toNumberOrNull(value);
+    if (!expiry) {
+        return null;
+    }
+    return expiry < 1e12 ? expiry * 1000 : expiry;
+}
+
+/**
+ * Error for a swap API request that returned a non-2xx status
+ *
+ * @param {string} message - Error message
+ * @param {Response} response - Failed response
+ * @returns {Error} Error carrying the HTTP status
+ */
+function endpointError(message, response) {
+    const error = new Error(message);
+    error.stage = 'quote';
+    error.category = 'endpoint-http';
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Error for a swap API response that is missing the transaction
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error tagged as a malformed response
+ */
+function malformedResponseError(message) {
+    const error = new Error(message);
+    error.stage = 'quote';
+    error.category = 'malformed-response';
+    return error;
+}
+
+/**
+ * Fill in the fields every normalized quote shares
+ *
+ * @param {Object} fields - Provider-specific normalized fields
+ * @param {Object} swapParams - Swap parameters the quote was requested with
+ * @returns {Object} Normalized quote
+ */
+function buildQuote(fields, swapParams) {
+    const quotedAt = Date.now();
+    return {
+        inputMint: swapParams.inputMint,
+        outputMint: swapParams.outputMint,
+        inAmount: swapParams.amount.toString(),
+        expectedOutAmount: null,
+        minimumOutAmount: null,
+        feeAmount: null,
+        priceImpactPct: null,
+        route: null,
+        lastValidBlockHeight: null,
+        quotedAt,
+        expiresAt: quotedAt + DEFAULT_QUOTE_TTL_MS,
+        ...fields,
+    };
+}
+
+/**
+ * Velvet metaagg (GET with query parameters)
+ * Response: { data: { swapData: "...", quote: {...} } }
+ */
+export const velvetProvider = {
+    id: 'velvet',
+    name: 'Velvet metaagg',
+    matches: (endpoint) => endpoint.includes('route/solana/swap') || endpoint.includes('metaagg.velvetdao.xyz'),
+
+    async fetchQuote(endpoint, swapParams, userPublicKey) {
+        // Build query parameters for GET request
+        const queryParams = new URLSearchParams({
+            tokenIn: swapParams.inputMint,
+            tokenOut: swapParams.outputMint,
+            amount: swapParams.amount.toString(),
+            sender: userPublicKey,
+            slippage: (swapParams.slippageBps || 50).toString(), // slippage in basis points
+        });
+
+        const url = `${endpoint}?${queryParams.toString()}`;
+        console.log('Fetching swap from:', url);
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw endpointError(`Failed to fetch swap transaction: ${response.status} ${response.statusText} - ${errorText}`, response);
+        }
+
+        const responseData = await response.json();
+
+        if (!responseData.data || !responseData.data.swapData) {
+            throw malformedResponseError('Invalid response format from swap endpoint. Expected data.swapData');
+        }
+
+        const quote = responseData.data.quote || {};
+        const expiresAt = toExpiryMsOrNull(quote.expiry ?? quote.expiresAt);
+
+        return buildQuote({
+            provider: this.id,
+            transaction: responseData.data.swapData,
+            expectedOutAmount: toAmountOrNull(quote.amountOut),
+            minimumOutAmount: toAmountOrNull(quote.minAmountOut ?? quote.amountOutMin),
+            feeAmount: toAmountOrNull(quote.feeAmount),
+            priceImpactPct: toNumberOrNull(quote.priceImpact),
+            route: quote.route ? [].concat(quote.route).join(' → ') : quote.aggregator || null,
+            ...(expiresAt ? { expiresAt } : {}),
+            raw: responseData,
+        }, swapParams);
+    },
+};
+
+/**
+ * Jupiter v6 (GET /quote, then POST /swap)
+ */
+export const jupiterProvider = {
+    id: 'jupiter',
+    name: 'Jupiter',
+    matches: (endpoint) => endpoint.includes('quote-api.jup.ag') || endpoint.includes('/quote'),
+
+    async fetchQuote(endpoint, swapParams, userPublicKey) {
+        // Step 1: Get quote from Jupiter
+        const quoteUrl = `${endpoint}?${new URLSearchParams({
+            inputMint: swapParams.inputMint,
+            outputMint: swapParams.outputMint,
+            amount: swapParams.amount.toString(),
+            slippageBps: (swapParams.slippageBps || 50).toString(),
+        })}`;
+
+        const quoteResponse = await fetch(quoteUrl);
+        if (!quoteResponse.ok) {
+            throw endpointError(`Failed to get quote: ${quoteResponse.status} ${quoteResponse.statusText}`, quoteResponse);
+        }
+
+        const quoteData = await quoteResponse.json();
+
+        // Step 2: Get swap transaction from the matching /swap endpoint
+        const swapUrl = /\/quote\/?$/.test(endpoint) ? endpoint.replace(/\/quote\/?$/, '/swap') : JUPITER_SWAP_URL;
+        const swapResponse = await fetch(swapUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                quoteResponse: quoteData,
+                userPublicKey: userPublicKey,
+                wrapAndUnwrapSol: true,
+                dynamicComputeUnitLimit: true,
+                prioritizationFeeLamports: 'auto',
+            }),
+        });
+
+        if (!swapResponse.ok) {
+            const errorText = await swapResponse.text();
+            throw endpointError(`Failed to get swap transaction: ${swapResponse.status} - ${errorText}`, swapResponse);
+        }
+
+        const swapData = await swapResponse.json();
+
+        if (!swapData.swapTransaction) {
+            throw malformedResponseError('Invalid response format from Jupiter swap API');
+        }
+
+        const priceImpact = toNumberOrNull(quoteData.priceImpactPct);
+        const route = (quoteData.routePlan || [])
+            .map((step) => step.swapInfo?.label)
+            .filter(Boolean)
+            .join(' → ');
+
+        return buildQuote({
+            provider: this.id,
+            transaction: swapData.swapTransaction,
+            expectedOutAmount: toAmountOrNull(quoteData.outAmount),
+            minimumOutAmount: toAmountOrNull(quoteData.otherAmountThreshold),
+            // Jupiter reports price impact as a fraction
+            priceImpactPct: priceImpact === null ? null : priceImpact * 100,
+            route: route || null,
+            lastValidBlockHeight: toNumberOrNull(swapData.lastValidBlockHeight),
+            raw: { quote: quoteData, swap: swapData },
+        }, swapParams);
+    },
+};
+
+/**
+ * Generic POST endpoint that returns a ready-made transaction
+ * Accepts { transaction } / { swapTransaction } / { tx } responses.
+ */
+export const genericPostProvider = {
+    id: 'generic',
+    name: 'Generic POST',
+    matches: () => true,
+
+    async fetchQuote(endpoint, swapParams) {
+        // Existing custom endpoints expect the amount as a JSON number, as this adapter always sent it;
+        // an amount a number can't hold exactly is refused rather than rounded
+        const amount = BigInt(swapParams.amount);
+        if (amount > BigInt(Number.MAX_SAFE_INTEGER)) {
+            const error = new Error(`Amount ${amount} base units is too large for a generic POST endpoint (max ${Number.MAX_SAFE_INTEGER})`);
+            error.stage = 'quote';
+            throw error;
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...swapParams, amount: Number(amount) }),
+        });
+
+        if (!response.ok) {
+            throw endpointError(`Failed to fetch swap transaction: ${response.status} ${response.statusText}`, response);
+        }
+
+        const data = await response.json();
+
+        // Handle different response formats
+        const transaction = data.transaction || data.swapTransaction || data.tx;
+        if (!transaction) {
+            throw malformedResponseError('Invalid response format from swap endpoint');
+        }
+
+        return buildQuote({
+            provider: this.id,
+            transaction,
+            expectedOutAmount: toAmountOrNull(data.outAmount ?? data.amountOut),
+            minimumOutAmount: toAmountOrNull(data.minOutAmount ?? data.otherAmountThreshold),
+            feeAmount: toAmountOrNull(data.feeAmount),
+            priceImpactPct: toNumberOrNull(data.priceImpactPct ?? data.priceImpact),
+            route: data.route ? [].concat(data.route).join(' → ') : null,
+            lastValidBlockHeight: toNumberOrNull(data.lastValidBlockHeight),
+            raw: data,
+        }, swapParams);
+    },
+};
+
+// Checked in order; the generic POST adapter is always tried last
+const providers = [velvetProvider, jupiterProvider];
+
+/**
+ * Register a swap provider adapter
+ * Adapters registered later take precedence over the built-in ones.
+ *
+ * @param {Object} adapter - { id, name, matches(endpoint), fetchQuote(endpoint, swapParams, userPublicKey) }
+ */
+export function registerSwapProvider(adapter) {
+    if (!adapter.id || typeof adapter.matches !== 'function' || typeof adapter.fetchQuote !== 'function') {
+        throw new Error('Swap provider adapters need an id, matches() and fetchQuote()');
+    }
+    const existing = providers.findIndex((provider) => provider.id === adapter.id);
+    if (existing !== -1) {
+        providers.splice(existing, 1);
+    }
+    providers.unshift(adapter);
+}
+
+/**
+ * List registered swap providers, generic fallback last
+ *
+ * @returns {Array<Object>} Provider adapters
+ */
+export function getSwapProviders() {
+    return [...providers, genericPostProvider];
+}
+
+/**
+ * Find the adapter responsible for an endpoint
+ *
+ * @param {string} endpoint - Swap API endpoint
+ * @returns {Object} Matching provider adapter
+ */
+export function resolveSwapProvider(endpoint) {
+    return getSwapProviders().find((provider) => provider.matches(endpoint));
+}
+
+/**
+ * Fetch a quote through the backend relay's /api/quote proxy (server/relay.js)
+ * The relay resolves the provider itself and returns the normalized quote. Its
+ * timestamps are rebased onto this clock so freshness checks ignore clock skew.
+ *
+ * @param {string} proxyUrl - Absolute /api/quote URL
+ * @param {string} endpoint - Swap API endpoint the relay should call
+ * @param {Object} swapParams - Swap parameters (inputMint, outputMint, amount, slippageBps)
+ * @param {string} userPublicKey - User's public key for the swap
+ * @returns {Promise<Object>} Normalized quote
+ */
+export async function fetchQuoteViaProxy(proxyUrl, endpoint, swapParams, userPublicKey) {
+    const response = await fetch(`${proxyUrl}?${new URLSearchParams({
+        endpoint,
+        inputMint: swapParams.inputMint,
+        outputMint: swapParams.outputMint,
+        amount: swapParams.amount.toString(),
+        slippageBps: (swapParams.slippageBps || 50).toString(),
+        userPublicKey,
+    })}`);
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw endpointError(`Backend relay could not get a quote: ${response.status} ${data?.error || response.statusText}`, response);
+    }
+    if (!data?.transaction) {
+        throw malformedResponseError('Invalid response format from the backend relay quote proxy');
+    }
+
+    const ttl = data.expiresAt - data.quotedAt;
+    const quotedAt = Date.now();
+    return { ...data, quotedAt, expiresAt: quotedAt + (Number.isFinite(ttl) ? ttl : DEFAULT_QUOTE_TTL_MS) };
+}
@@ -0,0 +1,239 @@
+/**
+ * Swap latency telemetry
+ * Each swap is traced as a series of structured events (quote fetch, sign wait,
+ * send, first seen on-chain, confirmation). Finished traces are summarized and
+ * kept in a rolling localStorage store so latency percentiles can be compared
+ * between submission paths, e.g. 0slot vs. a plain RPC sendRawTransaction.
+ *
+ * Summary shape:
+ * {
+ *   id, timestamp, path, region, status,
+ *   quoteMs, prepareMs, signMs, sendMs, firstSeenMs, confirmMs, // null when not reached
+ *   sentSlot, landedSlot, slotDelta,
+ *   events: [{ type, timestamp, ...fields }]
+ * }
+ */
+
+const STORAGE_KEY = 'oslot-swap-telemetry';
+const MAX_RECORDS = 500;
+
+// Labels for the submission backends in senders.js
+export const SUBMISSION_PATHS = {
+    oslot: '0slot',
+    rpc: 'Standard RPC',
+    jito: 'Jito bundle',
+    relay: 'Custom relay',
+};
+
+// Metrics shown in percentile charts, in pipeline order
+export const TELEMETRY_METRICS = [
+    { key: 'quoteMs', label: 'Quote fetch', unit: 'ms' },
+    { key: 'signMs', label: 'Sign wait', unit: 'ms' },
+    { key: 'sendMs', label: 'Send', unit: 'ms' },
+    { key: 'firstSeenMs', label: 'First seen', unit: 'ms' },
+    { key: 'confirmMs', label: 'Confirmed', unit: 'ms' },
+    { key: 'slotDelta', label: 'Landing slot delta', unit: 'slots' },
+];
+
+export const PERCENTILES = [50, 90, 99];
+
+const listeners = new Set();
+
+/**
+ * Read the stored telemetry summaries, oldest first
+ *
+ * @returns {Array<Object>} Telemetry summaries
+ */
+export function listTelemetry() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Ignoring unreadable telemetry store:', error);
+        return [];
+    }
+}
+
+/**
+ * Append a summary to the rolling store, dropping the oldest beyond MAX_RECORDS
+ *
+ * @param {Object} summary - Finished trace summary
+ */
+function storeTelemetry(summary) {
+    const records = [...listTelemetry(), summary].slice(-MAX_RECORDS);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+    } catch (error) {
+        console.warn('Could not persist telemetry:', error);
+    }
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Remove all stored telemetry
+ */
+export function clearTelemetry() {
+    localStorage.removeItem(STORAGE_KEY);
+    listeners.forEach((listener) => listener());
+}
+
+/**
+ * Subscribe to telemetry changes
+ *
+ * @param {Function} listener - Called after every write
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToTelemetry(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Pick the submission path for a swap according to the A/B share
+ *
+ * @param {number} rpcSharePct - Percentage (0-100) of swaps to send through the standard RPC
+ * @returns {string} 'rpc' or 'oslot'
+ */
+export function chooseSubmissionPath(rpcSharePct) {
+    return Math.random() * 100 < rpcSharePct ? 'rpc' : 'oslot';
+}
+
+/**
+ * Start tracing a swap
+ *
+ * Events recorded by executeSwapWithOSlot ('prepare', 'sign', 'send') and the
+ * caller ('quote') carry a durationMs; confirmation status updates passed to
+ * recordStatus are turned into 'first-seen' and 'confirmed' events measured
+ * from the start of the send.
+ *
+ * @param {string} initialPath - Intended submission path (sender id); replaced by the sender that accepted the transaction
+ * @returns {Object} { id, record(type, fields), recordStatus(event), finish(status) }
+ */
+export function createSwapTrace(initialPath) {
+    let path = initialPath;
+    const id = crypto.randomUUID();
+    const events = [];
+    const metrics = {
+        quoteMs: null,
+        prepareMs: null,
+        signMs: null,
+        sendMs: null,
+        firstSeenMs: null,
+        confirmMs: null,
+        sentSlot: null,
+        landedSlot: null,
+        slotDelta: null,
+    };
+    let region = null;
+    let sendStartedAt = null;
+    let finished = false;
+
+    const record = (type, fields = {}) => {
+        const event = { type, timestamp: Date.now(), ...fields };
+        if (fields.regionTimings) {
+            // Region endpoints carry the API key, which must not end up in the store
+            event.regionTimings = fields.regionTimings.map(({ regionId, durationMs, error }) => ({ regionId, durationMs, error }));
+        }
+        events.push(event);
+
+        if (type === 'quote') metrics.quoteMs = fields.durationMs;
+        if (type === 'prepare') metrics.prepareMs = fields.durationMs;
+        if (type === 'sign') metrics.signMs = fields.durationMs;
+        if (type === 'send') {
+            metrics.sendMs = fields.durationMs;
+            path = fields.path ?? path;
+            metrics.sentSlot = fields.sentSlot ?? null;
+            region = fields.region ?? null;
+            sendStartedAt = fields.startedAt ?? null;
+        }
+        if (type === 'first-seen') {
+            metrics.firstSeenMs = fields.durationMs;
+            metrics.landedSlot = fields.slot ?? null;
+            if (metrics.sentSlot !== null && metrics.landedSlot !== null) {
+                metrics.slotDelta = metrics.landedSlot - metrics.sentSlot;
+            }
+        }
+        if (type === 'confirmed') metrics.confirmMs = fields.durationMs;
+    };
+
+    const recordStatus = (statusEvent) => {
+        if (sendStartedAt === null) {
+            return;
+        }
+        const durationMs = statusEvent.timestamp - sendStartedAt;
+        if (statusEvent.status === 'processed' && metrics.firstSeenMs === null) {
+            record('first-seen', { durationMs, slot: statusEvent.slot });
+        } else if (statusEvent.status === 'confirmed' && metrics.confirmMs === null) {
+            // Polling may report 'confirmed' without a separate 'processed' update
+            if (metrics.firstSeenMs === null) {
+                record('first-seen', { durationMs, slot: statusEvent.slot });
+            }
+            record('confirmed', { durationMs, slot: statusEvent.slot });
+        }
+    };
+
+    const finish = (status) => {
+        if (finished) {
+            return null;
+        }
+        finished = true;
+        const summary = { id, timestamp: Date.now(), path, region, status, ...metrics, events };
+        storeTelemetry(summary);
+        return summary;
+    };
+
+    return { id, record, recordStatus, finish };
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ *
+ * @param {Array<number>} values - Sample values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, null for an empty list
+ */
+export function percentile(values, p) {
+    if (!values.length) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Aggregate telemetry summaries per submission path
+ * 0slot and the standard RPC are always included so the A/B comparison has both sides.
+ *
+ * @param {Array<Object>} records - Telemetry summaries
+ * @returns {Object} Map of path -> { count, sent, landed, landedRate, metrics: { [key]: { samples, p50, p90, p99 } } }
+ */
+export function summarizeTelemetry(records) {
+    const byPath = {};
+    const paths = new Set(['oslot', 'rpc', ...records.map((record) => record.path)]);
+    for (const path of paths) {
+        const pathRecords = records.filter((record) => record.path === path);
+        // Attempts that failed before sending (e.g. rejected in the wallet) don't count against landing
+        const sent = pathRecords.filter((record) => record.sendMs !== null).length;
+        const landed = pathRecords.filter((record) => record.landedSlot !== null).length;
+
+        const metrics = Object.fromEntries(TELEMETRY_METRICS.map(({ key }) => {
+            const values = pathRecords
+                .map((record) => record[key])
+                .filter((value) => typeof value === 'number' && Number.isFinite(value));
+            const stats = { samples: values.length };
+            for (const p of PERCENTILES) {
+                stats[`p${p}`] = percentile(values, p);
+            }
+            return [key, stats];
+        }));
+
+        byPath[path] = {
+            count: pathRecords.length,
+            sent,
+            landed,
+            landedRate: sent ? landed / sent : null,
+            metrics,
+        };
+    }
+    return byPath;
+}
@@ -0,0 +1,154 @@
+import {
+    PACKET_DATA_SIZE,
+    PublicKey,
+    SystemInstruction,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction,
+} from '@solana/web3.js';
+
+/**
+ * Tip injection
+ * Appends a SystemProgram transfer to a submission backend's tip account (0slot by
+ * default, see senders.js for others) to an aggregator-built transaction before the
+ * wallet signs it, which the backend uses to prioritize delivery.
+ */
+
+// 0slot tip accounts; a different one is used for each tipped transaction
+export const OSLOT_TIP_ACCOUNTS = [
+    'Eb2KpSC8uMt9GmzyAEm5Eb1AAAgTjRaXWFjKyFXHZxF3',
+    'FCjUJZ1qozm1e8romw216qyfQMaaWKxWsuySnumVCCNe',
+    'ENxTEjSQ1YabmUpXAdCgevnHQ9MHdLv8tzFiuiYJqa13',
+    '6rYLG55Q9RpsPGvqdPNJs4z5WTxJVatMB8zV3WJhs5EK',
+    'Cix2bHfqPcKcM233mzxbLk14kSggUUiz2A87fJtGivXr',
+];
+
+let nextTipAccountIndex = Math.floor(Math.random() * OSLOT_TIP_ACCOUNTS.length);
+
+/**
+ * Return the next tip account in rotation
+ *
+ * @param {Array<string>} [tipAccounts] - Tip account addresses to rotate through
+ * @returns {PublicKey} Tip account to pay
+ */
+export function nextTipAccount(tipAccounts = OSLOT_TIP_ACCOUNTS) {
+    const account = tipAccounts[nextTipAccountIndex % tipAccounts.length];
+    nextTipAccountIndex = (nextTipAccountIndex + 1) % tipAccounts.length;
+    return new PublicKey(account);
+}
+
+/**
+ * Resolve the address lookup tables referenced by a v0 message
+ *
+ * @param {VersionedMessage} message - Message whose lookups should be resolved
+ * @param {Connection} connection - Solana connection instance
+ * @returns {Promise<Array<AddressLookupTableAccount>>} Resolved lookup table accounts
+ */
+export async function resolveAddressLookupTables(message, connection) {
+    const lookups = message.addressTableLookups || [];
+
+    return Promise.all(
+        lookups.map(async (lookup) => {
+            const { value } = await connection.getAddressLookupTable(lookup.accountKey);
+            if (!value) {
+                throw new Error(`Address lookup table ${lookup.accountKey.toBase58()} not found`);
+            }
+            return value;
+        })
+    );
+}
+
+/**
+ * Find an existing SystemProgram transfer to one of the tip accounts
+ *
+ * @param {Array<TransactionInstruction>} instructions - Decompiled instructions
+ * @param {Array<string>} tipAccounts - Tip account addresses
+ * @returns {Object|null} Decoded transfer params if the transaction already tips
+ */
+function findExistingTip(instructions, tipAccounts) {
+    for (const instruction of instructions) {
+        if (!instruction.programId.equals(SystemProgram.programId)) {
+            continue;
+        }
+        try {
+            if (SystemInstruction.decodeInstructionType(instruction) !== 'Transfer') {
+                continue;
+            }
+            const transfer = SystemInstruction.decodeTransfer(instruction);
+            if (tipAccounts.includes(transfer.toPubkey.toBase58())) {
+                return transfer;
+            }
+        } catch {
+            // Not a decodable system instruction, cannot be a tip
+        }
+    }
+    return null;
+}
+
+/**
+ * Append a tip transfer to an unsigned transaction
+ *
+ * The transaction is left untouched (and `skippedReason` is set) when it
+ * already tips one of the tip accounts, carries signatures from other parties, or
+ * would no longer fit in a single packet once the transfer is added.
+ *
+ * @param {VersionedTransaction} transaction - Transaction as returned by the swap endpoint
+ * @param {Connection} connection - Solana connection instance (for lookup table resolution)
+ * @param {Object} options - Tip options
+ * @param {number} options.lamports - Tip amount in lamports
+ * @param {Array<string>} [options.tipAccounts] - Tip accounts to rotate through
+ * @returns {Promise<Object>} { transaction, tip: { lamports, account } | null, skippedReason }
+ */
+export async function injectTip(transaction, connection, { lamports, tipAccounts = OSLOT_TIP_ACCOUNTS }) {
+    const message = transaction.message;
+
+    // Any non-fee-payer signature would be invalidated by recompiling the message
+    const hasForeignSignatures = transaction.signatures
+        .slice(1)
+        .some((signature) => signature.some((byte) => byte !== 0));
+    if (hasForeignSignatures) {
+        return { transaction, tip: null, skippedReason: 'Transaction is already co-signed by another party' };
+    }
+
+    const addressLookupTableAccounts = await resolveAddressLookupTables(message, connection);
+    const decompiled = TransactionMessage.decompile(message, { addressLookupTableAccounts });
+
+    const existingTip = findExistingTip(decompiled.instructions, tipAccounts);
+    if (existingTip) {
+        return {
+            transaction,
+            tip: { lamports: Number(existingTip.lamports), account: existingTip.toPubkey.toBase58() },
+            skippedReason: 'Transaction already contains a tip',
+        };
+    }
+
+    const tipAccount = nextTipAccount(tipAccounts);
+    decompiled.instructions.push(
+        SystemProgram.transfer({
+            fromPubkey: decompiled.payerKey,
+            toPubkey: tipAccount,
+            lamports,
+        })
+    );
+
+    const recompiledMessage = message.version === 'legacy'
+        ? decompiled.compileToLegacyMessage()
+        : decompiled.compileToV0Message(addressLookupTableAccounts);
+    const tippedTransaction = new VersionedTransaction(recompiledMessage);
+
+    let size;
+    try {
+        size = tippedTransaction.serialize().length;
+    } catch (error) {
+        return { transaction, tip: null, skippedReason: `Tipped transaction cannot be serialized: ${error.message}` };
+    }
+    if (size > PACKET_DATA_SIZE) {
+        return {
+            transaction,
+            tip: null,
+            skippedReason: `Tipped transaction would be ${size} bytes (limit ${PACKET_DATA_SIZE})`,
+        };
+    }
+
+    return { transaction: tippedTransaction, tip: { lamports, account: tipAccount.toBase58() }, skippedReason: null };
+}
@@ -0,0 +1,156 @@
+import { PublicKey } from '@solana/web3.js';
+import { NATIVE_SOL_MINT } from './amounts.js';
+
+/**
+ * Token registry
+ * A small local token list, backed by on-chain mint (and Metaplex metadata)
+ * lookups for anything not on it, plus wallet balance helpers.
+ */
+
+export const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+export const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+const METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// SPL mint layout: mint authority option (36) | supply (8) | decimals (1) | ...
+const MINT_DECIMALS_OFFSET = 44;
+
+// Lamports kept back when swapping "max" SOL: network/priority fees, 0slot tip and ATA rent
+export const SOL_FEE_RESERVE_LAMPORTS = 10_000_000n;
+
+export const DEFAULT_TOKEN_LIST = [
+    { mint: NATIVE_SOL_MINT, symbol: 'SOL', name: 'Solana', decimals: 9 },
+    { mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { mint: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', symbol: 'JUP', name: 'Jupiter', decimals: 6 },
+    { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', symbol: 'BONK', name: 'Bonk', decimals: 5 },
+    { mint: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', symbol: 'mSOL', name: 'Marinade staked SOL', decimals: 9 },
+    { mint: 'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', symbol: 'JitoSOL', name: 'Jito Staked SOL', decimals: 9 },
+];
+
+const tokenInfoCache = new Map(DEFAULT_TOKEN_LIST.map((token) => [token.mint, token]));
+
+/**
+ * Read a borsh string (u32 length prefix) from a buffer
+ *
+ * @param {Uint8Array} data - Buffer to read from
+ * @param {number} offset - Offset of the length prefix
+ * @returns {Object} { value, next } with trailing NUL padding removed
+ */
+function readBorshString(data, offset) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const length = view.getUint32(offset, true);
+    const bytes = data.subarray(offset + 4, offset + 4 + length);
+    return { value: new TextDecoder().decode(bytes).replace(/\0/g, '').trim(), next: offset + 4 + length };
+}
+
+/**
+ * Look up name and symbol in the Metaplex metadata account of a mint
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {PublicKey} mint - Mint address
+ * @returns {Promise<Object|null>} { name, symbol } or null when there is no metadata
+ */
+async function fetchMetaplexMetadata(connection, mint) {
+    const [metadataAddress] = PublicKey.findProgramAddressSync(
+        [new TextEncoder().encode('metadata'), METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+        METADATA_PROGRAM_ID
+    );
+    const info = await connection.getAccountInfo(metadataAddress);
+    if (!info) {
+        return null;
+    }
+
+    // key (1) | update authority (32) | mint (32) | name | symbol | ...
+    const name = readBorshString(info.data, 65);
+    const symbol = readBorshString(info.data, name.next);
+    return { name: name.value, symbol: symbol.value };
+}
+
+/**
+ * Resolve a mint to { mint, symbol, name, decimals }
+ * Uses the local token list first and falls back to on-chain lookups.
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {string} mint - Mint address
+ * @returns {Promise<Object>} Token info
+ */
+export async function getTokenInfo(connection, mint) {
+    if (tokenInfoCache.has(mint)) {
+        return tokenInfoCache.get(mint);
+    }
+
+    const mintKey = new PublicKey(mint);
+    const info = await connection.getAccountInfo(mintKey);
+    if (!info || !(info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID))) {
+        throw new Error(`${mint} is not an SPL token mint`);
+    }
+
+    let metadata = null;
+    try {
+        metadata = await fetchMetaplexMetadata(connection, mintKey);
+    } catch (error) {
+        console.warn(`Could not read token metadata for ${mint}:`, error);
+    }
+
+    const token = {
+        mint,
+        symbol: metadata?.symbol || `${mint.slice(0, 4)}…${mint.slice(-4)}`,
+        name: metadata?.name || 'Unknown token',
+        decimals: info.data[MINT_DECIMALS_OFFSET],
+    };
+    tokenInfoCache.set(mint, token);
+    return token;
+}
+
+/**
+ * Return cached token info without touching the network
+ *
+ * @param {string} mint - Mint address
+ * @returns {Object|undefined} Token info if known
+ */
+export function getCachedTokenInfo(mint) {
+    return tokenInfoCache.get(mint);
+}
+
+/**
+ * Fetch the SOL and SPL token balances of a wallet
+ *
+ * @param {Connection} connection - Solana connection instance
+ * @param {PublicKey} owner - Wallet address
+ * @returns {Promise<Object>} Map of mint -> bigint balance in base units (SOL under NATIVE_SOL_MINT)
+ */
+export async function fetchWalletBalances(connection, owner) {
+    const [lamports, ...tokenAccountResponses] = await Promise.all([
+        connection.getBalance(owner),
+        connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_PROGRAM_ID }),
+        connection.getParsedTokenAccountsByOwner(owner, { programId: TOKEN_2022_PROGRAM_ID }),
+    ]);
+
+    const balances = { [NATIVE_SOL_MINT]: BigInt(lamports) };
+    for (const { value } of tokenAccountResponses) {
+        for (const { account } of value) {
+            const { mint, tokenAmount } = account.data.parsed.info;
+            // Wrapped SOL is kept apart from native SOL: the swap spends native lamports
+            const key = mint === NATIVE_SOL_MINT ? `${mint}:wrapped` : mint;
+            balances[key] = (balances[key] || 0n) + BigInt(tokenAmount.amount);
+        }
+    }
+    return balances;
+}
+
+/**
+ * Largest amount of a token that can be swapped from a balance
+ * For SOL a reserve is kept for fees, tips and account rent.
+ *
+ * @param {string} mint - Mint address
+ * @param {bigint} balance - Balance in base units
+ * @param {bigint} [extraReserve] - Additional lamports to keep (e.g. the 0slot tip)
+ * @returns {bigint} Spendable amount in base units
+ */
+export function maxSpendable(mint, balance, extraReserve = 0n) {
+    if (mint !== NATIVE_SOL_MINT) {
+        return balance;
+    }
+    const spendable = balance - SOL_FEE_RESERVE_LAMPORTS - extraReserve;
+    return spendable > 0n ? spendable : 0n;
+}
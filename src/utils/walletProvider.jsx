@@ -1,24 +1,29 @@
 import React, { useMemo } from 'react';
 import { ConnectionProvider, WalletProvider } from '@solana/wallet-adapter-react';
-import { WalletAdapterNetwork } from '@solana/wallet-adapter-base';
 import { WalletModalProvider } from '@solana/wallet-adapter-react-ui';
-import { PhantomWalletAdapter, SolflareWalletAdapter } from '@solana/wallet-adapter-wallets';
-import { clusterApiUrl } from '@solana/web3.js';
+import { LedgerWalletAdapter, PhantomWalletAdapter, SolflareWalletAdapter } from '@solana/wallet-adapter-wallets';
+import { useAppConfig } from '../hooks/useAppConfig';
 
 // Import wallet adapter CSS
 import '@solana/wallet-adapter-react-ui/styles.css';
 
 export function WalletContextProvider({ children }) {
-    // You can set the network here: 'devnet', 'testnet', or 'mainnet-beta'
-    const network = WalletAdapterNetwork.Mainnet;
-    const endpoint = useMemo(() => clusterApiUrl(network), [network]);
+    // Network and RPC URL come from the runtime configuration (settings panel / VITE_* env);
+    // ConnectionProvider rebuilds its connection whenever the endpoint changes
+    const { config } = useAppConfig();
+    const network = config.cluster;
+    const endpoint = config.rpcUrl;
 
+    // Wallets implementing the Wallet Standard (Backpack, and current Phantom and Solflare
+    // extensions among others) are discovered by WalletProvider itself and replace the
+    // adapter of the same name; the adapters here cover wallets that don't register that way
     const wallets = useMemo(
         () => [
             new PhantomWalletAdapter(),
-            new SolflareWalletAdapter(),
+            new SolflareWalletAdapter({ network }),
+            new LedgerWalletAdapter(),
         ],
-        []
+        [network]
     );
 
     return (
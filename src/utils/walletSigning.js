@@ -0,0 +1,253 @@
+import { Transaction, VersionedMessage, VersionedTransaction } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { Buffer } from 'buffer';
+
+/**
+ * Transaction formats and wallet capabilities
+ * Swap APIs return legacy or v0 transactions, and some return only the message
+ * without a signatures section. Everything is decoded into a VersionedTransaction
+ * (which holds either message version) for the pipeline, and converted to a
+ * legacy `Transaction` only at the wallet boundary for wallets that predate
+ * versioned transactions. Wallets that cannot sign without sending get the
+ * transaction through their `sendTransaction` instead (see executeSwapWithOSlot).
+ */
+
+const SIGNATURE_LENGTH = 64;
+
+/**
+ * Read a compact-u16 ("shortvec") length
+ *
+ * @param {Uint8Array} bytes - Serialized data
+ * @param {number} offset - Where the length starts
+ * @returns {Object|null} { value, size } or null if the bytes end first
+ */
+function readShortVec(bytes, offset) {
+    let value = 0;
+    for (let size = 1; size <= 3; size++) {
+        const byte = bytes[offset + size - 1];
+        if (byte === undefined) {
+            return null;
+        }
+        value |= (byte & 0x7f) << (7 * (size - 1));
+        if ((byte & 0x80) === 0) {
+            return { value, size };
+        }
+    }
+    return null;
+}
+
+/**
+ * Message version and required signature count of a serialized message
+ *
+ * @param {Uint8Array} bytes - Bytes starting at the message
+ * @returns {Object|null} { version: 'legacy' | number, numRequiredSignatures }
+ */
+function readMessageHeader(bytes) {
+    if (!bytes.length) {
+        return null;
+    }
+    const version = VersionedMessage.deserializeMessageVersion(bytes);
+    // Versioned messages start with the version prefix byte, then the header
+    const numRequiredSignatures = bytes[version === 'legacy' ? 0 : 1];
+    return numRequiredSignatures === undefined ? null : { version, numRequiredSignatures };
+}
+
+/**
+ * Error for transaction bytes this module cannot decode
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error tagged for swapErrors.js
+ */
+function malformedTransactionError(message) {
+    const error = new Error(message);
+    error.category = 'malformed-response';
+    return error;
+}
+
+/**
+ * Decode bytes as one format, requiring the result to account for every byte
+ * A bare message can look like a signatures section followed by a message
+ * header, so a header that lines up is not enough on its own.
+ *
+ * @param {Uint8Array} bytes - Serialized transaction or message
+ * @param {string} format - 'transaction' | 'message'
+ * @returns {VersionedTransaction|null} Decoded transaction, or null if the bytes are not in this format
+ */
+function decodeExactly(bytes, format) {
+    try {
+        if (format === 'transaction') {
+            const transaction = VersionedTransaction.deserialize(bytes);
+            return transaction.serialize().length === bytes.length ? transaction : null;
+        }
+        const message = VersionedMessage.deserialize(bytes);
+        return message.serialize().length === bytes.length ? new VersionedTransaction(message) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Detect the format of serialized transaction bytes
+ * A full transaction starts with its signatures, whose count must match the
+ * message header that follows them; anything else is tried as a bare message.
+ * Either reading must decode the whole byte string to be accepted.
+ *
+ * @param {Uint8Array} bytes - Serialized transaction or message
+ * @returns {Object} { format: 'transaction' | 'message', version: 'legacy' | 0, transaction }
+ */
+export function detectTransactionFormat(bytes) {
+    const candidates = [];
+    const signatureCount = readShortVec(bytes, 0);
+    if (signatureCount && signatureCount.value > 0) {
+        const messageOffset = signatureCount.size + signatureCount.value * SIGNATURE_LENGTH;
+        const header = readMessageHeader(bytes.subarray(messageOffset));
+        if (header && header.numRequiredSignatures === signatureCount.value) {
+            candidates.push({ format: 'transaction', header });
+        }
+    }
+    const messageHeader = readMessageHeader(bytes);
+    if (messageHeader && messageHeader.numRequiredSignatures > 0) {
+        candidates.push({ format: 'message', header: messageHeader });
+    }
+
+    let unsupportedVersion = null;
+    for (const { format, header } of candidates) {
+        if (header.version !== 'legacy' && header.version !== 0) {
+            unsupportedVersion = unsupportedVersion ?? header.version;
+            continue;
+        }
+        const transaction = decodeExactly(bytes, format);
+        if (transaction) {
+            return { format, version: header.version, transaction };
+        }
+    }
+
+    if (unsupportedVersion !== null) {
+        throw malformedTransactionError(`Unsupported transaction message version ${unsupportedVersion}`);
+    }
+    throw malformedTransactionError('Swap transaction is neither a serialized transaction nor a transaction message');
+}
+
+/**
+ * Decode a swap API transaction in any supported format
+ *
+ * @param {string} transactionBase64 - Base64 encoded transaction or message, legacy or v0
+ * @returns {VersionedTransaction} Transaction with empty signatures for a bare message
+ */
+export function decodeSwapTransaction(transactionBase64) {
+    return detectTransactionFormat(Buffer.from(transactionBase64, 'base64')).transaction;
+}
+
+/**
+ * Whether a wallet adapter can handle versioned (v0) transactions
+ *
+ * @param {Object|null} adapter - Wallet adapter (useWallet().wallet.adapter)
+ * @returns {boolean} True if the adapter lists version 0 as supported
+ */
+export function supportsVersionedTransactions(adapter) {
+    return Boolean(adapter?.supportedTransactionVersions?.has(0));
+}
+
+/**
+ * Convert a transaction into the form a wallet accepts
+ * The legacy Transaction keeps the exact message bytes, so existing signatures stay valid.
+ *
+ * @param {VersionedTransaction} transaction - Transaction to hand to the wallet
+ * @param {boolean} supportsVersioned - See supportsVersionedTransactions
+ * @returns {VersionedTransaction|Transaction} Transaction for the wallet
+ */
+export function toWalletTransaction(transaction, supportsVersioned) {
+    if (supportsVersioned) {
+        return transaction;
+    }
+    if (transaction.version !== 'legacy') {
+        const error = new Error('This wallet cannot sign versioned (v0) transactions. Use a swap endpoint that returns legacy transactions, or another wallet.');
+        error.category = 'wallet-incompatible';
+        throw error;
+    }
+    return Transaction.populate(
+        transaction.message,
+        transaction.signatures.map((signature) => bs58.encode(signature))
+    );
+}
+
+/**
+ * Wrap a wallet's signTransaction so it signs legacy and v0 transactions alike
+ *
+ * @param {Function} signTransaction - Wallet sign function (useWallet().signTransaction)
+ * @param {boolean} supportsVersioned - See supportsVersionedTransactions
+ * @returns {Function} async (VersionedTransaction) => signed VersionedTransaction
+ */
+export function createWalletSigner(signTransaction, supportsVersioned) {
+    return async (transaction) => {
+        const signed = await signTransaction(toWalletTransaction(transaction, supportsVersioned));
+        if (signed instanceof VersionedTransaction) {
+            return signed;
+        }
+        // Other parties' signatures may still be missing; they are checked on-chain
+        return VersionedTransaction.deserialize(signed.serialize({ requireAllSignatures: false }));
+    };
+}
+
+/**
+ * Collect several transactions and sign them in one signAllTransactions prompt
+ *
+ * Every slot gets its own signer, usable as executeSwapWithOSlot's signTransaction,
+ * so each transaction still goes through the full pipeline. The wallet prompt opens
+ * once every slot has either reached signing or been skipped (e.g. its simulation
+ * failed); a rejected prompt fails all waiting signers.
+ *
+ * @param {Function} signAllTransactions - Wallet batch sign function (useWallet().signAllTransactions)
+ * @param {boolean} supportsVersioned - See supportsVersionedTransactions
+ * @param {number} size - Number of slots
+ * @returns {Object} { signer(index) => async (VersionedTransaction) => signed VersionedTransaction, skip(index) }
+ */
+export function createBatchSigner(signAllTransactions, supportsVersioned, size) {
+    const waiting = new Map();
+    const settled = new Set();
+    let prompted = false;
+
+    const signWaiting = async () => {
+        if (prompted || settled.size + waiting.size < size) {
+            return;
+        }
+        prompted = true;
+        const entries = [...waiting.entries()].sort(([a], [b]) => a - b);
+        if (!entries.length) {
+            return;
+        }
+        try {
+            const signed = await signAllTransactions(entries.map(([, entry]) => entry.walletTransaction));
+            entries.forEach(([, entry], position) => {
+                const transaction = signed[position];
+                entry.resolve(transaction instanceof VersionedTransaction
+                    ? transaction
+                    : VersionedTransaction.deserialize(transaction.serialize({ requireAllSignatures: false })));
+            });
+        } catch (error) {
+            entries.forEach(([, entry]) => entry.reject(error));
+        }
+    };
+
+    return {
+        signer: (index) => (transaction) => new Promise((resolve, reject) => {
+            if (prompted) {
+                reject(new Error('The batch was already signed'));
+                return;
+            }
+            try {
+                waiting.set(index, { walletTransaction: toWalletTransaction(transaction, supportsVersioned), resolve, reject });
+            } catch (error) {
+                settled.add(index);
+                reject(error);
+            }
+            signWaiting();
+        }),
+        skip: (index) => {
+            if (!waiting.has(index)) {
+                settled.add(index);
+                signWaiting();
+            }
+        },
+    };
+}
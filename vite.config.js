@@ -1,16 +1,41 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Mount the backend relay (server/relay.js) on the dev server when OSLOT_API_KEY
+ * is set, so `VITE_BACKEND_URL=/` works without running bin/oslot-relay.js
+ */
+function backendRelay(env) {
+  return {
+    name: 'oslot-backend-relay',
+    apply: 'serve',
+    async configureServer(server) {
+      if (!env.OSLOT_API_KEY) {
+        return
+      }
+      const { createRelayHandler, relayOptionsFromEnv } = await import('./server/relay.js')
+      const handler = createRelayHandler(relayOptionsFromEnv(env))
+      server.middlewares.use(handler)
+      server.httpServer?.on('close', handler.close)
+    },
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  define: {
-    'process.env': {},
-    global: 'globalThis',
-  },
-  resolve: {
-    alias: {
-      buffer: 'buffer',
+export default defineConfig(({ mode }) => {
+  // Without a prefix filter: the relay reads OSLOT_API_KEY, which is never exposed to the client
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react(), backendRelay(env)],
+    define: {
+      'process.env': {},
+      global: 'globalThis',
+    },
+    resolve: {
+      alias: {
+        buffer: 'buffer',
+      },
     },
-  },
+  }
 })